@@ -37,10 +37,10 @@ curl -X GET $BASE_URL/payments \
   ${TOKEN:+-H "Authorization: Bearer $TOKEN"}
 
 # ------------------------------------------
-# Fetch single payment (by paymentId)
-# GET /payments/:paymentId
+# Fetch single payment (by reference)
+# GET /payments/:reference
 # ------------------------------------------
-# curl -X GET $BASE_URL/payments/1 \
+# curl -X GET $BASE_URL/payments/PAY_1700000000000_123456 \
 #   -H "$JSON_HEADER" \
 #   -H "Authorization: Bearer $TOKEN"
 
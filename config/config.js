@@ -6,6 +6,123 @@ export const Config = {
         env: process.env.NODE_ENV ?? 'development',
         port: process.env.PORT ?? '3001',
         host: process.env.HOST ?? '127.0.0.1',
+        maxBodySize: Number(process.env.MAX_BODY_SIZE_MB ?? 5),
+        // public URL of this server, used to build checkout links
+        baseUrl: process.env.BASE_URL
+            ?? `http://${process.env.HOST ?? '127.0.0.1'}:${process.env.PORT ?? '3001'}`,
+        // behind a reverse proxy: take the client IP from X-Forwarded-For
+        trustProxy: process.env.TRUST_PROXY === 'true',
+    },
+    merchant: {
+        // shown on the hosted checkout page
+        name: process.env.MERCHANT_NAME ?? 'Demo Store',
+        // currency product prices are set in
+        currency: process.env.STORE_CURRENCY ?? 'NGN',
+    },
+    auth: {
+        // comma separated; these emails are registered as admins (first admin bootstrap)
+        adminEmails: (process.env.ADMIN_EMAILS ?? '').split(',').map(e => e.trim().toLowerCase()).filter(Boolean),
+        // lifetime of a refresh token; every refresh starts the clock again
+        refreshTokenTtlDays: Number(process.env.REFRESH_TOKEN_TTL_DAYS ?? 7),
+        // lifetime of the one-time tokens sent by email
+        passwordResetTtlMinutes: Number(process.env.PASSWORD_RESET_TTL_MINUTES ?? 30),
+        emailVerificationTtlHours: Number(process.env.EMAIL_VERIFICATION_TTL_HOURS ?? 24),
+        // failed login limits, counted per email and per client IP
+        login: {
+            maxFailuresPerAccount: Number(process.env.LOGIN_MAX_FAILURES ?? 5),
+            maxFailuresPerIp: Number(process.env.LOGIN_MAX_FAILURES_PER_IP ?? 20),
+            // failures older than this are forgotten
+            failureWindowMinutes: Number(process.env.LOGIN_FAILURE_WINDOW_MINUTES ?? 15),
+            lockoutMinutes: Number(process.env.LOGIN_LOCKOUT_MINUTES ?? 15),
+            // wait before checking a password: step × 2^(failures - 1), up to max
+            delayStepMs: Number(process.env.LOGIN_DELAY_STEP_MS ?? 250),
+            maxDelayMs: Number(process.env.LOGIN_MAX_DELAY_MS ?? 4000),
+        },
+    },
+    mail: {
+        from: process.env.MAIL_FROM ?? 'no-reply@demo-store.local',
+        // "outbox" stores messages in model/mail/outbox.json, "console" logs them
+        transport: process.env.MAIL_TRANSPORT ?? 'outbox',
+    },
+    cors: {
+        // comma separated list, e.g. "http://localhost:5173,https://app.dev"
+        origin: (process.env.CORS_ORIGIN ?? '*').split(',').map(o => o.trim()),
+    },
+    paymentSimulator: {
+        // share of non-magic verifications that succeed (0..1)
+        successRate: Number(process.env.PAYMENT_SUCCESS_RATE ?? 0.7),
+        // set to get the same sequence of outcomes on every run
+        seed: process.env.PAYMENT_SIMULATOR_SEED ?? null,
+    },
+    stockReservation: {
+        // how long stock stays held for an unverified product payment
+        ttlSeconds: Number(process.env.STOCK_RESERVATION_TTL_SECONDS ?? 900),
+        // how often the sweeper releases expired holds
+        sweepIntervalSeconds: Number(process.env.STOCK_RESERVATION_SWEEP_SECONDS ?? 60),
+    },
+    webhooks: {
+        // attempts per delivery, including the first one
+        maxAttempts: Number(process.env.WEBHOOK_MAX_ATTEMPTS ?? 5),
+        // retry n waits base * 2^(n-1) seconds: 10s, 20s, 40s, ...
+        backoffBaseSeconds: Number(process.env.WEBHOOK_BACKOFF_BASE_SECONDS ?? 10),
+        timeoutMs: Number(process.env.WEBHOOK_TIMEOUT_MS ?? 5000),
+        pollIntervalSeconds: Number(process.env.WEBHOOK_POLL_SECONDS ?? 5),
+    },
+    fx: {
+        // local exchange rate table: { base, updatedAt, rates: { USD: 1, NGN: 1550, ... } }
+        ratesPath: process.env.FX_RATES_PATH ?? './config/fx-rates.json',
+    },
+    idempotency: {
+        // how long a stored response is replayed for the same Idempotency-Key
+        ttlHours: Number(process.env.IDEMPOTENCY_TTL_HOURS ?? 24),
+        // a key still "processing" after this long (request never answered) can be reused
+        processingTimeoutSeconds: Number(process.env.IDEMPOTENCY_PROCESSING_TIMEOUT_SECONDS ?? 60),
+    },
+    rateLimit: {
+        enabled: process.env.RATE_LIMIT_ENABLED !== 'false',
+        // "memory" (per process, lost on restart) or "json" (model/rate-limit/rate_limits.json)
+        store: process.env.RATE_LIMIT_STORE ?? 'memory',
+        // registered API keys (comma separated); other X-API-Key values count by IP
+        apiKeys: (process.env.RATE_LIMIT_API_KEYS ?? '').split(',').map(k => k.trim()).filter(Boolean),
+        // named policies used by rateLimit(); key: "ip" | "user" | "apiKey"
+        policies: {
+            // every request (global middleware)
+            default: {
+                algorithm: 'token_bucket',
+                limit: Number(process.env.RATE_LIMIT_DEFAULT ?? 300),
+                windowSeconds: 60,
+                key: 'ip',
+            },
+            // POST /users/login
+            login: {
+                algorithm: 'sliding_window',
+                limit: Number(process.env.RATE_LIMIT_LOGIN ?? 10),
+                windowSeconds: 60,
+                key: 'ip',
+            },
+            // POST /users/:userId/password
+            password: {
+                algorithm: 'sliding_window',
+                limit: Number(process.env.RATE_LIMIT_PASSWORD ?? 5),
+                windowSeconds: 60,
+                key: 'user',
+            },
+            // every /payments route
+            payments: {
+                algorithm: 'token_bucket',
+                limit: Number(process.env.RATE_LIMIT_PAYMENTS ?? 30),
+                windowSeconds: 60,
+                key: 'user',
+            },
+        },
+    },
+    fees: {
+        // per currency / channel: { NGN: { default: { percent, flat, cap }, ussd: {...} }, "*": {...} }
+        schedulePath: process.env.FEES_PATH ?? './config/fees.json',
+    },
+    settlements: {
+        // how often finished days are batched into settlements
+        intervalMinutes: Number(process.env.SETTLEMENT_INTERVAL_MINUTES ?? 60),
     }
 }
 
@@ -17,5 +134,20 @@ export const settings = {
 
 export const PATH = {
     USER_PATH: './model/users/users.json',
-    USER_TOKEN: './model/users/users_token.json'
+    USER_TOKEN: './model/users/users_token.json',
+    ONE_TIME_TOKEN_PATH: './model/users/one_time_tokens.json',
+    LOGIN_ATTEMPT_PATH: './model/users/login_attempts.json',
+    LOCKOUT_EVENT_PATH: './model/users/lockout_events.json',
+    OUTBOX_PATH: './model/mail/outbox.json',
+    PRODUCT_PATH: './model/products/products.json',
+    PAYMENT_PATH: './model/payments/payments.json',
+    REFUND_PATH: './model/refunds/refunds.json',
+    RESERVATION_PATH: './model/reservations/reservations.json',
+    CART_PATH: './model/carts/carts.json',
+    ORDER_PATH: './model/orders/orders.json',
+    WEBHOOK_PATH: './model/webhooks/webhooks.json',
+    WEBHOOK_DELIVERY_PATH: './model/webhooks/deliveries.json',
+    IDEMPOTENCY_PATH: './model/idempotency/idempotency_keys.json',
+    RATE_LIMIT_PATH: './model/rate-limit/rate_limits.json',
+    SETTLEMENT_PATH: './model/settlements/settlements.json',
 }
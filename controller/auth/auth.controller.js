@@ -0,0 +1,118 @@
+import { ForgotPasswordSchema, RefreshTokenSchema, ResetPasswordSchema } from "../../model/schemas.js"
+import { AuthService } from "../../services/auth/auth.service.js"
+import { BaseController } from "../base.controller.js"
+
+/**
+ * AuthController
+ *
+ * Session and account recovery endpoints that do not belong to a user
+ * resource. Login and logout live in UsersController; token rules in
+ * AuthService.
+ */
+class AuthController extends BaseController {
+
+  //=====================================================
+  //  PUBLIC METHODS
+  //=====================================================
+
+  /**
+   * Exchange a refresh token for a new token pair
+   *
+   * Body: `{ refreshToken }` (from login or the previous refresh).
+   * The old refresh token is spent; using it again revokes the session.
+   *
+   * @param {import('http').IncomingMessage} req
+   * @param {import('http').ServerResponse} res
+   */
+  refresh = async (req, res) => {
+    const { refreshToken } = RefreshTokenSchema.assert({
+      refreshToken: this._sanitizeScalar(req.body?.refreshToken)
+    })
+
+    const tokens = await AuthService.refresh(refreshToken)
+
+    return this._sendResponse(res, {
+      status: 200,
+      message: 'Token refreshed.',
+      data: tokens
+    })
+  }
+
+  /**
+   * Email a password reset token
+   *
+   * Body: `{ email }`. Always answers 200 with the same message, whether
+   * or not the email is registered.
+   *
+   * @param {import('http').IncomingMessage} req
+   * @param {import('http').ServerResponse} res
+   */
+  forgotPassword = async (req, res) => {
+    const { email } = ForgotPasswordSchema.assert({
+      email: this._sanitizeScalar(req.body?.email)
+    })
+
+    await AuthService.forgotPassword(email)
+
+    return this._sendResponse(res, {
+      status: 200,
+      message: 'If this email is registered, a password reset token has been sent to it.'
+    })
+  }
+
+  /**
+   * Set a new password with a reset token
+   *
+   * Body: `{ token, password }`. Logs the user out everywhere.
+   *
+   * @param {import('http').IncomingMessage} req
+   * @param {import('http').ServerResponse} res
+   */
+  resetPassword = async (req, res) => {
+    // password is hashed, never echoed: kept as typed
+    const payload = ResetPasswordSchema.assert({
+      token: this._sanitizeScalar(req.body?.token),
+      password: req.body?.password
+    })
+
+    await AuthService.resetPassword(payload)
+
+    return this._sendResponse(res, {
+      status: 200,
+      message: 'Password reset successful. Please login with your new password.'
+    })
+  }
+
+  /**
+   * Email a verification link to the logged-in user
+   *
+   * @param {import('http').IncomingMessage} req
+   * @param {import('http').ServerResponse} res
+   */
+  requestEmailVerification = async (req, res) => {
+    await AuthService.requestEmailVerification(req.user)
+
+    return this._sendResponse(res, {
+      status: 200,
+      message: `A verification link has been sent to ${req.user.email}.`
+    })
+  }
+
+  /**
+   * Verify an email address (link from the verification email)
+   *
+   * @param {import('http').IncomingMessage} req
+   * @param {import('http').ServerResponse} res
+   */
+  verifyEmail = async (req, res) => {
+    const user = await AuthService.verifyEmail(req.ids?.token)
+
+    return this._sendResponse(res, {
+      status: 200,
+      message: 'Email verified.',
+      data: user
+    })
+  }
+}
+
+export default new AuthController()
@@ -1,11 +1,254 @@
+import { Config, PATH } from "../config/config.js"
+import { modelTools } from "../model/model-tools.js"
+import { router } from "../routes/routers.js"
+import { USER_ROLES } from "../services/auth/auth.service.js"
 import { AppError } from "../utils/errors/error.utils.js"
 import { Helpers } from "../utils/helper.utils.js"
 import { httpUtils } from "../utils/http.utils.js"
+import { Money } from "../utils/money.utils.js"
+
+/** Default and maximum page sizes for list endpoints */
+const DEFAULT_LIMIT = 20
+const MAX_LIMIT = 100
 
 export class BaseController {
 
-  _sendResponse(res, { status, data, message, error }) {
-    return httpUtils.sendResponse(res, { status, data, message, error })
+  _sendResponse(res, { status, data, message, error, meta }) {
+    return httpUtils.sendResponse(res, { status, data, message, error, meta })
+  }
+
+  _sendHtml(res, { status, html }) {
+    return httpUtils.sendHtml(res, { status, html })
+  }
+
+  _redirect(res, location, status) {
+    return httpUtils.redirect(res, location, status)
+  }
+
+  /**
+   * Run a paginated, filtered and sorted list query for a GET endpoint.
+   *
+   * Supported query string:
+   * - `?page=2&limit=20` (offset pagination, default)
+   * - `?after=<cursor>&limit=20` (cursor pagination, taken from `meta.next`)
+   * - `?sort=-createdAt,name` (only fields listed in `sortable`)
+   * - any key declared in `filters`
+   *
+   * @param {import('http').IncomingMessage} req
+   * @param {string} filePath - Entity file to query
+   * @param {Object} options
+   * @param {Object<string, (value: string) => Object>} [options.filters={}]
+   * Maps a query param to a `where` fragment, e.g. `{ status: v => ({ status: v }) }`
+   * @param {string[]} [options.sortable=['_id']] - Fields allowed in `?sort=`
+   * @param {string} [options.defaultSort='_id'] - Sort used when `?sort=` is absent
+   * @param {Object} [options.where={}] - Extra fixed filter (e.g. ownership)
+   * @param {string[]|Object} [options.fields] - Projection passed to ModelTools#find
+   * @returns {Promise<{ items: Object[], total: number, meta: Object }>}
+   * @throws {AppError} 400 on invalid page, limit, sort field or cursor
+   */
+  async _paginate(req, filePath, options = {}) {
+    const {
+      filters = {},
+      sortable = ['_id'],
+      defaultSort = '_id',
+      where: fixedWhere = {},
+      fields
+    } = options
+
+    const query = router.getQueryParams(req)
+    const limit = this._parsePositiveInt(query.limit, DEFAULT_LIMIT, 'limit')
+
+    if (limit > MAX_LIMIT) {
+      throw AppError.BadRequest(`limit must not exceed ${MAX_LIMIT}`)
+    }
+
+    // FILTERS → where
+    const conditions = [fixedWhere]
+    for (const [param, build] of Object.entries(filters)) {
+      const value = query[param]
+      if (value === undefined || value === '') continue
+      conditions.push(build(value))
+    }
+
+    // SORT (always tie-broken by _id for stable pages)
+    const sortKeys = this._parseSort(query.sort ?? defaultSort, sortable)
+    if (!sortKeys.some(([key]) => key === '_id')) sortKeys.push(['_id', 1])
+    const sort = Object.fromEntries(sortKeys)
+
+    const baseWhere = { $and: conditions }
+    const entity = modelTools._extractEntityFromPath(filePath)
+    const pathname = router.getPathParams(req, false)
+
+    const link = (params) => {
+      const next = { ...query, ...params }
+      for (const [k, v] of Object.entries(next)) {
+        if (v === undefined || v === null) delete next[k]
+      }
+      return `${pathname}?${new URLSearchParams(next)}`
+    }
+
+    // CURSOR MODE
+    if (query.after !== undefined) {
+      const after = this._decodeCursor(query.after)
+      const [sortKey, dir] = sortKeys[0]
+
+      const afterWhere = sortKey === '_id'
+        ? { _id: { [dir > 0 ? '$gt' : '$lt']: after._id } }
+        : {
+            $or: [
+              { [sortKey]: { [dir > 0 ? '$gt' : '$lt']: after.value } },
+              { [sortKey]: after.value, _id: { $gt: after._id } }
+            ]
+          }
+
+      const raw = await modelTools.find(filePath, {
+        where: { $and: [baseWhere, afterWhere] },
+        sort,
+        limit: limit + 1,
+        fields
+      })
+
+      const total = (await modelTools.find(filePath, { where: baseWhere, limit: 0 })).total
+      const hasMore = raw[entity].length > limit
+      const items = raw[entity].slice(0, limit)
+      const last = items[items.length - 1]
+
+      return {
+        items,
+        total,
+        meta: {
+          total,
+          limit,
+          count: items.length,
+          next: hasMore
+            ? link({ after: this._encodeCursor(last, sortKey), page: undefined })
+            : null,
+          prev: null
+        }
+      }
+    }
+
+    // OFFSET MODE
+    const page = this._parsePositiveInt(query.page, 1, 'page')
+
+    const raw = await modelTools.find(filePath, {
+      where: baseWhere,
+      sort,
+      skip: (page - 1) * limit,
+      limit,
+      fields
+    })
+
+    const total = raw.total
+    const pages = Math.max(1, Math.ceil(total / limit))
+
+    return {
+      items: raw[entity],
+      total,
+      meta: {
+        total,
+        page,
+        limit,
+        pages,
+        count: raw[entity].length,
+        next: page < pages ? link({ page: page + 1, limit }) : null,
+        prev: page > 1 ? link({ page: Math.min(page - 1, pages), limit }) : null
+      }
+    }
+  }
+
+  /**
+   * Parse an optional positive integer query value.
+   * @throws {AppError} 400 if present but not a positive integer
+   */
+  _parsePositiveInt(value, fallback, name) {
+    if (value === undefined || value === '') return fallback
+
+    const n = Number(value)
+    if (!Number.isInteger(n) || n <= 0) {
+      throw AppError.BadRequest(`${name} must be a positive integer`)
+    }
+    return n
+  }
+
+  /**
+   * Parse `?sort=-createdAt,name` into `[['createdAt', -1], ['name', 1]]`.
+   * @throws {AppError} 400 on a field not listed in `sortable`
+   */
+  _parseSort(sort, sortable) {
+    return String(sort).split(',').map(s => s.trim()).filter(Boolean).map(s => {
+      const dir = s.startsWith('-') ? -1 : 1
+      const key = s.replace(/^[-+]/, '')
+
+      if (!sortable.includes(key)) {
+        throw AppError.BadRequest(
+          `Cannot sort by "${key}". Allowed: ${sortable.join(', ')}`
+        )
+      }
+      return [key, dir]
+    })
+  }
+
+  /**
+   * Encode a cursor from the last item of a page.
+   */
+  _encodeCursor(item, sortKey) {
+    return Buffer.from(
+      JSON.stringify({ _id: item._id, value: item[sortKey] ?? null })
+    ).toString('base64url')
+  }
+
+  /**
+   * Decode a cursor produced by `_encodeCursor`.
+   * @throws {AppError} 400 on a malformed cursor
+   */
+  _decodeCursor(cursor) {
+    try {
+      const decoded = JSON.parse(Buffer.from(cursor, 'base64url').toString())
+      if (!Number.isInteger(decoded?._id)) throw new Error()
+      return decoded
+    } catch {
+      throw AppError.BadRequest('Invalid pagination cursor')
+    }
+  }
+
+  /**
+   * Convert a date query value to an ISO string for range filters.
+   * Date-only values (YYYY-MM-DD) used as an upper bound cover the whole day.
+   *
+   * @param {string} value
+   * @param {boolean} [endOfDay=false]
+   * @throws {AppError} 400 on an invalid date
+   */
+  _toISODate(value, endOfDay = false) {
+    const isDateOnly = /^\d{4}-\d{2}-\d{2}$/.test(value)
+    const date = new Date(isDateOnly && endOfDay ? `${value}T23:59:59.999Z` : value)
+
+    if (Number.isNaN(date.getTime())) {
+      throw AppError.BadRequest(`Invalid date: ${value}`)
+    }
+    return date.toISOString()
+  }
+
+  /**
+   * Escape user input before embedding it in a `$regex` filter.
+   * @param {string} value
+   * @returns {string}
+   */
+  _escapeRegex(value) {
+    return String(value).replace(/[.*+?^${}()|[\]\\]/g, '\\$&')
+  }
+
+  /**
+   * Convert a numeric query value for range filters.
+   * @throws {AppError} 400 when not a number
+   */
+  _toNumber(value, name) {
+    const n = Number(value)
+    if (value === '' || Number.isNaN(n)) {
+      throw AppError.BadRequest(`${name} must be a number`)
+    }
+    return n
   }
 
   _validateAndSanitizeString(strings) {
@@ -28,6 +271,196 @@ export class BaseController {
     return
   }
 
+  /**
+   * Sanitize a single scalar input without splitting on commas.
+   * Strings are sanitized, numbers and booleans pass through for schema
+   * coercion, anything else is dropped.
+   *
+   * @param {*} value
+   * @returns {string|number|boolean|undefined}
+   */
+  _sanitizeScalar(value) {
+    if (typeof value === 'string') return Helpers.sanitizeAndEscape(value)
+    if (typeof value === 'number' || typeof value === 'boolean') return value
+    return
+  }
+
+  /**
+   * Trim a URL input. URLs are not HTML-escaped (that would corrupt
+   * query strings); their format is checked by the schema.
+   *
+   * @param {*} value
+   * @returns {string|undefined}
+   */
+  _sanitizeUrl(value) {
+    return typeof value === 'string' ? value.trim() : undefined
+  }
+
+  /**
+   * Hosted checkout page for a payment, returned as `authorization_url`.
+   *
+   * @param {string} reference
+   * @returns {string}
+   */
+  _authorizationUrl(reference) {
+    return `${Config.server.baseUrl}/checkout/${encodeURIComponent(reference)}`
+  }
+
+  //====================================================
+  //  MONEY (amounts are stored in integer minor units)
+  //====================================================
+
+  /**
+   * Replace minor-unit amount fields with `Money.view()` for a response.
+   *
+   * @param {Object} doc
+   * @param {string[]} fields - e.g. `['amount', 'amountRefunded']`
+   * @param {string} [currency=doc.currency]
+   * @returns {Object} Copy of `doc`
+   */
+  _formatAmounts(doc, fields, currency = doc?.currency) {
+    if (!doc) return doc
+
+    const formatted = { ...doc }
+    for (const field of fields) {
+      if (Number.isInteger(doc[field])) formatted[field] = Money.view(doc[field], currency)
+    }
+    return formatted
+  }
+
+  /**
+   * Format priced line items (`unitPrice`, `lineTotal`).
+   * @param {Object[]} [items]
+   * @param {string} currency
+   */
+  _formatLines(items, currency) {
+    return items?.map(line => this._formatAmounts(line, ['unitPrice', 'lineTotal'], currency))
+  }
+
+  /**
+   * A payment with every amount formatted (fees and net amount too),
+   * including its line items and the store-currency amount of an FX payment.
+   *
+   * @param {Object} payment
+   * @returns {Object}
+   */
+  _formatPayment(payment) {
+    if (!payment) return payment
+
+    const formatted = this._formatAmounts(payment, ['amount', 'amountRefunded', 'fees', 'netAmount'])
+    if (payment.items) formatted.items = this._formatLines(payment.items, payment.currency)
+    if (payment.fx) formatted.fx = this._formatAmounts(payment.fx, ['amount'])
+    return formatted
+  }
+
+  /**
+   * Unit price of a product (store currency) in the currency being paid.
+   *
+   * @param {Object} product
+   * @param {string} currency
+   * @returns {number} Minor units
+   * @throws {ValidationError} 422 when the FX table has no rate
+   */
+  _unitPriceIn(product, currency) {
+    return Money.convert(Number(product.price), Config.merchant.currency, currency).minor
+  }
+
+  /**
+   * FX record for a payment made in another currency than the store's,
+   * or `undefined` when no conversion happened.
+   *
+   * @param {number} storeAmount - Store-currency total, minor units
+   * @param {string} currency - Payment currency
+   * @returns {{ currency: string, amount: number, rate: number, ratesAsOf: string|null }|undefined}
+   */
+  _fxRecord(storeAmount, currency) {
+    if (currency === Config.merchant.currency) return
+
+    return {
+      currency: Config.merchant.currency,
+      amount: storeAmount,
+      rate: Money.rate(Config.merchant.currency, currency),
+      ratesAsOf: Money.ratesAsOf()
+    }
+  }
+
+  /**
+   * Convert a major-unit range filter (`?minAmount=12.50`) to minor units.
+   * @throws {AppError} 400 when not a number
+   */
+  _toMinorFilter(value, currency, name) {
+    const n = this._toNumber(value, name)
+    return Math.round(n * 10 ** Money.exponent(currency))
+  }
+
+  //====================================================
+  //  ACCESS (route roles live in Auth.authorize)
+  //====================================================
+
+  /**
+   * @param {import('http').IncomingMessage} req
+   * @returns {boolean} Whether the logged-in user is an admin
+   */
+  _isAdmin(req) {
+    return req.user?.role === USER_ROLES.ADMIN
+  }
+
+  /**
+   * @param {import('http').IncomingMessage} req
+   * @returns {boolean} Whether the logged-in user runs the store (merchant or admin)
+   */
+  _isStaff(req) {
+    return req.user?.role === USER_ROLES.MERCHANT || this._isAdmin(req)
+  }
+
+  /**
+   * How many of a payment's or order's products the logged-in merchant
+   * listed (`product.merchantId`). Records without products (plain
+   * payments) belong to no merchant.
+   *
+   * @param {import('http').IncomingMessage} req
+   * @param {Object} record - Payment (`productId` / `items`) or order (`items`)
+   * @returns {Promise<{ some: boolean, all: boolean }>}
+   */
+  async _merchantShare(req, record) {
+    const productIds = [record.productId, ...(record.items ?? []).map(item => item.productId)]
+      .filter(Boolean)
+    if (req.user?.role !== USER_ROLES.MERCHANT || !productIds.length) {
+      return { some: false, all: false }
+    }
+
+    const owned = new Set(await this._ownProductIds(req))
+    return {
+      some: productIds.some(id => owned.has(id)),
+      all: productIds.every(id => owned.has(id))
+    }
+  }
+
+  /**
+   * @param {import('http').IncomingMessage} req
+   * @returns {Promise<number[]>} Ids of the products the logged-in user listed
+   */
+  async _ownProductIds(req) {
+    const raw = await modelTools.find(PATH.PRODUCT_PATH, {
+      where: { merchantId: req.user?.userId },
+      fields: ['_id']
+    })
+    return raw[modelTools._extractEntityFromPath(PATH.PRODUCT_PATH)].map(product => product._id)
+  }
+
+  /**
+   * Check a payment belongs to the logged-in user (matched by email).
+   * Admins can read every payment.
+   *
+   * @param {import('http').IncomingMessage} req
+   * @param {Object} payment
+   * @throws {AppError} 403 someone else's payment
+   */
+  _assertPaymentOwner(req, payment) {
+    if (this._isAdmin(req) || payment.email === req.user?.email) return
+    throw AppError.Forbidden('Access denied: payment belongs to another user')
+  }
+
   _handleCatchBlockError(res, error) {
     AppError.handleCatchBlockError(res, error)
   }
@@ -0,0 +1,471 @@
+import { Config, PATH } from "../../config/config.js"
+import { modelTools } from "../../model/model-tools.js"
+import { CartCheckoutSchema, CartItemSchema, CartSchema, PaymentSchema } from "../../model/schemas.js"
+import { PAYMENT_STATES, PaymentLifecycle } from "../../services/payments/payment-lifecycle.service.js"
+import { StockReservation } from "../../services/products/stock-reservation.service.js"
+import { WEBHOOK_EVENTS, WebhookService } from "../../services/webhooks/webhook.service.js"
+import { AppError, ValidationError } from "../../utils/errors/error.utils.js"
+import { Money } from "../../utils/money.utils.js"
+import { BaseController } from "../base.controller.js"
+
+/**
+ * CartsController
+ *
+ * Shopping carts and multi-item checkout:
+ * - Carts belong to the authenticated user (`req.user`)
+ * - Items are `{ productId, quantity }`; prices are read from products
+ *   at checkout, never stored on the cart
+ * - Checkout holds stock for every line at once and creates one payment
+ *   with priced line items
+ */
+class CartsController extends BaseController {
+
+  //=====================================================
+  //  PUBLIC METHODS
+  //=====================================================
+
+  /**
+   * Create a cart for the authenticated user
+   *
+   * Body (optional): `{ items: [{ productId, quantity }] }`
+   *
+   * @param {import('http').IncomingMessage} req
+   * @param {import('http').ServerResponse} res
+   */
+  createCart = async (req, res) => {
+    const items = []
+    for (const item of this._getSanitizedItems(req)) {
+      await this._assertProductExists(item.productId)
+      this._mergeItem(items, item)
+    }
+
+    const created = await modelTools.create(this._cartPath, [
+      CartSchema.assert({ userId: req.user.userId, items })
+    ])
+
+    return this._sendResponse(res, {
+      status: 201,
+      message: 'Cart created',
+      data: await this._priceCart(created[this._entity][0])
+    })
+  }
+
+  /**
+   * Fetch the authenticated user's carts (paginated)
+   *
+   * Query: `?page=&limit=`, `?status=open|checked_out`
+   *
+   * @param {import('http').IncomingMessage} req
+   * @param {import('http').ServerResponse} res
+   */
+  getCarts = async (req, res) => {
+    const { items: carts, total, meta } = await this._paginate(req, this._cartPath, {
+      where: { userId: req.user.userId },
+      filters: {
+        status: (v) => ({ status: v }),
+      },
+      sortable: ['_id', 'createdAt', 'updatedAt'],
+      defaultSort: '-createdAt'
+    })
+
+    return this._sendResponse(res, {
+      status: 200,
+      data: { total, carts },
+      meta,
+      message: carts.length ? 'Carts fetched successfully' : 'No carts found'
+    })
+  }
+
+  /**
+   * Fetch one cart, priced with current product prices
+   *
+   * @param {import('http').IncomingMessage} req
+   * @param {import('http').ServerResponse} res
+   */
+  getCart = async (req, res) => {
+    const cart = await this._getOwnedCart(req)
+
+    return this._sendResponse(res, {
+      status: 200,
+      message: 'Cart fetched successfully',
+      data: await this._priceCart(cart)
+    })
+  }
+
+  /**
+   * Add a product to the cart (quantities of the same product are merged)
+   *
+   * Body: `{ productId, quantity }`
+   *
+   * @param {import('http').IncomingMessage} req
+   * @param {import('http').ServerResponse} res
+   */
+  addItem = async (req, res) => {
+    const item = CartItemSchema.assert({
+      productId: this._sanitizeScalar(req.body?.productId),
+      quantity: this._sanitizeScalar(req.body?.quantity)
+    })
+    await this._assertProductExists(item.productId)
+
+    const cart = await this._modifyCart(req, (items) => this._mergeItem(items, item))
+
+    return this._sendResponse(res, {
+      status: 200,
+      message: 'Item added to cart',
+      data: await this._priceCart(cart)
+    })
+  }
+
+  /**
+   * Change the quantity of a product in the cart
+   *
+   * Body: `{ quantity }`
+   *
+   * @param {import('http').IncomingMessage} req
+   * @param {import('http').ServerResponse} res
+   */
+  updateItem = async (req, res) => {
+    const productId = this._getItemProductId(req)
+    const { quantity } = CartItemSchema.pick(['quantity']).assert({
+      quantity: this._sanitizeScalar(req.body?.quantity)
+    })
+
+    const cart = await this._modifyCart(req, (items) => {
+      const line = this._findItem(items, productId)
+      line.quantity = quantity
+    })
+
+    return this._sendResponse(res, {
+      status: 200,
+      message: 'Cart item updated',
+      data: await this._priceCart(cart)
+    })
+  }
+
+  /**
+   * Remove a product from the cart
+   *
+   * @param {import('http').IncomingMessage} req
+   * @param {import('http').ServerResponse} res
+   */
+  removeItem = async (req, res) => {
+    const productId = this._getItemProductId(req)
+
+    const cart = await this._modifyCart(req, (items) => {
+      items.splice(items.indexOf(this._findItem(items, productId)), 1)
+    })
+
+    return this._sendResponse(res, {
+      status: 200,
+      message: 'Item removed from cart',
+      data: await this._priceCart(cart)
+    })
+  }
+
+  /**
+   * Check out a cart
+   *
+   * Flow:
+   * 1. Load the user's cart (409 if already paid or awaiting payment)
+   * 2. Hold stock for every line at once (404/409, nothing is held on failure)
+   * 3. Price every line from current products, in the payment currency
+   * 4. Create one payment with the line items
+   * 5. Mark the cart checked out
+   *
+   * A cart whose payment failed or was abandoned can be edited (which
+   * reopens it) and checked out again.
+   * Body (optional): `{ currency, channel, callback_url }`, see PaymentsController#payForProduct
+   * and PaymentsController#initializePayment.
+   *
+   * @param {import('http').IncomingMessage} req
+   * @param {import('http').ServerResponse} res
+   */
+  checkout = async (req, res) => {
+    const { currency, channel } = CartCheckoutSchema.assert({
+      currency: this._validateAndSanitizeString(req.body?.currency),
+      channel: this._validateAndSanitizeString(req.body?.channel)
+    })
+
+    const { payment, expiresAt } = await modelTools.transaction(this._cartPath, async () => {
+      const cart = await this._getOwnedCart(req)
+      await this._assertCheckoutAllowed(cart)
+
+      if (!cart.items.length) {
+        throw new ValidationError({ items: 'Cart is empty' })
+      }
+
+      const reference = this._generateReference()
+
+      const { reservations, products } = await StockReservation.holdMany({
+        items: cart.items,
+        paymentReference: reference
+      })
+
+      let payment
+      try {
+        // Unit prices are converted first, so lines always add up to the total
+        const items = cart.items.map(({ productId, quantity }, i) => {
+          const unitPrice = this._unitPriceIn(products[i], currency)
+          return { productId, name: products[i].name, unitPrice, quantity, lineTotal: unitPrice * quantity }
+        })
+        const storeAmount = cart.items.reduce(
+          (sum, { quantity }, i) => sum + Number(products[i].price) * quantity, 0
+        )
+
+        const paymentPayload = PaymentSchema.assert({
+          reference,
+          email: req.user.email,
+          userId: req.user.userId,
+          amount: items.reduce((sum, line) => sum + line.lineTotal, 0),
+          currency,
+          channel,
+          fx: this._fxRecord(storeAmount, currency),
+          cartId: cart._id,
+          items,
+          callbackUrl: this._sanitizeUrl(req.body?.callback_url),
+          ...PaymentLifecycle.initial({ actor: req.user.email })
+        })
+
+        const created = await modelTools.create(this._paymentPath, [paymentPayload])
+        payment = created[this._paymentEntity]?.[0]
+      } finally {
+        // Never leave stock held for a payment that does not exist
+        if (!payment?._id) {
+          await StockReservation.release(reference, { reason: 'Checkout failed' })
+        }
+      }
+
+      await modelTools.update(this._cartPath, [{
+        status: 'checked_out',
+        paymentReference: reference,
+        updatedAt: new Date().toISOString()
+      }], cart._id)
+
+      return { payment, expiresAt: reservations[0].expiresAt }
+    })
+
+    await WebhookService.emit(WEBHOOK_EVENTS.PAYMENT_INITIALIZED, payment)
+
+    const formatted = this._formatPayment(payment)
+
+    return this._sendResponse(res, {
+      status: 201,
+      message: 'Checkout started',
+      data: {
+        reference: payment.reference,
+        items: formatted.items,
+        totalAmount: formatted.amount,
+        fx: formatted.fx,
+        reservation: { expiresAt },
+        authorization_url: this._authorizationUrl(payment.reference)
+      }
+    })
+  }
+
+  //=====================================================
+  //  PRIVATE METHODS & PROPERTIES
+  //=====================================================
+
+  /** Path to cart storage */
+  _cartPath = PATH.CART_PATH
+
+  /** Extracted cart entity key */
+  _entity = modelTools._extractEntityFromPath(this._cartPath)
+
+  /** Path to payment storage */
+  _paymentPath = PATH.PAYMENT_PATH
+
+  /** Extracted payment entity key */
+  _paymentEntity = modelTools._extractEntityFromPath(this._paymentPath)
+
+  /** Path to product storage */
+  _productPath = PATH.PRODUCT_PATH
+
+  /** Extracted product entity key */
+  _productEntity = modelTools._extractEntityFromPath(this._productPath)
+
+  /**
+   * Fetch the cart from `req.ids.cartId` and check it belongs to `req.user`
+   *
+   * @param {import('http').IncomingMessage} req
+   * @returns {Promise<Object>}
+   * @throws {AppError} 400 bad id, 404 unknown cart, 403 someone else's cart
+   */
+  _getOwnedCart = async (req) => {
+    const cartId = Number(req.ids?.cartId)
+    if (!Number.isInteger(cartId) || cartId <= 0) {
+      throw AppError.BadRequest('Valid cartId is required')
+    }
+
+    const cart = (await modelTools.findOne(this._cartPath, cartId))[this._entity][0]
+    if (!cart) {
+      throw AppError.NotFound('Cart not found')
+    }
+
+    if (cart.userId !== req.user?.userId) {
+      throw AppError.Forbidden('Access denied: cart belongs to another user')
+    }
+
+    return cart
+  }
+
+  /**
+   * Apply `mutate(items)` to the cart under the cart lock and save it.
+   * A checked out cart whose payment failed or was abandoned is reopened;
+   * one with a live or successful payment cannot change (409).
+   *
+   * @param {import('http').IncomingMessage} req
+   * @param {(items: Object[]) => void} mutate - Changes `items` in place
+   * @returns {Promise<Object>} Updated cart
+   */
+  _modifyCart = async (req, mutate) => {
+    return modelTools.transaction(this._cartPath, async () => {
+      const cart = await this._getOwnedCart(req)
+
+      await this._assertCheckoutAllowed(cart)
+
+      const items = cart.items.map(item => ({ ...item }))
+      mutate(items)
+
+      const updated = await modelTools.update(this._cartPath, [{
+        items,
+        status: 'open',
+        updatedAt: new Date().toISOString()
+      }], cart._id)
+
+      return updated[this._entity][0]
+    })
+  }
+
+  /**
+   * Reject checkout or edits while the cart's last payment is still alive
+   * (or succeeded)
+   * @throws {AppError} 409
+   */
+  _assertCheckoutAllowed = async (cart) => {
+    if (cart.status !== 'checked_out') return
+
+    const raw = await modelTools.find(this._paymentPath, {
+      where: { reference: cart.paymentReference },
+      limit: 1
+    })
+    const previous = raw[this._paymentEntity][0]
+    const retryable = [PAYMENT_STATES.FAILED, PAYMENT_STATES.ABANDONED]
+
+    if (previous && !retryable.includes(previous.status)) {
+      throw AppError.Conflict(
+        `Cart already checked out (payment ${previous.reference} is ${previous.status})`
+      )
+    }
+  }
+
+  /**
+   * Add to an existing line for the same product, or append a new line
+   */
+  _mergeItem = (items, { productId, quantity }) => {
+    const line = items.find(i => i.productId === productId)
+    if (line) line.quantity += quantity
+    else items.push({ productId, quantity })
+  }
+
+  /**
+   * Find a cart line by product or throw 404
+   */
+  _findItem = (items, productId) => {
+    const line = items.find(i => i.productId === productId)
+    if (!line) {
+      throw AppError.NotFound('Product is not in this cart')
+    }
+    return line
+  }
+
+  /**
+   * Throw 404 unless the product exists
+   */
+  _assertProductExists = async (productId) => {
+    const product = (await modelTools.findOne(this._productPath, productId))[this._productEntity][0]
+    if (!product) {
+      throw AppError.NotFound('Product not found', 'Not Found', { productId })
+    }
+  }
+
+  /**
+   * Attach current prices (store currency) to a cart for display.
+   * Lines whose product was deleted are flagged `unavailable`.
+   *
+   * @param {Object} cart
+   * @returns {Promise<Object>}
+   */
+  _priceCart = async (cart) => {
+    const currency = Config.merchant.currency
+    let subtotal = 0
+
+    const items = await Promise.all(cart.items.map(async ({ productId, quantity }) => {
+      const product = (await modelTools.findOne(this._productPath, productId))[this._productEntity][0]
+      if (!product) return { productId, quantity, unavailable: true }
+
+      const lineTotal = Number(product.price) * quantity
+      subtotal += lineTotal
+      return {
+        productId,
+        name: product.name,
+        unitPrice: Money.view(Number(product.price), currency),
+        quantity,
+        lineTotal: Money.view(lineTotal, currency),
+        available: StockReservation.stockLevels(product).available
+      }
+    }))
+
+    return { ...cart, items, subtotal: Money.view(subtotal, currency) }
+  }
+
+  /**
+   * Validate the optional `items` array of a new cart
+   *
+   * @param {import('http').IncomingMessage} req
+   * @returns {Array<{ productId: number, quantity: number }>}
+   * @throws {ValidationError} 422 with the failing line index
+   */
+  _getSanitizedItems = (req) => {
+    const items = req.body?.items ?? []
+    if (!Array.isArray(items)) {
+      throw new ValidationError({ items: 'items must be an array' })
+    }
+
+    return items.map((item, i) => {
+      const { valid, errors, value } = CartItemSchema.validate({
+        productId: this._sanitizeScalar(item?.productId),
+        quantity: this._sanitizeScalar(item?.quantity)
+      })
+      if (!valid) {
+        throw new ValidationError(
+          Object.fromEntries(Object.entries(errors).map(([k, v]) => [`items[${i}].${k}`, v]))
+        )
+      }
+      return value
+    })
+  }
+
+  /**
+   * Extract the line's productId from route params
+   *
+   * @param {import('http').IncomingMessage} req
+   * @returns {number}
+   */
+  _getItemProductId = (req) => {
+    const productId = Number(req.ids?.productId)
+    if (!Number.isInteger(productId) || productId <= 0) {
+      throw AppError.BadRequest('Valid productId is required')
+    }
+    return productId
+  }
+
+  /**
+   * Generate unique payment reference
+   */
+  _generateReference = () => {
+    return `PAY_${Date.now()}_${Math.floor(Math.random() * 1000000)}`
+  }
+}
+
+export default new CartsController()
@@ -0,0 +1,184 @@
+import { Config, PATH } from "../../config/config.js"
+import { modelTools } from "../../model/model-tools.js"
+import { CheckoutCardSchema } from "../../model/schemas.js"
+import { PaymentLifecycle } from "../../services/payments/payment-lifecycle.service.js"
+import { PaymentVerification } from "../../services/payments/payment-verification.service.js"
+import { BaseController } from "../base.controller.js"
+import { renderCheckoutPage, renderErrorPage, renderResultPage } from "./checkout.view.js"
+
+/**
+ * CheckoutController
+ *
+ * The hosted payment page every `authorization_url` points to, standing in
+ * for the page a real gateway (Paystack, Stripe Checkout) would serve:
+ * - `GET /checkout/:reference` shows the amount, merchant and a card form
+ * - `POST /checkout/:reference/pay` verifies the payment with the entered
+ *   card (see TEST_CARDS), then redirects to the payment's `callbackUrl`
+ *   with `?reference=&status=`, or shows the outcome when there is none
+ *
+ * Pages are HTML, not JSON. Card details are only used to pick the
+ * simulated outcome and are never stored.
+ *
+ * The pages are public (anyone with the reference can open them), so
+ * views only get `_publicPayment()`: the payer email is masked.
+ */
+class CheckoutController extends BaseController {
+
+  //=====================================================
+  //  PUBLIC METHODS
+  //=====================================================
+
+  /**
+   * Render the checkout page (or the outcome, if already paid)
+   *
+   * @param {import('http').IncomingMessage} req
+   * @param {import('http').ServerResponse} res
+   */
+  showCheckout = async (req, res) => {
+    const payment = await this._getPayment(req)
+    if (!payment) return this._sendNotFound(res)
+
+    if (!PaymentLifecycle.isAwaitingVerification(payment.status)) {
+      return this._sendHtml(res, {
+        status: 200,
+        html: renderResultPage({
+          payment: this._publicPayment(payment),
+          merchant: Config.merchant.name,
+          message: 'This payment has already been processed.'
+        })
+      })
+    }
+
+    return this._sendHtml(res, {
+      status: 200,
+      html: renderCheckoutPage({ payment: this._publicPayment(payment), merchant: Config.merchant.name })
+    })
+  }
+
+  /**
+   * Submit the card form
+   *
+   * - Invalid card details: form is shown again with errors (422)
+   * - Otherwise the payment is verified with the card's simulated outcome
+   * - With a `callbackUrl`: 303 redirect there with `reference` and `status`
+   * - Without: outcome page
+   *
+   * Body (form-encoded): `card_number`, `expiry` (MM/YY), `cvv`
+   *
+   * @param {import('http').IncomingMessage} req
+   * @param {import('http').ServerResponse} res
+   */
+  submitCheckout = async (req, res) => {
+    const payment = await this._getPayment(req)
+    if (!payment) return this._sendNotFound(res)
+
+    const card = this._getSanitizedCard(req)
+    const { valid, errors } = CheckoutCardSchema.validate(card)
+
+    if (!valid && PaymentLifecycle.isAwaitingVerification(payment.status)) {
+      return this._sendHtml(res, {
+        status: 422,
+        html: renderCheckoutPage({
+          payment: this._publicPayment(payment),
+          merchant: Config.merchant.name,
+          errors,
+          values: { card_number: card.card_number, expiry: card.expiry }
+        })
+      })
+    }
+
+    // Already processed payments are returned untouched (no card needed)
+    const { payment: updatedPayment, message } = await PaymentVerification.verify(payment, {
+      actor: 'checkout',
+      card: card.card_number
+    })
+
+    if (updatedPayment.callbackUrl) {
+      return this._redirect(res, this._callbackLocation(updatedPayment))
+    }
+
+    return this._sendHtml(res, {
+      status: 200,
+      html: renderResultPage({
+        payment: this._publicPayment(updatedPayment),
+        merchant: Config.merchant.name,
+        message
+      })
+    })
+  }
+
+  //=====================================================
+  //  PRIVATE METHODS & PROPERTIES
+  //=====================================================
+
+  /** Path to payment storage */
+  _paymentPath = PATH.PAYMENT_PATH
+
+  /** Extracted entity key */
+  _entity = modelTools._extractEntityFromPath(this._paymentPath)
+
+  /**
+   * Find the payment named in the URL
+   * @returns {Promise<Object|undefined>}
+   */
+  _getPayment = async (req) => {
+    const reference = req.ids?.reference
+    if (!reference) return
+
+    const raw = await modelTools.find(this._paymentPath, {
+      where: { reference },
+      limit: 1
+    })
+    return raw[this._entity][0]
+  }
+
+  /**
+   * What the pages may show: no buyer ids, history or gateway data,
+   * and the email masked (`j***@example.com`)
+   */
+  _publicPayment = (payment) => ({
+    reference: payment.reference,
+    amount: payment.amount,
+    currency: payment.currency,
+    status: payment.status,
+    email: this._maskEmail(payment.email)
+  })
+
+  _maskEmail = (email) => {
+    const [local, domain] = String(email ?? '').split('@')
+    if (!local || !domain) return undefined
+    return `${local[0]}***@${domain}`
+  }
+
+  /**
+   * `callbackUrl` with the outcome appended (existing query kept)
+   */
+  _callbackLocation = (payment) => {
+    const url = new URL(payment.callbackUrl)
+    url.searchParams.set('reference', payment.reference)
+    url.searchParams.set('status', payment.status)
+    return url.toString()
+  }
+
+  _sendNotFound = (res) => {
+    return this._sendHtml(res, {
+      status: 404,
+      html: renderErrorPage('Payment not found.')
+    })
+  }
+
+  /**
+   * Card fields are digits and slashes only; escaping is left to the view
+   */
+  _getSanitizedCard = (req) => {
+    const clean = (v) => typeof v === 'string' ? v.replace(/[^\d/]/g, '') : undefined
+
+    return {
+      card_number: clean(req.body?.card_number),
+      expiry: clean(req.body?.expiry),
+      cvv: clean(req.body?.cvv)
+    }
+  }
+}
+
+export default new CheckoutController()
@@ -0,0 +1,126 @@
+import { TEST_CARDS } from "../../services/payments/payment-simulator.service.js"
+import { Helpers } from "../../utils/helper.utils.js"
+import { Money } from "../../utils/money.utils.js"
+
+/**
+ * HTML templates for the hosted checkout page.
+ *
+ * Every dynamic value goes through `esc()`; nothing from the payment or
+ * the form is ever written into the markup unescaped.
+ */
+
+const esc = (value) => Helpers.escapeHtml(value)
+
+const STYLE = `
+  body { font-family: system-ui, sans-serif; background: #f4f5f7; margin: 0; padding: 2rem 1rem; }
+  main { max-width: 420px; margin: 0 auto; background: #fff; border-radius: 8px; padding: 1.5rem; box-shadow: 0 1px 4px rgba(0,0,0,.1); }
+  h1 { font-size: 1.1rem; margin: 0 0 .25rem; }
+  .amount { font-size: 1.8rem; font-weight: 600; margin: .5rem 0 1.5rem; }
+  .muted { color: #666; font-size: .9rem; }
+  label { display: block; margin-bottom: 1rem; font-size: .9rem; }
+  input { display: block; width: 100%; box-sizing: border-box; padding: .6rem; margin-top: .25rem; border: 1px solid #ccc; border-radius: 4px; font-size: 1rem; }
+  .row { display: flex; gap: 1rem; }
+  .row label { flex: 1; }
+  .error { color: #b00020; font-size: .85rem; }
+  button { width: 100%; padding: .8rem; border: 0; border-radius: 4px; background: #0a7d45; color: #fff; font-size: 1rem; cursor: pointer; }
+  table { width: 100%; border-collapse: collapse; font-size: .85rem; margin-top: 1.5rem; }
+  td { padding: .2rem 0; }
+  .success { color: #0a7d45; }
+  .failed, .abandoned { color: #b00020; }
+`
+
+/**
+ * Wrap a page body in a full document.
+ * @param {string} title - Plain text (escaped here)
+ * @param {string} body - Markup
+ */
+const layout = (title, body) => `<!DOCTYPE html>
+<html lang="en">
+<head>
+  <meta charset="utf-8">
+  <meta name="viewport" content="width=device-width, initial-scale=1">
+  <title>${esc(title)}</title>
+  <style>${STYLE}</style>
+</head>
+<body>
+  <main>
+${body}
+  </main>
+</body>
+</html>
+`
+
+/** Inline field error, if any */
+const fieldError = (errors, field) =>
+  errors[field] ? `<span class="error">${esc(errors[field])}</span>` : ''
+
+/**
+ * Card form for a payment awaiting verification.
+ *
+ * @param {Object} params
+ * @param {Object} params.payment
+ * @param {string} params.merchant - Merchant display name
+ * @param {Object<string, string>} [params.errors={}] - Per-field messages
+ * @param {Object<string, string>} [params.values={}] - Previously entered values (never the CVV)
+ * @returns {string}
+ */
+export const renderCheckoutPage = ({ payment, merchant, errors = {}, values = {} }) => layout(
+  `Pay ${merchant}`,
+  `    <h1>${esc(merchant)}</h1>
+    <p class="muted">${payment.email ? `${esc(payment.email)} &middot; ` : ''}${esc(payment.reference)}</p>
+    <p class="amount">${esc(Money.format(payment.amount, payment.currency))}</p>
+
+    <form method="POST" action="/checkout/${encodeURIComponent(payment.reference)}/pay">
+      <label>Card number
+        <input name="card_number" inputmode="numeric" autocomplete="cc-number" required value="${esc(values.card_number)}">
+        ${fieldError(errors, 'card_number')}
+      </label>
+      <div class="row">
+        <label>Expiry (MM/YY)
+          <input name="expiry" placeholder="MM/YY" autocomplete="cc-exp" required value="${esc(values.expiry)}">
+          ${fieldError(errors, 'expiry')}
+        </label>
+        <label>CVV
+          <input name="cvv" inputmode="numeric" autocomplete="cc-csc" required>
+          ${fieldError(errors, 'cvv')}
+        </label>
+      </div>
+      <button type="submit">Pay ${esc(Money.format(payment.amount, payment.currency))}</button>
+    </form>
+
+    <table>
+      <caption class="muted">Test cards (any future expiry, any CVV)</caption>
+${Object.entries(TEST_CARDS).map(([card, outcome]) =>
+  `      <tr><td><code>${esc(card)}</code></td><td>${esc(outcome)}</td></tr>`
+).join('\n')}
+    </table>`
+)
+
+/**
+ * Outcome page, shown when there is no callback URL to return to.
+ *
+ * @param {Object} params
+ * @param {Object} params.payment
+ * @param {string} params.merchant
+ * @param {string} params.message
+ * @returns {string}
+ */
+export const renderResultPage = ({ payment, merchant, message }) => layout(
+  `Payment ${payment.status}`,
+  `    <h1>${esc(merchant)}</h1>
+    <p class="muted">${esc(payment.reference)}</p>
+    <p class="amount ${esc(payment.status)}">Payment ${esc(payment.status)}</p>
+    <p>${esc(message)}</p>`
+)
+
+/**
+ * Error page (unknown payment reference).
+ *
+ * @param {string} message
+ * @returns {string}
+ */
+export const renderErrorPage = (message) => layout(
+  'Checkout',
+  `    <h1>Checkout unavailable</h1>
+    <p>${esc(message)}</p>`
+)
@@ -0,0 +1,189 @@
+import { PATH } from "../../config/config.js"
+import { modelTools } from "../../model/model-tools.js"
+import { UpdateOrderStatusSchema } from "../../model/schemas.js"
+import { ORDER_STATES, OrderService } from "../../services/orders/order.service.js"
+import { AppError } from "../../utils/errors/error.utils.js"
+import { BaseController } from "../base.controller.js"
+
+/**
+ * OrdersController
+ *
+ * Orders are created by OrderService when a product or cart payment
+ * succeeds; this controller lists them and moves them through fulfilment.
+ * Buyers only see their own orders and may cancel them while `placed`.
+ * Merchants see the orders holding their products and fulfil those made
+ * of their products only; admins see and fulfil every order.
+ */
+class OrdersController extends BaseController {
+
+  //=====================================================
+  //  PUBLIC METHODS
+  //=====================================================
+
+  /**
+   * Fetch the authenticated user's orders (paginated; merchants: also the
+   * orders holding their products; admins: all)
+   *
+   * Query: `?page=&limit=` or `?after=`, `?sort=-createdAt`,
+   * filters `?status=placed,shipped&createdFrom=&createdTo=`
+   *
+   * @param {import('http').IncomingMessage} req
+   * @param {import('http').ServerResponse} res
+   */
+  getOrders = async (req, res) => {
+    const { items: orders, total, meta } = await this._paginate(req, this._orderPath, {
+      where: await this._visibleOrders(req),
+      filters: {
+        status: (v) => ({ status: { $in: v.split(',') } }),
+        createdFrom: (v) => ({ createdAt: { $gte: this._toISODate(v) } }),
+        createdTo: (v) => ({ createdAt: { $lte: this._toISODate(v, true) } }),
+      },
+      sortable: ['_id', 'createdAt', 'updatedAt', 'totalAmount', 'status'],
+      defaultSort: '-createdAt'
+    })
+
+    return this._sendResponse(res, {
+      status: 200,
+      data: { total, orders: orders.map(this._formatOrder) },
+      meta,
+      message: orders.length ? 'Orders fetched successfully' : 'No orders found'
+    })
+  }
+
+  /**
+   * Fetch a single order
+   *
+   * @param {import('http').IncomingMessage} req
+   * @param {import('http').ServerResponse} res
+   */
+  getOrder = async (req, res) => {
+    const { order } = await this._getOrderAccess(req)
+
+    return this._sendResponse(res, {
+      status: 200,
+      data: this._formatOrder(order),
+      message: 'Order fetched successfully'
+    })
+  }
+
+  /**
+   * Move an order to a new fulfilment status
+   *
+   * Body: `{ status: 'shipped' | 'delivered' | 'cancelled', reason? }`
+   * Cancelling refunds the linked payment; the refund is returned too.
+   *
+   * - Admins, and merchants whose products make up the whole order: any
+   *   move allowed by the order lifecycle
+   * - Buyers: cancel only, while the order is still `placed` (once
+   *   shipped, a refund is the merchant's call)
+   * - Merchants sharing an order with another merchant: read only
+   *
+   * @param {import('http').IncomingMessage} req
+   * @param {import('http').ServerResponse} res
+   */
+  updateOrderStatus = async (req, res) => {
+    const { order, canManage } = await this._getOrderAccess(req)
+    const { status, reason } = UpdateOrderStatusSchema.assert({
+      status: this._sanitizeScalar(req.body?.status),
+      reason: this._sanitizeScalar(req.body?.reason)
+    })
+
+    const isBuyer = order.userId === req.user.userId
+    if (!canManage && !(isBuyer && status === ORDER_STATES.CANCELLED)) {
+      throw AppError.Forbidden(isBuyer
+        ? `Access denied: only the order's merchant or an admin can mark it ${status}`
+        : 'Access denied: order includes products of another merchant')
+    }
+
+    const { order: updatedOrder, refund } = await OrderService.updateStatus(order._id, status, {
+      actor: req.user.email,
+      reason,
+      from: canManage ? null : [ORDER_STATES.PLACED]
+    })
+
+    return this._sendResponse(res, {
+      status: 200,
+      message: refund
+        ? `Order ${status}, payment refunded`
+        : `Order ${status}`,
+      data: {
+        order: this._formatOrder(updatedOrder),
+        refund: this._formatAmounts(refund, ['amount'])
+      }
+    })
+  }
+
+  //=====================================================
+  //  PRIVATE METHODS & PROPERTIES
+  //=====================================================
+
+  /** Path to order storage */
+  _orderPath = PATH.ORDER_PATH
+
+  /** Extracted entity key */
+  _entity = modelTools._extractEntityFromPath(this._orderPath)
+
+  /**
+   * Order with its amounts and line items formatted
+   * @param {Object} order
+   * @returns {Object}
+   */
+  _formatOrder = (order) => ({
+    ...this._formatAmounts(order, ['subtotal', 'totalAmount']),
+    items: this._formatLines(order.items, order.currency)
+  })
+
+  /**
+   * Orders the user can list: their own, plus (merchants) those holding
+   * one of their products; admins list every order
+   *
+   * @param {import('http').IncomingMessage} req
+   * @returns {Promise<Object>} `where` filter
+   */
+  _visibleOrders = async (req) => {
+    if (this._isAdmin(req)) return {}
+
+    const own = { userId: req.user.userId }
+    if (!this._isStaff(req)) return own
+
+    const productIds = new Set(await this._ownProductIds(req))
+    const raw = await modelTools.find(this._orderPath, { fields: ['_id', 'items'] })
+    const sold = raw[this._entity]
+      .filter(order => order.items.some(item => productIds.has(item.productId)))
+      .map(order => order._id)
+
+    return { $or: [own, { _id: { $in: sold } }] }
+  }
+
+  /**
+   * Fetch the order from `req.ids.orderId` and check the user can reach it:
+   * its buyer, an admin, or a merchant of one of its products
+   *
+   * @param {import('http').IncomingMessage} req
+   * @returns {Promise<{ order: Object, canManage: boolean }>} `canManage`:
+   *   admin, or merchant of every product in the order
+   * @throws {AppError} 400 bad id, 404 unknown order, 403 someone else's order
+   */
+  _getOrderAccess = async (req) => {
+    const orderId = Number(req.ids?.orderId)
+    if (!Number.isInteger(orderId) || orderId <= 0) {
+      throw AppError.BadRequest('Valid orderId is required')
+    }
+
+    const order = (await modelTools.findOne(this._orderPath, orderId))[this._entity][0]
+    if (!order) {
+      throw AppError.NotFound('Order not found')
+    }
+
+    if (this._isAdmin(req)) return { order, canManage: true }
+
+    const share = await this._merchantShare(req, order)
+    if (order.userId !== req.user?.userId && !share.some) {
+      throw AppError.Forbidden('Access denied: order belongs to another user')
+    }
+
+    return { order, canManage: share.all }
+  }
+}
+
+export default new OrdersController()
@@ -1,4 +1,12 @@
+import { Config, PATH, settings } from "../../config/config.js"
 import { modelTools } from "../../model/model-tools.js"
+import { InitializePaymentSchema, PayForProductSchema, PaymentSchema } from "../../model/schemas.js"
+import { PaymentLifecycle } from "../../services/payments/payment-lifecycle.service.js"
+import { PaymentVerification, VERIFICATION_RESULTS } from "../../services/payments/payment-verification.service.js"
+import { StockReservation } from "../../services/products/stock-reservation.service.js"
+import { WEBHOOK_EVENTS, WebhookService } from "../../services/webhooks/webhook.service.js"
+import { ValidationError } from "../../utils/errors/error.utils.js"
+import { Money } from "../../utils/money.utils.js"
 import { BaseController } from "../base.controller.js"
 
 /**
@@ -22,35 +30,43 @@ class PaymentsController extends BaseController {
    * Initialize a payment transaction
    *
    * Flow:
-   * 1. Sanitize payload
-   * 2. Validate required fields
+   * 1. Sanitize payload; the payer is the logged-in user (`req.user.email`)
+   * 2. Validate (422 with per-field errors); `amount` is in major units
+   *    and stored in minor units of `currency` (default: store currency)
    * 3. Generate reference
-   * 4. Persist payment with "pending" status
-   * 5. Return simulated authorization URL
+   * 4. Persist payment in the "initialized" state
+   * 5. Return the hosted checkout page URL (`authorization_url`)
+   *
+   * `callback_url` (optional): where the checkout page redirects when done,
+   * with `?reference=&status=` appended.
+   * `channel` (optional, default "card"): picks the fee schedule applied
+   * when the payment succeeds (see FeeService).
+   *
+   * Dev mode only: `simulate` forces the verification outcome
+   * (see PaymentSimulator).
    *
    * @param {import('http').IncomingMessage} req
    * @param {import('http').ServerResponse} res
    */
   initializePayment = async (req, res) => {
-    const { email, amount, currency } = this._getSanitizedData(req)
-
-    if (!email || !amount) {
-      return this._sendResponse(res, {
-        status: 400,
-        message: 'Email and amount are required'
-      })
-    }
-
+    const { amount, currency, channel, simulate, callbackUrl } = this._getSanitizedData(req)
+    const { email, userId } = req.user
     const reference = this._generateReference()
 
-    const paymentPayload = {
-      email,
-      amount: Number(amount),
-      currency: currency ?? 'NGN',
+    // Validation + coercion ("5000.50" NGN → 500050 kobo)
+    const input = InitializePaymentSchema.assert({ email, amount, currency, channel })
+
+    const paymentPayload = PaymentSchema.assert({
+      email: input.email,
+      userId,
+      amount: Money.toMinor(input.amount, input.currency),
+      currency: input.currency,
+      channel: input.channel,
       reference,
-      status: 'pending',
-      createdAt: new Date().toISOString()
-    }
+      callbackUrl,
+      simulate: this._getSimulateOverride(simulate),
+      ...PaymentLifecycle.initial({ actor: email })
+    })
 
     const created = await modelTools.create(this._paymentPath, [paymentPayload])
     const payment = created[this._entity]?.[0]
@@ -62,12 +78,14 @@ class PaymentsController extends BaseController {
       })
     }
 
+    await WebhookService.emit(WEBHOOK_EVENTS.PAYMENT_INITIALIZED, payment)
+
     return this._sendResponse(res, {
       status: 201,
       message: 'Payment initialized',
       data: {
         reference,
-        authorization_url: `https://fake-gateway.dev/pay/${reference}`
+        authorization_url: this._authorizationUrl(reference)
       }
     })
   }
@@ -76,70 +94,65 @@ class PaymentsController extends BaseController {
  * Pay for a product
  *
  * Simulates a real-world checkout payment flow:
- * - Validate product & quantity
+ * - Validate product & quantity (the payer is the logged-in user)
+ * - Reserve product stock (soft lock, released if never verified)
  * - Calculate total cost
  * - Initialize payment
- * - Reserve product stock (soft lock)
+ *
+ * `currency` (optional) pays in another currency than the store's: the
+ * price is converted with the local FX table and the rate is recorded
+ * on the payment (`fx`). `channel` is as for `initializePayment`.
+ *
+ * Dev mode only: `simulate` forces the verification outcome.
  *
  * @param {import('http').IncomingMessage} req
  * @param {import('http').ServerResponse} res
  */
 payForProduct = async (req, res) => {
-  const { productId, quantity, email } = this._getSanitizedData(req)
-
-  if (!productId || !quantity || !email) {
-    return this._sendResponse(res, {
-      status: 400,
-      message: 'productId, quantity and email are required'
-    })
-  }
+  const { productId, quantity: qty, email, currency, channel, simulate, callbackUrl } = PayForProductSchema.assert({
+    ...this._getSanitizedData(req),
+    email: req.user.email
+  })
 
-  const qty = Number(quantity)
-  if (!Number.isInteger(qty) || qty <= 0) {
-    return this._sendResponse(res, {
-      status: 400,
-      message: 'Quantity must be a positive integer'
-    })
-  }
+  const reference = this._generateReference()
 
-  // Fetch product
-  const products = await modelTools.findAll(this._productPath)
-  const product = products[this._productEntity]
-    .find(p => p._id === Number(productId))
+  // Hold stock first: 404 unknown product, 409 not enough available
+  const { reservation, product } = await StockReservation.hold({
+    productId,
+    quantity: qty,
+    paymentReference: reference
+  })
 
-  if (!product) {
-    return this._sendResponse(res, {
-      status: 404,
-      message: 'Product not found'
-    })
-  }
+  let payment
+  try {
+    // Calculate total in the payment currency (422 if there is no FX rate)
+    const unitPrice = this._unitPriceIn(product, currency)
 
-  if (product.numberInStock < qty) {
-    return this._sendResponse(res, {
-      status: 409,
-      message: 'Insufficient product stock'
+    // Create payment (PENDING)
+    const paymentPayload = PaymentSchema.assert({
+      reference,
+      email,
+      userId: req.user.userId,
+      productId: product._id,
+      quantity: qty,
+      amount: unitPrice * qty,
+      currency,
+      channel,
+      fx: this._fxRecord(Number(product.price) * qty, currency),
+      callbackUrl,
+      simulate: this._getSimulateOverride(simulate),
+      ...PaymentLifecycle.initial({ actor: email })
     })
-  }
-
-  // Calculate total
-  const totalAmount = product.price * qty
-  const reference = this._generateReference()
 
-  // Create payment (PENDING)
-  const paymentPayload = {
-    reference,
-    email,
-    productId: product._id,
-    quantity: qty,
-    amount: totalAmount,
-    currency: 'NGN',
-    status: 'pending',
-    createdAt: new Date().toISOString()
+    const created = await modelTools.create(this._paymentPath, [paymentPayload])
+    payment = created[this._entity]?.[0]
+  } finally {
+    // Never leave stock held for a payment that does not exist
+    if (!payment?._id) {
+      await StockReservation.release(reference, { reason: 'Payment initialization failed' })
+    }
   }
 
-  const created = await modelTools.create(this._paymentPath, [paymentPayload])
-  const payment = created[this._entity]?.[0]
-
   if (!payment?._id) {
     return this._sendResponse(res, {
       status: 500,
@@ -147,6 +160,8 @@ payForProduct = async (req, res) => {
     })
   }
 
+  await WebhookService.emit(WEBHOOK_EVENTS.PAYMENT_INITIALIZED, payment)
+
   return this._sendResponse(res, {
     status: 201,
     message: 'Payment initialized for product',
@@ -156,10 +171,15 @@ payForProduct = async (req, res) => {
         id: product._id,
         name: product.name,
         quantity: qty,
-        unitPrice: product.price,
-        totalAmount
+        unitPrice: Money.view(payment.amount / qty, payment.currency),
+        totalAmount: Money.view(payment.amount, payment.currency)
       },
-      authorization_url: `https://fake-gateway.dev/pay/${reference}`
+      fx: this._formatPayment(payment).fx,
+      reservation: {
+        quantity: reservation.quantity,
+        expiresAt: reservation.expiresAt
+      },
+      authorization_url: this._authorizationUrl(reference)
     }
   })
 }
@@ -167,10 +187,17 @@ payForProduct = async (req, res) => {
   /**
    * Verify a payment transaction
    *
-   * Simulates gateway verification:
-   * - If reference exists
-   * - Randomly marks payment as success or failed
-   * - Idempotent (won't re-process completed payments)
+   * Simulates gateway verification through PaymentVerification:
+   * - If reference exists and belongs to the logged-in user (or an admin asks)
+   * - Asks PaymentSimulator for the gateway response (deterministic for
+   *   magic amounts / emails, seeded or random otherwise)
+   * - Timeout: payment stays awaiting verification ("pending"), 202
+   * - Otherwise moves it to "processing", then "success" or "failed"
+   *   (every step is recorded in `history` by PaymentLifecycle)
+   * - Product payments: held stock is committed on success, released on
+   *   failure; a hold past its TTL abandons the payment (409)
+   * - Product and cart payments that succeed create an order (OrderService)
+   * - Idempotent (won't re-process payments past the pending stage)
    *
    * @param {import('http').IncomingMessage} req
    * @param {import('http').ServerResponse} res
@@ -185,8 +212,7 @@ payForProduct = async (req, res) => {
       })
     }
 
-    const payments = await this._getPayments()
-    const payment = payments.find(p => p.reference === reference)
+    const payment = await this._getPaymentByReference(reference)
 
     if (!payment) {
       return this._sendResponse(res, {
@@ -195,49 +221,56 @@ payForProduct = async (req, res) => {
       })
     }
 
-    // Idempotency: do not re-process completed payments
-    if (payment.status !== 'pending') {
-      return this._sendResponse(res, {
-        status: 200,
-        message: 'Payment already processed',
-        data: payment
-      })
-    }
-
-    // Simulate gateway response
-    const isSuccessful = Math.random() >= 0.3 // ~70% success rate
-
-    const updatedStatus = isSuccessful ? 'success' : 'failed'
+    this._assertPaymentOwner(req, payment)
 
-    const updated = await this._updatePayment(payment._id, [{
-      status: updatedStatus,
-      verifiedAt: new Date().toISOString()
-    }])
-
-    const updatedPayment = updated[this._entity]?.[0]
+    const { result, payment: updatedPayment, message } = await PaymentVerification.verify(payment, {
+      actor: req.user.email
+    })
 
     return this._sendResponse(res, {
-      status: 200,
-      message: `Payment ${updatedStatus}`,
-      data: updatedPayment
+      status: this._verificationStatus[result],
+      message,
+      data: this._formatPayment(updatedPayment)
     })
   }
 
   /**
-   * Fetch all payments
+   * Fetch the logged-in user's payments (paginated; admins see every payment)
+   *
+   * Query: `?page=&limit=` or `?after=`, `?sort=-createdAt`,
+   * filters `?status=&email=&currency=&reference=&minAmount=&maxAmount=&createdFrom=&createdTo=`
+   * (`minAmount` / `maxAmount` in major units of `?currency`, default: store currency)
    *
    * @param {import('http').IncomingMessage} req
    * @param {import('http').ServerResponse} res
    */
   getPayments = async (req, res) => {
-    const payments = await this._getPayments()
+    const currency = String(req.query?.currency ?? '').toUpperCase()
+    const amountCurrency = Money.isCurrency(currency) ? currency : Config.merchant.currency
+
+    const { items: payments, total, meta } = await this._paginate(req, this._paymentPath, {
+      where: this._isAdmin(req) ? {} : { email: req.user.email },
+      filters: {
+        status: (v) => ({ status: { $in: v.split(',') } }),
+        email: (v) => ({ email: { $regex: `^${this._escapeRegex(v)}$`, $options: 'i' } }),
+        currency: (v) => ({ currency: v.toUpperCase() }),
+        reference: (v) => ({ reference: v }),
+        minAmount: (v) => ({ amount: { $gte: this._toMinorFilter(v, amountCurrency, 'minAmount') } }),
+        maxAmount: (v) => ({ amount: { $lte: this._toMinorFilter(v, amountCurrency, 'maxAmount') } }),
+        createdFrom: (v) => ({ createdAt: { $gte: this._toISODate(v) } }),
+        createdTo: (v) => ({ createdAt: { $lte: this._toISODate(v, true) } }),
+      },
+      sortable: ['_id', 'createdAt', 'amount', 'status', 'verifiedAt'],
+      defaultSort: '-createdAt'
+    })
 
     return this._sendResponse(res, {
       status: 200,
       data: {
-        total: payments.length,
-        payments
+        total,
+        payments: payments.map(p => this._formatPayment(p))
       },
+      meta,
       message: payments.length
         ? 'Payments fetched successfully'
         : 'No payments found'
@@ -245,7 +278,7 @@ payForProduct = async (req, res) => {
   }
 
   /**
-   * Fetch a single payment by reference
+   * Fetch a single payment by reference (owner or admin)
    *
    * @param {import('http').IncomingMessage} req
    * @param {import('http').ServerResponse} res
@@ -253,8 +286,7 @@ payForProduct = async (req, res) => {
   getPayment = async (req, res) => {
     const reference = this._getPaymentReference(req)
 
-    const payments = await this._getPayments()
-    const payment = payments.find(p => p.reference === reference)
+    const payment = await this._getPaymentByReference(reference)
 
     if (!payment) {
       return this._sendResponse(res, {
@@ -264,9 +296,11 @@ payForProduct = async (req, res) => {
       })
     }
 
+    this._assertPaymentOwner(req, payment)
+
     return this._sendResponse(res, {
       status: 200,
-      data: payment,
+      data: this._formatPayment(payment),
       message: 'Payment fetched successfully'
     })
   }
@@ -276,11 +310,25 @@ payForProduct = async (req, res) => {
   //=====================================================
 
   /** Path to payment storage */
-  _paymentPath = './model/payments/payments.json'
+  _paymentPath = PATH.PAYMENT_PATH
 
   /** Extracted entity key */
   _entity = modelTools._extractEntityFromPath(this._paymentPath)
 
+  /** Path to product storage */
+  _productPath = PATH.PRODUCT_PATH
+
+  /** Extracted product entity key */
+  _productEntity = modelTools._extractEntityFromPath(this._productPath)
+
+  /** HTTP status per PaymentVerification result */
+  _verificationStatus = {
+    [VERIFICATION_RESULTS.PROCESSED]: 200,
+    [VERIFICATION_RESULTS.ALREADY_PROCESSED]: 200,
+    [VERIFICATION_RESULTS.EXPIRED]: 409,
+    [VERIFICATION_RESULTS.TIMEOUT]: 202,
+  }
+
   /**
    * Fetch all payments
    */
@@ -290,10 +338,17 @@ payForProduct = async (req, res) => {
   }
 
   /**
-   * Update payment record
+   * Fetch a single payment by its reference
+   * @param {string} reference
+   * @returns {Promise<Object|undefined>}
    */
-  _updatePayment = async (_id, data) =>
-    modelTools.update(this._paymentPath, data, _id)
+  _getPaymentByReference = async (reference) => {
+    const raw = await modelTools.find(this._paymentPath, {
+      where: { reference },
+      limit: 1
+    })
+    return raw[this._entity][0]
+  }
 
   /**
    * Sanitize incoming payload
@@ -302,10 +357,30 @@ payForProduct = async (req, res) => {
     const sanitize = (v) => this._validateAndSanitizeString(v)
 
     return {
-      email: sanitize(req.body?.email),
-      amount: sanitize(req.body?.amount),
-      currency: sanitize(req.body?.currency)
+      amount: this._sanitizeScalar(req.body?.amount),
+      currency: sanitize(req.body?.currency),
+      channel: sanitize(req.body?.channel),
+      productId: this._sanitizeScalar(req.body?.productId),
+      quantity: this._sanitizeScalar(req.body?.quantity),
+      simulate: sanitize(req.body?.simulate),
+      callbackUrl: this._sanitizeUrl(req.body?.callback_url)
+    }
+  }
+
+  /**
+   * Per-payment simulator override, only honoured in development.
+   *
+   * @param {string|undefined} simulate
+   * @returns {string|undefined}
+   * @throws {ValidationError} 422 when used outside dev mode
+   */
+  _getSimulateOverride = (simulate) => {
+    if (!simulate) return undefined
+
+    if (!settings.isDevMode) {
+      throw new ValidationError({ simulate: 'simulate is only available in development mode' })
     }
+    return simulate
   }
 
   /**
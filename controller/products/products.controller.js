@@ -1,4 +1,9 @@
+import { Config, PATH } from "../../config/config.js"
 import { modelTools } from "../../model/model-tools.js"
+import { ProductSchema } from "../../model/schemas.js"
+import { StockReservation } from "../../services/products/stock-reservation.service.js"
+import { AppError } from "../../utils/errors/error.utils.js"
+import { Money } from "../../utils/money.utils.js"
 import { BaseController } from "../base.controller.js"
 
 /**
@@ -24,7 +29,7 @@ class ProductsController extends BaseController {
    *
    * Steps:
    * 1. Sanitize input
-   * 2. Validate required fields
+   * 2. Validate against ProductSchema (422 with per-field errors)
    * 3. Check for duplicate product name
    * 4. Create product
    * 5. Return response
@@ -33,22 +38,17 @@ class ProductsController extends BaseController {
    * @param {import('http').ServerResponse} res
    */
   createProduct = async (req, res) => {
-    const data = this._getSanitizedData(req)
-    const { name, description, price, numberInStock } = data
-
-    // Required field check
-    if (!name) {
-      return this._sendResponse(res, {
-        status: 400,
-        message: 'Product name is required'
-      })
-    }
+    // Validation + coercion ("8500.50" → 850050 minor units, name upper-cased, defaults applied)
+    const product = ProductSchema.assert({
+      ...this._getSanitizedData(req),
+      merchantId: req.user.userId
+    })
 
     // Check for existing product
-    const products = await this._getProducts()
-    const exists = products.find(
-      p => p.name === name.toUpperCase()
-    )
+    const exists = (await this._findProducts({
+      where: { name: product.name },
+      limit: 1
+    }))[0]
 
     if (exists) {
       return this._sendResponse(res, {
@@ -58,12 +58,7 @@ class ProductsController extends BaseController {
     }
 
     // Create product
-    const created = await modelTools.create(this._productPath, [{
-      name: name.toUpperCase(),
-      description,
-      price,
-      numberInStock
-    }])
+    const created = await modelTools.create(this._productPath, [product])
 
     const newProduct = created[this._entity]?.[0]
 
@@ -76,7 +71,7 @@ class ProductsController extends BaseController {
 
     return this._sendResponse(res, {
       status: 201,
-      data: newProduct,
+      data: this._formatProduct(newProduct),
       message: 'Product registered successfully'
     })
   }
@@ -86,14 +81,16 @@ class ProductsController extends BaseController {
    *
    * Steps:
    * 1. Extract and validate productId
-   * 2. Fetch existing product
-   * 3. Sanitize provided fields
+   * 2. Fetch existing product, check the merchant listed it (admins: any)
+   * 3. Sanitize and validate provided fields (ProductSchema, partial)
    * 4. Check for name conflicts
-   * 5. Update product safely
+   * 5. Update product safely (`numberInStock` may not drop below the
+   *    `reservedStock` held by pending payments)
    * 6. Return response
    *
    * @param {import('http').IncomingMessage} req
    * @param {import('http').ServerResponse} res
+   * @throws {AppError} 403 another merchant's product, 409 numberInStock below reservedStock
    */
   updateProduct = async (req, res) => {
     const productId = Number(this._getProductId(req)?.productId)
@@ -106,35 +103,47 @@ class ProductsController extends BaseController {
         message: 'Product not found'
       })
     }
-
-    const data = this._getSanitizedData(req)
+    this._assertProductOwner(req, foundProduct)
+
+    // SAFE UPDATE PAYLOAD (ignore undefined fields), validated and coerced
+    const updatePayload = ProductSchema.assert(
+      Object.fromEntries(
+        Object.entries(this._getSanitizedData(req)).filter(([, v]) => v !== undefined)
+      ),
+      { partial: true }
+    )
 
     // Name conflict check (only if name provided)
-    if (data.name) {
-      const products = await this._getProducts()
-      const conflict = products.find(
-        p =>
-          p._id !== foundProduct._id &&
-          p.name === data.name.toUpperCase()
-      )
+    if (updatePayload.name) {
+      const conflict = (await this._findProducts({
+        where: {
+          _id: { $ne: foundProduct._id },
+          name: updatePayload.name
+        },
+        limit: 1
+      }))[0]
 
       if (conflict) {
         return this._sendResponse(res, {
           status: 409,
-          message: `Product with name "${data.name}" already exists`
+          message: `Product with name "${updatePayload.name}" already exists`
         })
       }
     }
 
-    // SAFE UPDATE PAYLOAD (ignore undefined fields)
-    const updatePayload = Object.fromEntries(
-      Object.entries({
-        ...data,
-        name: data.name?.toUpperCase()
-      }).filter(([, v]) => v !== undefined)
-    )
+    // Under the products lock: reservations change reservedStock concurrently
+    const updated = await modelTools.transaction(this._productPath, async () => {
+      if (updatePayload.numberInStock !== undefined) {
+        const reserved = Number((await this._getProduct(foundProduct._id))[0]?.reservedStock ?? 0)
+        if (updatePayload.numberInStock < reserved) {
+          throw AppError.Conflict(
+            `numberInStock cannot be below the ${reserved} unit(s) reserved by pending payments`
+          )
+        }
+      }
 
-    const updated = await this._updateProduct(foundProduct._id, [updatePayload])
+      return this._updateProduct(foundProduct._id, [updatePayload])
+    })
     const updatedProduct = updated[this._entity]?.[0]
 
     if (!updatedProduct?._id) {
@@ -147,25 +156,42 @@ class ProductsController extends BaseController {
     return this._sendResponse(res, {
       status: 200,
       message: 'Product updated successfully',
-      data: updatedProduct
+      data: this._formatProduct(updatedProduct)
     })
   }
 
   /**
-   * Fetch all products
+   * Fetch products (paginated)
+   *
+   * Query: `?page=&limit=` or `?after=`, `?sort=-price`,
+   * filters `?name=&minPrice=&maxPrice=&inStock=true&createdFrom=&createdTo=`
+   * (`minPrice` / `maxPrice` in major units of the store currency)
    *
    * @param {import('http').IncomingMessage} req
    * @param {import('http').ServerResponse} res
    */
   getProducts = async (req, res) => {
-    const products = await this._getProducts()
+    const { items: products, total, meta } = await this._paginate(req, this._productPath, {
+      filters: {
+        name: (v) => ({ name: { $regex: this._escapeRegex(v), $options: 'i' } }),
+        minPrice: (v) => ({ price: { $gte: this._toMinorFilter(v, this._currency, 'minPrice') } }),
+        maxPrice: (v) => ({ price: { $lte: this._toMinorFilter(v, this._currency, 'maxPrice') } }),
+        inStock: (v) => v === 'true'
+          ? { numberInStock: { $gt: 0 } }
+          : { $or: [{ numberInStock: { $lte: 0 } }, { numberInStock: { $exists: false } }] },
+        createdFrom: (v) => ({ createdAt: { $gte: this._toISODate(v) } }),
+        createdTo: (v) => ({ createdAt: { $lte: this._toISODate(v, true) } }),
+      },
+      sortable: ['_id', 'createdAt', 'name', 'price', 'numberInStock'],
+    })
 
     return this._sendResponse(res, {
       status: 200,
       data: {
-        numberOfProductsInDb: products.length,
-        products
+        numberOfProductsInDb: total,
+        products: products.map(p => this._formatProduct(this._withStockLevels(p)))
       },
+      meta,
       message: products.length
         ? 'Products fetched successfully.'
         : 'No products found'
@@ -175,6 +201,9 @@ class ProductsController extends BaseController {
   /**
    * Fetch a single product by ID
    *
+   * `stock` shows on-hand, reserved (held by unverified payments)
+   * and available units.
+   *
    * @param {import('http').IncomingMessage} req
    * @param {import('http').ServerResponse} res
    */
@@ -194,36 +223,39 @@ class ProductsController extends BaseController {
 
     return this._sendResponse(res, {
       status: 200,
-      data: product,
+      data: this._formatProduct(this._withStockLevels(product)),
       message: 'Product fetched successfully'
     })
   }
 
   /**
-   * Delete a product by ID
+   * Delete a product by ID (its merchant or an admin)
    *
    * @param {import('http').IncomingMessage} req
    * @param {import('http').ServerResponse} res
+   * @throws {AppError} 403 another merchant's product
    */
   deleteProduct = async (req, res) => {
     const productId = Number(this._getProductId(req)?.productId)
     this._validateProductId(productId)
 
-    const deletedProduct =
-      (await this._deleteProduct(productId))[this._entity]?.[0]
-
-    if (!deletedProduct) {
+    const foundProduct = (await this._getProduct(productId))[0]
+    if (!foundProduct) {
       return this._sendResponse(res, {
         status: 404,
         message: 'Product not found',
         data: null
       })
     }
+    this._assertProductOwner(req, foundProduct)
+
+    const deletedProduct =
+      (await this._deleteProduct(productId))[this._entity]?.[0]
 
     return this._sendResponse(res, {
       status: 200,
       message: 'Product deleted successfully',
-      data: deletedProduct
+      data: this._formatProduct(deletedProduct)
     })
   }
 
@@ -232,11 +264,14 @@ class ProductsController extends BaseController {
   //=====================================================
 
   /** Path to the products JSON file */
-  _productPath = './model/products/products.json'
+  _productPath = PATH.PRODUCT_PATH
 
   /** Entity key extracted from file path */
   _entity = modelTools._extractEntityFromPath(this._productPath)
 
+  /** Currency every product price is set in */
+  _currency = Config.merchant.currency
+
   /**
    * Fetch all products
    * @returns {Promise<Array>} Array of products
@@ -246,6 +281,16 @@ class ProductsController extends BaseController {
     return raw[this._entity]
   }
 
+  /**
+   * Query products (see ModelTools#find)
+   * @param {Object} query - `{ where, sort, skip, limit, fields }`
+   * @returns {Promise<Array>} Matching products
+   */
+  _findProducts = async (query) => {
+    const raw = await modelTools.find(this._productPath, query)
+    return raw[this._entity]
+  }
+
   /**
    * Fetch a single product by ID
    * @param {number} _id
@@ -256,6 +301,15 @@ class ProductsController extends BaseController {
     return raw[this._entity]
   }
 
+  /**
+   * Check the logged-in merchant listed the product (admins manage all)
+   * @throws {AppError} 403 another merchant's product
+   */
+  _assertProductOwner = (req, product) => {
+    if (this._isAdmin(req) || product.merchantId === req.user?.userId) return
+    throw AppError.Forbidden('Access denied: product belongs to another merchant')
+  }
+
   /**
    * Update a product by ID
    * @param {number} _id
@@ -271,23 +325,48 @@ class ProductsController extends BaseController {
   _deleteProduct = async (_id) =>
     modelTools.delete(this._productPath, _id)
 
+  /**
+   * Attach `stock: { inStock, reserved, available }` to a product
+   * @param {Object} product
+   * @returns {Object}
+   */
+  _withStockLevels = (product) => ({
+    ...product,
+    stock: StockReservation.stockLevels(product)
+  })
+
+  /**
+   * Product with its price formatted (store currency)
+   * @param {Object} product
+   * @returns {Object}
+   */
+  _formatProduct = (product) => this._formatAmounts(product, ['price'], this._currency)
+
   /**
    * Sanitize incoming product data
+   * `price` arrives in major units and is converted to minor units.
    *
    * @param {import('http').IncomingMessage} req
    * @returns {Object} Sanitized product payload
    */
   _getSanitizedData = (req) => {
-    const sanitize = (v) => this._validateAndSanitizeString(v)
-
+    // Scalars only: names and descriptions may legitimately contain commas
     return {
-      name: sanitize(req.body?.name),
-      description: sanitize(req.body?.description),
-      price: sanitize(req.body?.price),
-      numberInStock: sanitize(req.body?.numberInStock)
+      name: this._sanitizeScalar(req.body?.name),
+      description: this._sanitizeScalar(req.body?.description),
+      price: this._toMinorPrice(this._sanitizeScalar(req.body?.price)),
+      numberInStock: this._sanitizeScalar(req.body?.numberInStock)
     }
   }
 
+  /**
+   * Major-unit price → minor units (undefined passes through for partial updates)
+   * @throws {ValidationError} 422 not a number, or too many decimals
+   */
+  _toMinorPrice = (price) => {
+    return price === undefined ? undefined : Money.toMinor(price, this._currency, 'price')
+  }
+
   /**
    * Extract productId from request
    *
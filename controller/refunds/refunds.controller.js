@@ -0,0 +1,133 @@
+import { CreateRefundSchema } from "../../model/schemas.js"
+import { RefundService } from "../../services/payments/refund.service.js"
+import { AppError } from "../../utils/errors/error.utils.js"
+import { Money } from "../../utils/money.utils.js"
+import { BaseController } from "../base.controller.js"
+
+/**
+ * RefundsController
+ *
+ * Full and partial refunds against successful payments.
+ * Business rules live in RefundService; this controller only
+ * sanitizes input and shapes responses.
+ */
+class RefundsController extends BaseController {
+
+  //=====================================================
+  //  PUBLIC METHODS
+  //=====================================================
+
+  /**
+   * Refund a payment
+   *
+   * Body (all optional):
+   * - `amount`: partial refund amount in major units, e.g. 12.50
+   *   (defaults to everything still refundable)
+   * - `quantity`: units returned, for product payments (restocked,
+   *   refunds `quantity × unit price`)
+   * - `reason`: free text
+   *
+   * `amount` and `quantity` cannot be combined (422).
+   *
+   * Admins refund any payment; merchants only payments for their own
+   * products (every product of a cart payment), not plain payments.
+   *
+   * @param {import('http').IncomingMessage} req
+   * @param {import('http').ServerResponse} res
+   */
+  createRefund = async (req, res) => {
+    const reference = this._getPaymentReference(req)
+    const { amount, quantity, reason } = CreateRefundSchema.assert(this._getSanitizedData(req), {
+      partial: true
+    })
+
+    const { payment: target } = await RefundService.list(reference)
+    await this._assertPaymentMerchant(req, target)
+
+    const { refund, payment } = await RefundService.refund(reference, {
+      amount,
+      quantity,
+      reason,
+      actor: req.user.email
+    })
+
+    return this._sendResponse(res, {
+      status: 201,
+      message: payment.status === 'refunded'
+        ? 'Payment fully refunded'
+        : 'Payment partially refunded',
+      data: {
+        refund: this._formatAmounts(refund, ['amount']),
+        payment: this._formatPayment(payment)
+      }
+    })
+  }
+
+  /**
+   * List refunds for a payment (owner, its merchant or admin)
+   *
+   * @param {import('http').IncomingMessage} req
+   * @param {import('http').ServerResponse} res
+   */
+  getRefunds = async (req, res) => {
+    const reference = this._getPaymentReference(req)
+    const { payment, refunds, totalRefunded } = await RefundService.list(reference)
+    if (payment.email !== req.user?.email) {
+      await this._assertPaymentMerchant(req, payment)
+    }
+
+    return this._sendResponse(res, {
+      status: 200,
+      message: refunds.length ? 'Refunds fetched successfully' : 'No refunds found',
+      data: {
+        reference: payment.reference,
+        amount: Money.view(payment.amount, payment.currency),
+        totalRefunded: Money.view(totalRefunded, payment.currency),
+        refunds: refunds.map(refund => this._formatAmounts(refund, ['amount']))
+      }
+    })
+  }
+
+  //=====================================================
+  //  PRIVATE METHODS & PROPERTIES
+  //=====================================================
+
+  /**
+   * Sanitize incoming refund payload
+   *
+   * @param {import('http').IncomingMessage} req
+   * @returns {Object}
+   */
+  _getSanitizedData = (req) => {
+    const data = {
+      amount: this._sanitizeScalar(req.body?.amount),
+      quantity: this._sanitizeScalar(req.body?.quantity),
+      reason: this._sanitizeScalar(req.body?.reason)
+    }
+    // partial validation: only check what the client sent
+    return Object.fromEntries(Object.entries(data).filter(([, v]) => v !== undefined))
+  }
+
+  /**
+   * Check the logged-in user may refund the payment: an admin, or the
+   * merchant of every product it paid for
+   *
+   * @param {import('http').IncomingMessage} req
+   * @param {Object} payment
+   * @throws {AppError} 403 otherwise
+   */
+  _assertPaymentMerchant = async (req, payment) => {
+    if (this._isAdmin(req)) return
+    if ((await this._merchantShare(req, payment)).all) return
+    throw AppError.Forbidden('Access denied: payment is not for your products')
+  }
+
+  /**
+   * Extract payment reference from route params
+   *
+   * @param {import('http').IncomingMessage} req
+   */
+  _getPaymentReference = (req) => req.ids?.reference
+}
+
+export default new RefundsController()
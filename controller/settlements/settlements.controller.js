@@ -0,0 +1,101 @@
+import { PATH } from "../../config/config.js"
+import { modelTools } from "../../model/model-tools.js"
+import { AppError } from "../../utils/errors/error.utils.js"
+import { BaseController } from "../base.controller.js"
+
+/**
+ * SettlementsController
+ *
+ * Read-only view of the daily settlements built by SettlementService.
+ */
+class SettlementsController extends BaseController {
+
+  //=====================================================
+  //  PUBLIC METHODS
+  //=====================================================
+
+  /**
+   * Fetch settlements (paginated, newest day first)
+   *
+   * Query: `?page=&limit=` or `?after=`, `?sort=-settlementDate`,
+   * filters `?currency=NGN&from=2026-10-01&to=2026-10-31` (settlement days)
+   * The payment references are only listed on a single settlement.
+   *
+   * @param {import('http').IncomingMessage} req
+   * @param {import('http').ServerResponse} res
+   */
+  getSettlements = async (req, res) => {
+    const { items: settlements, total, meta } = await this._paginate(req, this._settlementPath, {
+      filters: {
+        currency: (v) => ({ currency: v.toUpperCase() }),
+        from: (v) => ({ settlementDate: { $gte: this._parseDay(v, 'from') } }),
+        to: (v) => ({ settlementDate: { $lte: this._parseDay(v, 'to') } }),
+      },
+      fields: { paymentReferences: 0 },
+      sortable: ['_id', 'settlementDate', 'grossAmount', 'netAmount'],
+      defaultSort: '-settlementDate'
+    })
+
+    return this._sendResponse(res, {
+      status: 200,
+      data: { total, settlements: settlements.map(this._formatSettlement) },
+      meta,
+      message: settlements.length ? 'Settlements fetched successfully' : 'No settlements found'
+    })
+  }
+
+  /**
+   * Fetch a single settlement with the references of its payments
+   *
+   * @param {import('http').IncomingMessage} req
+   * @param {import('http').ServerResponse} res
+   */
+  getSettlement = async (req, res) => {
+    const settlementId = Number(req.ids?.settlementId)
+    if (!Number.isInteger(settlementId) || settlementId <= 0) {
+      throw AppError.BadRequest('Valid settlementId is required')
+    }
+
+    const settlement = (await modelTools.findOne(this._settlementPath, settlementId))[this._entity][0]
+    if (!settlement) {
+      throw AppError.NotFound('Settlement not found')
+    }
+
+    return this._sendResponse(res, {
+      status: 200,
+      data: this._formatSettlement(settlement),
+      message: 'Settlement fetched successfully'
+    })
+  }
+
+  //=====================================================
+  //  PRIVATE METHODS & PROPERTIES
+  //=====================================================
+
+  /** Path to settlement storage */
+  _settlementPath = PATH.SETTLEMENT_PATH
+
+  /** Extracted entity key */
+  _entity = modelTools._extractEntityFromPath(this._settlementPath)
+
+  /**
+   * Settlement with its totals formatted
+   * @param {Object} settlement
+   * @returns {Object}
+   */
+  _formatSettlement = (settlement) =>
+    this._formatAmounts(settlement, ['grossAmount', 'fees', 'netAmount'])
+
+  /**
+   * Validate a `YYYY-MM-DD` day filter
+   * @throws {AppError} 400
+   */
+  _parseDay = (value, name) => {
+    if (!/^\d{4}-\d{2}-\d{2}$/.test(value) || Number.isNaN(Date.parse(value))) {
+      throw AppError.BadRequest(`${name} must be a YYYY-MM-DD date`)
+    }
+    return value
+  }
+}
+
+export default new SettlementsController()
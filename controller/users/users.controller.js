@@ -1,8 +1,12 @@
-import { PATH } from "../../config/config.js"
+import { Config, PATH } from "../../config/config.js"
 import { modelTools } from "../../model/model-tools.js"
-import { AuthService } from "../../services/auth/auth.service.js"
+import { AuthService, USER_ROLES } from "../../services/auth/auth.service.js"
+import { LoginGuard } from "../../services/auth/login-guard.service.js"
+import { ChangePasswordSchema, LoginSchema, UpdateUserRoleSchema, UserSchema } from "../../model/schemas.js"
+import { AppError, UniqueConstraintError, ValidationError } from "../../utils/errors/error.utils.js"
 import { Password } from "../../utils/security/password.js"
 import { Validator } from "../../utils/validator.utils.js"
+import { httpUtils } from "../../utils/http.utils.js"
 import { BaseController } from "../base.controller.js"
 
 /**
@@ -11,8 +15,10 @@ import { BaseController } from "../base.controller.js"
  * Handles user-related operations:
  * - Registration
  * - Updating user information
+ * - Changing the password
  * - Fetching users (single & multiple)
  * - Deletion
+ * - Role changes and lockout removal (admins)
  *
  * Extends BaseController to leverage shared controller utilities like
  * `_sendResponse` and sanitization helpers.
@@ -28,67 +34,39 @@ class UsersController extends BaseController {
    *
    * Steps:
    * 1. Sanitize input
-   * 2. Validate required fields (email & phone)
-   * 3. Run payload validation
-   * 4. Check for existing user (email/phone conflict)
-   * 5. Create user and return response
+   * 2. Validate against UserSchema + password rules (422 with per-field errors)
+   * 3. Hash password
+   * 4. Create user (unique indexes reject email/phone conflicts); new users
+   *    are customers, except `ADMIN_EMAILS` which are registered as admins
+   * 5. Return response
    *
    * @param {import('http').IncomingMessage} req - Request object
    * @param {import('http').ServerResponse} res - Response object
    */
   registerUser = async (req, res) => {
-      const data = this._getSanitizedData(req)
-      const { firstName, lastName, email, phone, gender, dob, password } = data
-
-      // Required field check
-      if (!email || !phone) {
-         return this._sendResponse(res, {
-           status: 400,
-           message: 'Email and phone required'
-         })
-      }
-
-      if (!password) {
-         return this._sendResponse(res, {
-           status: 400,
-           message: 'password required'
-         })
-      }
-
       // VALIDATION (after sanitization)
-      const validation = Validator.validateUserPayload(data)
-      if (!validation.valid) {
-        return this._sendResponse(res, {
-          status: 400,
-          message: validation.errors.join(', ')
-        })
-      }
-
-      // Check if user already exists
-      const users = await this._getUsers()
-      const userExists = users.find(
-        u => u.email === email.toLowerCase() || u.phone === phone
-      )
-
-      if (userExists) {
-         return this._sendResponse(res, {
-           status: 409,
-           message: 'User already registered'
-         })
+      const user = this._validateUser(this._getSanitizedData(req))
+
+      const hashedPassword = Password.hash(user.password)
+
+      // Create user (unique email/phone indexes reject duplicates)
+      let created
+      try {
+        created = await modelTools.create(this._userPath, [{
+          ...user,
+          password: hashedPassword,
+          role: Config.auth.adminEmails.includes(user.email) ? USER_ROLES.ADMIN : user.role,
+        }])
+      } catch (error) {
+        if (error instanceof UniqueConstraintError) {
+          return this._sendResponse(res, {
+            status: 409,
+            message: 'User already registered'
+          })
+        }
+        throw error
       }
 
-      const hashedPassword = Password.hash(password)
-      // Create user
-      const created = await modelTools.create(this._userPath, [{
-        firstName,
-        lastName,
-        email: email.toLowerCase(),
-        phone,
-        gender,
-        dob,
-        password: hashedPassword,
-      }])
-
       const newUser = created[this._entity]?.[0]
 
       if (!newUser?._id) {
@@ -98,6 +76,8 @@ class UsersController extends BaseController {
          })
       }
 
+      delete newUser.password
+
       // Successful response
       return this._sendResponse(res, {
         status: 201,
@@ -107,28 +87,25 @@ class UsersController extends BaseController {
   }
 
   /**
-   * 
-   * @param {*} req 
-   * @param {*} res 
-   * @returns 
+   * Log a user in
+   *
+   * Unknown email and wrong password both answer 401; repeated failures
+   * are slowed down, then locked out with 429 (see LoginGuard).
+   *
+   * @param {import('http').IncomingMessage} req
+   * @param {import('http').ServerResponse} res
    */
   login = async (req, res) => {
-    const cleanData = this._getSanitizedData(req)
+    const { email, password } = this._getSanitizedData(req)
 
-      // VALIDATION (after sanitization)
-    const validation = Validator.validateUserPayload(cleanData)
-    if (!validation.valid) {
-      return this._sendResponse(res, {
-        status: 400,
-        message: validation.errors.join(', ')
-      })
-    }
+    // VALIDATION (after sanitization) → 422 with per-field errors
+    const cleanData = LoginSchema.assert({ email, password })
 
-    const authPayload = await AuthService.login(cleanData)
+    const authPayload = await AuthService.login(cleanData, { ip: httpUtils.clientIp(req) })
     if (!authPayload || !authPayload.user || !authPayload.token ) {
       return this._sendResponse(res, {
         status: 401,
-        message: 'Access denied: Invalid authentication credentials.'
+        message: 'Invalid email or password'
       })
     }
     
@@ -139,17 +116,35 @@ class UsersController extends BaseController {
       })
   }
 
+  /**
+   * Log the current session out
+   *
+   * Revokes the token family of the access token used: that token and
+   * its refresh token stop working (see AuthService).
+   *
+   * @param {import('http').IncomingMessage} req
+   * @param {import('http').ServerResponse} res
+   */
+  logout = async (req, res) => {
+    await AuthService.logout(req.auth)
+
+    return this._sendResponse(res, {
+      status: 200,
+      message: 'Logout successful.'
+    })
+  }
+
   /**
    * Update an existing user
    *
    * Steps:
-   * 1. Get and validate userId
+   * 1. Get and validate userId (own account, or any as admin)
    * 2. Fetch the user
-   * 3. Sanitize provided fields
-   * 4. Validate payload
-   * 5. Check email/phone conflicts
-   * 6. Update user safely (ignore undefined fields)
-   * 7. Return response
+   * 3. Sanitize provided fields (`password` is ignored: see changePassword)
+   * 4. Validate provided fields (UserSchema, partial)
+   * 5. Update user safely (ignore undefined fields; unique indexes
+   *    reject email/phone conflicts)
+   * 6. Return response
    *
    * @param {import('http').IncomingMessage} req
    * @param {import('http').ServerResponse} res
@@ -157,51 +152,40 @@ class UsersController extends BaseController {
   updateUser = async (req, res) => {
       const userId = Number(this._getUserId(req)?.userId)
       this._validateUserId(userId)
+      this._assertSelfOrAdmin(req, userId)
 
       const foundUser = (await this._getUser(userId))[0]
       if (!foundUser) {
         return this._sendResponse(res, { status: 404, message: 'User not found' })
       }
 
-      const data = this._getSanitizedData(req)
+      // SAFE UPDATE PAYLOAD (remove undefined values and the password), validated and coerced
+      const updatePayload = this._validateUser(
+        Object.fromEntries(
+          Object.entries(this._getSanitizedData(req))
+            .filter(([key, v]) => v !== undefined && key !== 'password')
+        ),
+        { partial: true }
+      )
 
-      // VALIDATION (only provided fields)
-      const validation = Validator.validateUserPayload(data)
-      if (!validation.valid) {
-        return this._sendResponse(res, {
-          status: 400,
-          message: validation.errors.join(', ')
-        })
+      // A new address has to be verified again
+      if (updatePayload.email && updatePayload.email !== foundUser.email) {
+        updatePayload.emailVerifiedAt = null
       }
 
-      const { email, phone, password } = data
-
-      // Check for email/phone conflicts with other users
-      if (email || phone) {
-        const users = await this._getUsers()
-        const conflict = users.find(
-          u =>
-            u._id !== foundUser._id &&
-            (u.email === email?.toLowerCase() || u.phone === phone)
-        )
-
-        if (conflict) {
+      // Unique indexes reject email/phone already used by another user
+      let updated
+      try {
+        updated = await this._updateUser(foundUser._id, [updatePayload])
+      } catch (error) {
+        if (error instanceof UniqueConstraintError) {
           return this._sendResponse(res, {
             status: 409,
             message: 'Email or phone already in use'
           })
         }
+        throw error
       }
-
-      // SAFE UPDATE PAYLOAD (remove undefined values)
-      const updatePayload = Object.fromEntries(
-        Object.entries({
-          ...data,
-          email: data.email?.toLowerCase()
-        }).filter(([, v]) => v !== undefined)
-      )
-
-      const updated = await this._updateUser(foundUser._id, [updatePayload])
       const updatedUser = updated[this._entity]?.[0]
 
       if (!updatedUser?._id) {
@@ -211,6 +195,8 @@ class UsersController extends BaseController {
         })
       }
 
+      delete updatedUser.password
+
       return this._sendResponse(res, {
         status: 200,
         message: 'User updated successfully',
@@ -219,23 +205,73 @@ class UsersController extends BaseController {
   }
 
   /**
-   * Get all users
+   * Change the logged-in user's password
+   *
+   * Body: `{ currentPassword, newPassword }`. Own account only: admins
+   * do not know other users' passwords (they can send a reset instead).
+   * Every earlier token of the user stops working; the response carries
+   * a new token pair for the caller.
+   *
+   * @param {import('http').IncomingMessage} req
+   * @param {import('http').ServerResponse} res
+   */
+  changePassword = async (req, res) => {
+    const userId = Number(this._getUserId(req)?.userId)
+    this._validateUserId(userId)
+
+    if (userId !== req.user.userId) {
+      throw AppError.Forbidden('Access denied: you can only change your own password')
+    }
+
+    // passwords are hashed, never echoed: kept as typed
+    const payload = ChangePasswordSchema.assert({
+      currentPassword: req.body?.currentPassword,
+      newPassword: req.body?.newPassword
+    })
+
+    const tokens = await AuthService.changePassword(userId, payload, { ip: httpUtils.clientIp(req) })
+
+    return this._sendResponse(res, {
+      status: 200,
+      message: 'Password changed. Other sessions have been logged out.',
+      data: tokens
+    })
+  }
+
+  /**
+   * Get users (paginated)
+   *
+   * Query: `?page=&limit=` or `?after=`, `?sort=-createdAt`,
+   * filters `?email=&phone=&gender=&firstName=&lastName=&createdFrom=&createdTo=`
    *
    * @param {import('http').IncomingMessage} req
    * @param {import('http').ServerResponse} res
    */
   getUsers = async (req, res) => {
-      const users = await this._getUsers()
+      const { items: users, total, meta } = await this._paginate(req, this._userPath, {
+        filters: {
+          email: (v) => ({ email: v.toLowerCase() }),
+          phone: (v) => ({ phone: v }),
+          gender: (v) => ({ gender: v }),
+          firstName: (v) => ({ firstName: { $regex: `^${this._escapeRegex(v)}`, $options: 'i' } }),
+          lastName: (v) => ({ lastName: { $regex: `^${this._escapeRegex(v)}`, $options: 'i' } }),
+          createdFrom: (v) => ({ createdAt: { $gte: this._toISODate(v) } }),
+          createdTo: (v) => ({ createdAt: { $lte: this._toISODate(v, true) } }),
+        },
+        sortable: ['_id', 'createdAt', 'firstName', 'lastName', 'email'],
+        fields: { password: 0 }
+      })
 
       return this._sendResponse(res, {
         status: 200,
-        data: { numberOfUsersInDb: users.length, users },
+        data: { numberOfUsersInDb: total, users },
+        meta,
         message: users.length ? 'Users fetched successfully.' : 'No users found'
       })
   }
 
   /**
-   * Get a single user by ID
+   * Get a single user by ID (own account, or any as admin)
    *
    * @param {import('http').IncomingMessage} req
    * @param {import('http').ServerResponse} res
@@ -243,6 +279,7 @@ class UsersController extends BaseController {
   getUser = async (req, res) => {
     const userId = Number(this._getUserId(req)?.userId)
     this._validateUserId(userId)
+    this._assertSelfOrAdmin(req, userId)
 
     const user = (await this._getUser(userId))[0]
 
@@ -253,6 +290,7 @@ class UsersController extends BaseController {
         message: 'User not found'
       })
     }
+    delete user.password
 
     return this._sendResponse(res, {
       status: 200,
@@ -281,6 +319,8 @@ class UsersController extends BaseController {
         })
       }
 
+      delete deletedUser.password
+
       return this._sendResponse(res, {
         status: 200,
         message: 'User deleted successfully.',
@@ -288,6 +328,73 @@ class UsersController extends BaseController {
       })
   }
 
+  /**
+   * Change a user's role (admins only, see the route)
+   *
+   * Body: `{ role: 'customer' | 'merchant' | 'admin' }`
+   * Admins cannot change their own role, so the last admin cannot lock
+   * everyone out. Takes effect on the user's next request.
+   *
+   * @param {import('http').IncomingMessage} req
+   * @param {import('http').ServerResponse} res
+   */
+  updateUserRole = async (req, res) => {
+    const userId = Number(this._getUserId(req)?.userId)
+    this._validateUserId(userId)
+
+    const { role } = UpdateUserRoleSchema.assert({
+      role: this._validateAndSanitizeString(req.body?.role)
+    })
+
+    if (userId === req.user.userId) {
+      throw AppError.Conflict('Admins cannot change their own role')
+    }
+
+    const foundUser = (await this._getUser(userId))[0]
+    if (!foundUser) {
+      return this._sendResponse(res, { status: 404, message: 'User not found' })
+    }
+
+    const updatedUser = (await this._updateUser(foundUser._id, [{ role }]))[this._entity][0]
+    delete updatedUser.password
+
+    return this._sendResponse(res, {
+      status: 200,
+      message: `User is now ${role === USER_ROLES.ADMIN ? 'an' : 'a'} ${role}`,
+      data: updatedUser
+    })
+  }
+
+  /**
+   * Lift a login lockout on a user's account (admins only, see the route)
+   *
+   * Clears the account's failed attempts; recorded as an "unlocked"
+   * lockout event when the account was locked.
+   *
+   * @param {import('http').IncomingMessage} req
+   * @param {import('http').ServerResponse} res
+   */
+  unlockUser = async (req, res) => {
+    const userId = Number(this._getUserId(req)?.userId)
+    this._validateUserId(userId)
+
+    const foundUser = (await this._getUser(userId))[0]
+    if (!foundUser) {
+      return this._sendResponse(res, { status: 404, message: 'User not found' })
+    }
+
+    const wasLocked = await LoginGuard.unlock({
+      email: foundUser.email,
+      userId: foundUser._id,
+      actor: req.user.email
+    })
+
+    return this._sendResponse(res, {
+      status: 200,
+      message: wasLocked ? 'Account unlocked' : 'Account was not locked'
+    })
+  }
+
   //=====================================================
   //  PRIVATE METHODS & PROPERTIES
   //=====================================================
@@ -362,6 +469,31 @@ class UsersController extends BaseController {
     }
   }
 
+  /**
+   * Validate a user payload against UserSchema plus the plain-text
+   * password rules from Validator.validatePassword.
+   *
+   * @param {Object} data - Sanitized payload
+   * @param {Object} [options]
+   * @param {boolean} [options.partial=false] - Only check provided fields
+   * @returns {Object} Coerced payload (email lower-cased, defaults applied)
+   * @throws {ValidationError} 422 with per-field messages
+   */
+  _validateUser = (data, { partial = false } = {}) => {
+    const { valid, errors, value } = UserSchema.validate(data, { partial })
+
+    if (!partial || data.password !== undefined) {
+      const { msg, setPassword } = Validator.validatePassword(data.password)
+      if (!setPassword) errors.password = msg
+    }
+
+    if (!valid || Object.keys(errors).length) {
+      throw new ValidationError(errors)
+    }
+
+    return value
+  }
+
   /**
    * Extract userId from request
    *
@@ -375,6 +507,18 @@ class UsersController extends BaseController {
     // route as sent from the client
     return req.ids
   }
+  /**
+   * Only the account owner and admins may read or change a user
+   * @param {import('http').IncomingMessage} req
+   * @param {number} userId
+   * @throws {AppError} 403
+   */
+  _assertSelfOrAdmin = (req, userId) => {
+    if (userId !== req.user?.userId && !this._isAdmin(req)) {
+      throw AppError.Forbidden('Access denied: you can only manage your own account')
+    }
+  }
+
   /**
    * Validate userId
    * @param {number} _id
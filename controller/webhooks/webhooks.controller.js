@@ -0,0 +1,199 @@
+import { PATH } from "../../config/config.js"
+import { modelTools } from "../../model/model-tools.js"
+import { CreateWebhookSchema, WebhookSchema } from "../../model/schemas.js"
+import { WebhookService } from "../../services/webhooks/webhook.service.js"
+import { AppError } from "../../utils/errors/error.utils.js"
+import { BaseController } from "../base.controller.js"
+
+/**
+ * WebhooksController
+ *
+ * Lets merchants register endpoints for payment events and inspect or
+ * replay deliveries. Sending, signing and retries live in WebhookService.
+ */
+class WebhooksController extends BaseController {
+
+  //=====================================================
+  //  PUBLIC METHODS
+  //=====================================================
+
+  /**
+   * Register a webhook endpoint
+   *
+   * Body: `{ url, events: ['payment.success', ...] | ['*'], description? }`
+   * The signing secret is returned once, in this response only.
+   *
+   * @param {import('http').IncomingMessage} req
+   * @param {import('http').ServerResponse} res
+   */
+  createWebhook = async (req, res) => {
+    const input = CreateWebhookSchema.assert(this._getSanitizedData(req))
+
+    const created = await modelTools.create(this._webhookPath, [WebhookSchema.assert({
+      ...input,
+      userId: req.user.userId,
+      secret: WebhookService.generateSecret()
+    })])
+
+    return this._sendResponse(res, {
+      status: 201,
+      message: 'Webhook registered. Store the secret now, it will not be shown again',
+      data: created[this._webhookEntity][0]
+    })
+  }
+
+  /**
+   * Fetch the authenticated user's webhook endpoints (secrets hidden)
+   *
+   * @param {import('http').IncomingMessage} req
+   * @param {import('http').ServerResponse} res
+   */
+  getWebhooks = async (req, res) => {
+    const { items: webhooks, total, meta } = await this._paginate(req, this._webhookPath, {
+      where: { userId: req.user.userId },
+      fields: { secret: 0 },
+      sortable: ['_id', 'createdAt'],
+    })
+
+    return this._sendResponse(res, {
+      status: 200,
+      data: { total, webhooks },
+      meta,
+      message: webhooks.length ? 'Webhooks fetched successfully' : 'No webhooks found'
+    })
+  }
+
+  /**
+   * Delete a webhook endpoint (pending deliveries to it fail on next attempt)
+   *
+   * @param {import('http').IncomingMessage} req
+   * @param {import('http').ServerResponse} res
+   */
+  deleteWebhook = async (req, res) => {
+    const webhook = await this._getOwnedWebhook(req.user, req.ids?.webhookId)
+    await modelTools.delete(this._webhookPath, webhook._id)
+
+    return this._sendResponse(res, {
+      status: 200,
+      message: 'Webhook deleted successfully',
+      data: { _id: webhook._id, url: webhook.url }
+    })
+  }
+
+  /**
+   * Delivery log of one endpoint (paginated, newest first)
+   *
+   * Query: `?status=pending|succeeded|failed&event=payment.success`
+   *
+   * @param {import('http').IncomingMessage} req
+   * @param {import('http').ServerResponse} res
+   */
+  getDeliveries = async (req, res) => {
+    const webhook = await this._getOwnedWebhook(req.user, req.ids?.webhookId)
+
+    const { items: deliveries, total, meta } = await this._paginate(req, this._deliveryPath, {
+      where: { webhookId: webhook._id },
+      filters: {
+        status: (v) => ({ status: v }),
+        event: (v) => ({ event: v }),
+      },
+      sortable: ['_id', 'createdAt'],
+      defaultSort: '-_id'
+    })
+
+    return this._sendResponse(res, {
+      status: 200,
+      data: { total, deliveries },
+      meta,
+      message: deliveries.length ? 'Deliveries fetched successfully' : 'No deliveries found'
+    })
+  }
+
+  /**
+   * Send a delivery again now (one attempt, logged like the others)
+   *
+   * @param {import('http').IncomingMessage} req
+   * @param {import('http').ServerResponse} res
+   */
+  redeliver = async (req, res) => {
+    const deliveryId = this._parseId(req.ids?.deliveryId, 'deliveryId')
+    const delivery = await WebhookService.getDelivery(deliveryId)
+    await this._getOwnedWebhook(req.user, delivery.webhookId)
+
+    const updated = await WebhookService.redeliver(delivery._id)
+
+    return this._sendResponse(res, {
+      status: 200,
+      message: updated.status === 'succeeded' ? 'Delivery succeeded' : 'Delivery failed',
+      data: updated
+    })
+  }
+
+  //=====================================================
+  //  PRIVATE METHODS & PROPERTIES
+  //=====================================================
+
+  /** Path to webhook endpoint storage */
+  _webhookPath = PATH.WEBHOOK_PATH
+
+  /** Extracted webhook entity key */
+  _webhookEntity = modelTools._extractEntityFromPath(this._webhookPath)
+
+  /** Path to delivery log storage */
+  _deliveryPath = PATH.WEBHOOK_DELIVERY_PATH
+
+  /**
+   * Fetch a webhook and check it belongs to `user`
+   *
+   * @param {Object} user - `req.user`
+   * @param {number|string} webhookId
+   * @returns {Promise<Object>}
+   * @throws {AppError} 400 bad id, 404 unknown webhook, 403 someone else's webhook
+   */
+  _getOwnedWebhook = async (user, webhookId) => {
+    const id = this._parseId(webhookId, 'webhookId')
+    const webhook = (await modelTools.findOne(this._webhookPath, id))[this._webhookEntity][0]
+
+    if (!webhook) {
+      throw AppError.NotFound('Webhook not found')
+    }
+
+    if (webhook.userId !== user?.userId) {
+      throw AppError.Forbidden('Access denied: webhook belongs to another user')
+    }
+
+    return webhook
+  }
+
+  /**
+   * Parse a positive integer id or throw 400
+   */
+  _parseId = (value, name) => {
+    const id = Number(value)
+    if (!Number.isInteger(id) || id <= 0) {
+      throw AppError.BadRequest(`Valid ${name} is required`)
+    }
+    return id
+  }
+
+  /**
+   * Sanitize incoming webhook payload.
+   * The URL is only trimmed: HTML-escaping would corrupt query strings.
+   *
+   * @param {import('http').IncomingMessage} req
+   * @returns {Object}
+   */
+  _getSanitizedData = (req) => {
+    const { url, events, description } = req.body ?? {}
+
+    return {
+      url: this._sanitizeUrl(url),
+      events: typeof events === 'string'
+        ? events.split(',').map(e => e.trim()).filter(Boolean)
+        : events,
+      description: this._sanitizeScalar(description)
+    }
+  }
+}
+
+export default new WebhooksController()
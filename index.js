@@ -1,57 +1,78 @@
 import http from 'node:http'
 import { router } from './routes/routers.js'
-import { httpUtils } from './utils/http.utils.js'
-import { Auth } from './middleware/auth/auth.middleware.js'
-import { userRouter } from './routes/users/users.route.js' 
 import { Config } from './config/config.js'
-import { productRouter } from './routes/products/products.route.js'
-import { paymentRouter } from './routes/payments/payments.route.js'
+import { modelTools } from './model/model-tools.js'
+import './model/indexes.js'
+import { runMiddleware } from './utils/middleware.utils.js'
+import { requestLogger } from './middleware/http/logger.middleware.js'
+import { bodyParser } from './middleware/http/body-parser.middleware.js'
+import { cors } from './middleware/security/cors.middleware.js'
+import { rateLimit } from './middleware/security/rate-limit.middleware.js'
+import { errorHandler, notFound } from './middleware/error/error.middleware.js'
+import { StockReservation } from './services/products/stock-reservation.service.js'
+import { WebhookService } from './services/webhooks/webhook.service.js'
+import { SettlementService } from './services/settlements/settlement.service.js'
+
+// ROUTE REGISTRATION (each module adds its routes to the shared router)
+import './routes/users/users.route.js'
+import './routes/auth/auth.route.js'
+import './routes/products/products.route.js'
+import './routes/payments/payments.route.js'
+import './routes/carts/carts.route.js'
+import './routes/orders/orders.route.js'
+import './routes/webhooks/webhooks.route.js'
+import './routes/checkout/checkout.route.js'
+import './routes/settlements/settlements.route.js'
 
 const PORT = Config.server.port
 const HOST = Config.server.host
 
 /**
- * Central server
+ * Global middleware, run in order for every request.
+ * Route groups and single routes can add their own middleware on top.
  */
-const server = http.createServer(async (req, res) => {
-    try {
-        
-        // PARSE REQUEST BODY
-        req.body = await httpUtils.parseRequestBody(req, { maxSize: 5 })
+const globalMiddleware = [
+    requestLogger,
+    cors(Config.cors),
+    // before the body is read; routes add stricter policies
+    rateLimit(),
+    bodyParser({ maxSize: Config.server.maxBodySize }),
 
-        // ATTACH QUERY & PATH PARAMETERS
-        req.params = router.getPathParams(req, false)
+    // ATTACH QUERY PARAMETERS (path params are attached on dispatch)
+    (req, res, next) => {
         req.query = router.getQueryParams(req)
+        next()
+    },
+]
 
-        // USER ROUTES
-        const handledUser = await userRouter(req, res)
-        if (handledUser) return // route handled successfully
-
-        // PRODUCT ROUTES
-        const handledProduct = await productRouter(req, res)
-        if (handledProduct) return
-
-        //PAYMENT ROUTES
-        const handledPayment = await paymentRouter(req,res)
-        if (handledPayment) return
-
-        // NO MATCHED ROUTE → 404
-        httpUtils.sendResponse(res, {
-            status: 404,
-            message: 'Route not found',
-            success: false
-        })
-
+/**
+ * Central server
+ */
+const server = http.createServer(async (req, res) => {
+    try {
+        // GLOBAL MIDDLEWARE → ROUTES (405 is answered by the router) → 404
+        await runMiddleware(req, res, [...globalMiddleware, router.handle, notFound])
     } catch (error) {
-        // GLOBAL ERROR HANDLING → 500
-        httpUtils.sendResponse(res, {
-            status: 500,
-            message: error.message || 'Unexpected server error',
-            error
-        })
+        // SINGLE ERROR HANDLER for next(err), thrown and rejected errors
+        errorHandler(error, req, res)
     }
 })
 
+// REPAIR HALF-WRITTEN DATA FILES BEFORE ACCEPTING REQUESTS
+const recovery = await modelTools.recoverAll('./model')
+for (const [file, result] of Object.entries(recovery)) {
+    if (result === 'restored') console.warn(`Recovered ${file} from last good copy`)
+}
+
 server.listen(PORT, HOST, () => {
     console.log(`Server running on http://${HOST}:${PORT}`)
 })
+
+// RELEASE STOCK HELD BY PAYMENTS THAT WERE NEVER VERIFIED
+StockReservation.startSweeper()
+
+// RETRY WEBHOOK DELIVERIES (also resumes retries left over from a restart)
+WebhookService.startDispatcher()
+
+// BATCH FINISHED DAYS OF SUCCESSFUL PAYMENTS INTO SETTLEMENTS
+SettlementService.startScheduler()
@@ -1,65 +1,114 @@
 import { PATH } from "../../config/config.js"
 import { modelTools } from "../../model/model-tools.js"
+import { AuthService, TOKEN_TYPES, USER_ROLES } from "../../services/auth/auth.service.js"
 import { TokenService } from "../../services/auth/token.service.js"
 import { AppError } from "../../utils/errors/error.utils.js"
 import { httpUtils } from "../../utils/http.utils.js"
 
+const ENTITY = modelTools._extractEntityFromPath(PATH.USER_PATH)
+
 export class Auth {
 
-static async isAuthenticated(req, res) {
+/**
+ * Authentication guard `(req, res, next)`, declared per route or group.
+ *
+ * - No token, an invalid / expired / revoked one (logout, refresh token
+ *   reuse) or a user that no longer exists: answers 401 and ends the
+ *   chain, the handler never runs
+ * - Otherwise attaches the user record as `req.user` (password hash
+ *   removed, plus `userId` and `role`) and the token claims as `req.auth`
+ *
+ * The stored role wins over the token's, so role changes apply without
+ * logging in again.
+ *
+ * @example
+ * router.add('POST', '/payments', paymentsController.initializePayment, {
+ *   middleware: [Auth.isAuthenticated]
+ * })
+ */
+static async isAuthenticated(req, res, next) {
   try {
-    const decoded = this.authenticate(req, res)
+    if (!Auth._bearerToken(req)) {
+      return Auth._deny(res, 'Access denied: Please login to continue')
+    }
+
+    const decoded = Auth.authenticate(req)
     if (!decoded) {
-    return httpUtils.sendResponse(res, {
-      status: 401,
-      message: 'Access denied: Please login to continue',
-    })
+      return Auth._deny(res, 'Invalid or expired token')
     }
 
-    const raw = await modelTools.findAll(PATH.USER_PATH)
-    const user = raw[ENTITY].find(u => u.email === decoded.email)
+    if (await AuthService.isTokenRevoked(decoded)) {
+      return Auth._deny(res, 'Access denied: Session has ended, please login again')
+    }
 
-    const isBadLogin = !user._id
-    if (isBadLogin) {
-      return httpUtils.sendResponse(res, {
-      status: 401,
-      message: 'Access denied: Invalid login detected.',
-    })
+    const user = (await modelTools.findOne(PATH.USER_PATH, decoded.userId))[ENTITY][0]
+    if (!user) {
+      return Auth._deny(res, 'Access denied: Invalid login detected.')
     }
-    
-    //attach auth payload to request and proceed
-    req.user = decoded 
+
+    const { password, ...record } = user
+    req.user = { ...record, userId: user._id, role: user.role ?? USER_ROLES.CUSTOMER }
+    req.auth = decoded
+    next()
   } catch (error) {
-    AppError.handleCatchBlockError(res, error)
+    next(error)
   }
 }
 
-static authenticate(req, res) {
-  try {
-  const authHeader = req.headers.authorization
-
-  if (!authHeader || !authHeader.startsWith('Bearer ')) {
-    return httpUtils.sendResponse(res, {
-      status: 401,
-      message: 'Access denied: Please login to continue',
-    })
+/**
+ * Role check middleware factory, used after `Auth.isAuthenticated`.
+ * Calls `next()` when `req.user.role` is one of `roles`, otherwise
+ * passes a 403 `AppError.Forbidden` on.
+ *
+ * @param {...string} roles - USER_ROLES values
+ * @returns {(req: object, res: object, next: Function) => void}
+ *
+ * @example
+ * router.add('DELETE', '/users/:userId', usersController.deleteUser, {
+ *   middleware: [Auth.isAuthenticated, Auth.authorize(USER_ROLES.ADMIN)]
+ * })
+ */
+static authorize(...roles) {
+  return function authorize(req, res, next) {
+    if (!roles.includes(req.user?.role)) {
+      return next(AppError.Forbidden(`Access denied: requires ${roles.join(' or ')} role`))
+    }
+    next()
   }
+}
 
-  const token = authHeader.split(' ')[1]
-  const decoded = TokenService.verify(token)
+/**
+ * Verified access token claims of a request, or `null`.
+ * Never responds; revocation is checked by `isAuthenticated`.
+ *
+ * @param {import('http').IncomingMessage} req
+ * @returns {Object|null}
+ */
+static authenticate(req) {
+  const token = Auth._bearerToken(req)
+  if (!token) return null
 
-  if (!decoded || !decoded?.userId || !decoded?.email) {
-   return httpUtils.sendResponse(res, {
-      status: 401,
-      message: 'Invalid or expired token',
-    })
+  let decoded = null
+  try {
+    decoded = TokenService.verify(token)
+  } catch {
+    return null
   }
 
-  return decoded
-  } catch (error) {
-    AppError.handleCatchBlockError(res, error)
+  // refresh tokens only work on POST /auth/refresh
+  if (!decoded?.userId || !decoded?.email || decoded.type === TOKEN_TYPES.REFRESH) {
+    return null
   }
+
+  return decoded
+}
+
+static _bearerToken(req) {
+  return req.headers.authorization?.match(/^Bearer (.+)$/)?.[1] ?? null
 }
 
+static _deny(res, message) {
+  return httpUtils.sendResponse(res, { status: 401, message })
+}
 
 }
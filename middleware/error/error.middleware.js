@@ -0,0 +1,60 @@
+import { settings } from "../../config/config.js"
+import { AppError, ValidationError } from "../../utils/errors/error.utils.js"
+import { httpUtils } from "../../utils/http.utils.js"
+
+/**
+ * Final handler for requests no route answered → 404.
+ *
+ * @param {import('http').IncomingMessage} req
+ * @param {import('http').ServerResponse} res
+ */
+export const notFound = (req, res) => {
+  httpUtils.sendResponse(res, {
+    status: AppError.statusMessage.NOT_FOUND,
+    message: 'Route not found'
+  })
+}
+
+/**
+ * Single error handler for the whole middleware pipeline.
+ *
+ * Every `next(err)`, thrown error and rejected handler ends up here:
+ * - `AppError` keeps its status code and message
+ * - Anything else becomes a 500
+ * - Error details are only exposed in development mode
+ * - Validation errors always carry their per-field messages (`error.fields`)
+ * - `error.headers` (e.g. `Retry-After` on a 429) are sent along
+ * - Nothing is written if the response has already been sent
+ *
+ * @param {Error} error
+ * @param {import('http').IncomingMessage} req
+ * @param {import('http').ServerResponse} res
+ */
+export const errorHandler = (error, req, res) => {
+  if (res.headersSent) {
+    console.error(`[error] ${req.method} ${req.url} failed after response was sent:`, error)
+    return
+  }
+
+  const status = error instanceof AppError
+    ? error.statusCode
+    : AppError.statusMessage.INTERNAL_SERVER_ERROR
+
+  if (status >= AppError.statusMessage.INTERNAL_SERVER_ERROR) {
+    console.error(`[error] ${req.method} ${req.url}:`, error)
+  }
+
+  for (const [name, value] of Object.entries(error.headers ?? {})) {
+    res.setHeader(name, value)
+  }
+
+  const body = { name: error.name, status: error.status }
+  if (error instanceof ValidationError) body.fields = error.fields
+  else if (settings.isDevMode) body.details = error.details ?? null
+
+  httpUtils.sendResponse(res, {
+    status,
+    message: error.message || 'Unexpected server error',
+    error: body
+  })
+}
@@ -0,0 +1,51 @@
+import { AppError } from "../../utils/errors/error.utils.js"
+import { httpUtils } from "../../utils/http.utils.js"
+
+/**
+ * JSON body parser middleware factory.
+ *
+ * Attaches the parsed payload to `req.body` (HTML form posts are accepted
+ * too, for the hosted checkout page).
+ * Requests without a body (no `content-length` / `transfer-encoding`)
+ * get an empty object, so GET and DELETE calls need no content type.
+ * Bodies that are not a JSON object (`null`, arrays, strings, numbers)
+ * are refused with 400: every route reads named fields, so controllers
+ * can always rely on `req.body` being a plain object.
+ *
+ * @param {Object} [options]
+ * @param {number} [options.maxSize=10] - Maximum payload size in MB
+ * @returns {(req: object, res: object, next: Function) => Promise<void>}
+ *
+ * @example
+ * bodyParser({ maxSize: 5 })
+ */
+export const bodyParser = (options = {}) => {
+  return async function bodyParser(req, res, next) {
+    const hasBody =
+      Number(req.headers['content-length'] ?? 0) > 0 ||
+      req.headers['transfer-encoding'] !== undefined
+
+    if (!hasBody) {
+      req.body = {}
+      return next()
+    }
+
+    let body
+    try {
+      body = await httpUtils.parseRequestBody(req, options)
+    } catch (error) {
+      return next(AppError.BadRequest(error.message))
+    }
+
+    if (!_isPlainObject(body)) {
+      return next(AppError.BadRequest('Request body must be a JSON object'))
+    }
+
+    req.body = body
+
+    next()
+  }
+}
+
+const _isPlainObject = (value) =>
+  value !== null && typeof value === 'object' && !Array.isArray(value)
@@ -0,0 +1,102 @@
+import { IdempotencyService } from "../../services/idempotency/idempotency.service.js"
+import { Auth } from "../auth/auth.middleware.js"
+
+/** Request header carrying the client's key */
+export const IDEMPOTENCY_HEADER = 'idempotency-key'
+
+/** Response header set on replayed responses */
+export const REPLAYED_HEADER = 'idempotent-replayed'
+
+/**
+ * Idempotency-Key middleware factory (per route, after the body parser).
+ *
+ * Requests without the header pass straight through. With it:
+ * - the first request runs and its response (status, content type, body)
+ *   is stored under the caller + key
+ * - identical retries get that response back byte-for-byte, with
+ *   `Idempotent-Replayed: true`, without running the handler again
+ * - the same key with a different method, path or body → 422
+ * - a retry while the first request is still running → 409
+ * - 5xx responses are not stored, so the request can be retried
+ * - the response is stored before its body goes out, so a client that
+ *   retries as soon as it has the answer always gets the replay
+ *
+ * Keys belong to the logged-in user (Bearer token); requests without a
+ * valid token share the anonymous scope.
+ *
+ * @returns {(req: object, res: object, next: Function) => Promise<void>}
+ *
+ * @example
+ * router.add('POST', '/payments', paymentsController.initializePayment, {
+ *   middleware: [idempotency()]
+ * })
+ */
+export const idempotency = () => {
+  return async function idempotency(req, res, next) {
+    const key = req.headers[IDEMPOTENCY_HEADER]
+    if (key === undefined) return next()
+
+    try {
+      const { pathname } = new URL(req.url, 'http://localhost')
+      const { record, replay } = await IdempotencyService.begin({
+        scope: _scope(req),
+        key: String(key).trim(),
+        fingerprint: IdempotencyService.fingerprint(req.method, pathname, req.body)
+      })
+
+      if (replay) {
+        res.statusCode = replay.statusCode
+        if (replay.contentType) res.setHeader('Content-Type', replay.contentType)
+        res.setHeader(REPLAYED_HEADER, 'true')
+        return res.end(replay.body)
+      }
+
+      _captureResponse(res, record)
+    } catch (error) {
+      return next(error)
+    }
+
+    next()
+  }
+}
+
+/**
+ * Who a key belongs to: the authenticated user, or "anonymous".
+ * Never rejects the request; authentication is the route's concern.
+ */
+const _scope = (req) => {
+  const userId = req.user?.userId ?? Auth.authenticate(req)?.userId
+  return userId ? `user:${userId}` : 'anonymous'
+}
+
+/**
+ * Wrap `res.end` so the response is stored (or the key released on 5xx)
+ * before it is sent. Headers go out at once, so the response already
+ * counts as sent for any later writer.
+ */
+const _captureResponse = (res, record) => {
+  const end = res.end
+
+  res.end = function (chunk, encoding, callback) {
+    res.end = end
+    if (!res.headersSent) res.flushHeaders()
+
+    const body = chunk === undefined || typeof chunk === 'function'
+      ? ''
+      : Buffer.isBuffer(chunk) ? chunk.toString('utf8') : String(chunk)
+
+    const settle = res.statusCode >= 500
+      ? IdempotencyService.release(record)
+      : IdempotencyService.complete(record, {
+        statusCode: res.statusCode,
+        contentType: res.getHeader('content-type') ?? null,
+        body
+      })
+
+    settle
+      .catch(error => console.error('Could not store idempotent response:', error))
+      .finally(() => end.call(this, chunk, encoding, callback))
+
+    return this
+  }
+}
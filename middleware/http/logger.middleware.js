@@ -0,0 +1,22 @@
+/**
+ * Request logger middleware.
+ *
+ * Logs method, url, status code and duration once the response finishes.
+ *
+ * @param {import('http').IncomingMessage} req
+ * @param {import('http').ServerResponse} res
+ * @param {Function} next
+ *
+ * @example
+ * // GET /users 200 - 4.21ms
+ */
+export const requestLogger = (req, res, next) => {
+  const start = process.hrtime.bigint()
+
+  res.once('finish', () => {
+    const ms = Number(process.hrtime.bigint() - start) / 1e6
+    console.log(`${req.method} ${req.url} ${res.statusCode} - ${ms.toFixed(2)}ms`)
+  })
+
+  next()
+}
@@ -0,0 +1,47 @@
+import { AppError } from "../../utils/errors/error.utils.js"
+
+/**
+ * CORS middleware factory.
+ *
+ * - Sets `Access-Control-Allow-*` headers on every response
+ * - Answers `OPTIONS` preflight requests with 204 and ends the chain
+ *
+ * @param {Object} [options]
+ * @param {string|string[]} [options.origin='*'] - Allowed origin(s)
+ * @param {string[]} [options.methods] - Allowed HTTP methods
+ * @param {string[]} [options.headers] - Allowed request headers
+ * @param {number} [options.maxAge=600] - Preflight cache duration in seconds
+ * @returns {(req: object, res: object, next: Function) => void}
+ */
+export const cors = (options = {}) => {
+  const {
+    origin = '*',
+    methods = ['GET', 'POST', 'PUT', 'PATCH', 'DELETE', 'OPTIONS'],
+    headers = ['Content-Type', 'Authorization', 'Idempotency-Key', 'X-API-Key'],
+    maxAge = 600
+  } = options
+
+  const origins = Array.isArray(origin) ? origin : [origin]
+
+  return function cors(req, res, next) {
+    const requestOrigin = req.headers.origin
+
+    if (origins.includes('*')) {
+      res.setHeader('Access-Control-Allow-Origin', '*')
+    } else if (requestOrigin && origins.includes(requestOrigin)) {
+      res.setHeader('Access-Control-Allow-Origin', requestOrigin)
+      res.setHeader('Vary', 'Origin')
+    }
+
+    res.setHeader('Access-Control-Allow-Methods', methods.join(', '))
+    res.setHeader('Access-Control-Allow-Headers', headers.join(', '))
+
+    if (req.method === 'OPTIONS') {
+      res.setHeader('Access-Control-Max-Age', String(maxAge))
+      res.statusCode = AppError.statusMessage.NO_CONTENT
+      return res.end()
+    }
+
+    next()
+  }
+}
@@ -0,0 +1,74 @@
+import { PATH } from '../config/config.js'
+import { modelTools } from './model-tools.js'
+
+/**
+ * Secondary index declarations per entity file.
+ *
+ * - `unique: true` → enforced on create/update (UniqueConstraintError → 409)
+ * - every index speeds up equality lookups through `modelTools.find()`
+ *
+ * Imported once by the server before any route runs.
+ */
+export const INDEXES = {
+  [PATH.USER_PATH]: [
+    { field: 'email', unique: true },
+    { field: 'phone', unique: true },
+  ],
+  [PATH.USER_TOKEN]: [
+    { field: 'familyId', unique: true },
+    { field: 'userId' },
+  ],
+  [PATH.ONE_TIME_TOKEN_PATH]: [
+    { field: 'tokenHash', unique: true },
+    { field: 'userId' },
+  ],
+  [PATH.LOGIN_ATTEMPT_PATH]: [
+    { field: 'key', unique: true },
+  ],
+  [PATH.LOCKOUT_EVENT_PATH]: [
+    { field: 'key' },
+  ],
+  [PATH.OUTBOX_PATH]: [
+    { field: 'to' },
+  ],
+  [PATH.PAYMENT_PATH]: [
+    { field: 'reference', unique: true },
+    { field: 'email' },
+  ],
+  [PATH.REFUND_PATH]: [
+    { field: 'reference', unique: true },
+    { field: 'paymentReference' },
+  ],
+  [PATH.RESERVATION_PATH]: [
+    { field: 'paymentReference' },
+    { field: 'status' },
+  ],
+  [PATH.CART_PATH]: [
+    { field: 'userId' },
+  ],
+  [PATH.ORDER_PATH]: [
+    { field: 'paymentReference', unique: true },
+    { field: 'userId' },
+  ],
+  [PATH.WEBHOOK_PATH]: [
+    { field: 'userId' },
+  ],
+  [PATH.WEBHOOK_DELIVERY_PATH]: [
+    { field: 'webhookId' },
+    { field: 'status' },
+  ],
+  [PATH.IDEMPOTENCY_PATH]: [
+    { field: 'scopeKey', unique: true },
+  ],
+  [PATH.RATE_LIMIT_PATH]: [
+    { field: 'key', unique: true },
+  ],
+  [PATH.SETTLEMENT_PATH]: [
+    { field: 'reference', unique: true },
+    { field: 'settlementDate' },
+  ],
+}
+
+for (const [filePath, indexes] of Object.entries(INDEXES)) {
+  modelTools.defineIndexes(filePath, indexes)
+}
@@ -1,5 +1,7 @@
 import path from 'node:path'
 import fs from 'node:fs/promises'
+import { AsyncLocalStorage } from 'node:async_hooks'
+import { UniqueConstraintError, ValidationError } from '../utils/errors/error.utils.js'
 
 /**
  * ModelTools
@@ -11,9 +13,59 @@ import fs from 'node:fs/promises'
  * {
  *   "entityName": [{ _id: 1, ... }]
  * }
+ *
+ * Durability:
+ * - Every read-modify-write runs under a per-file async mutex, so
+ *   concurrent requests cannot lose writes or reuse an `_id`
+ * - Writes go to a temp file that is fsynced and renamed over the
+ *   original (atomic on POSIX); the previous version is kept as `.bak`
+ * - `recoverAll()` repairs half-written files from the `.bak` copy on startup
+ *
+ * Indexes:
+ * - Parsed files are cached in memory (revalidated by mtime/size on every read)
+ * - `defineIndexes()` declares unique and non-unique secondary indexes per file;
+ *   they are rebuilt whenever the file is (re)loaded and refreshed on every write
+ * - `find()` uses them for equality / `$in` / `$or` lookups instead of a full scan
+ * - Unique indexes are enforced on create/update with `UniqueConstraintError` (409)
+ *
+ * Schemas:
+ * - `defineSchema()` attaches a Schema to a file; create validates each document
+ *   in full (defaults applied), update validates only the changed fields.
+ *   Values are coerced (e.g. "2500" → 2500); violations throw `ValidationError` (422)
  */
 class ModelTools {
 
+  /**
+   * Per-file lock queue: absolute file path → tail of the pending-operation chain.
+   * @type {Map<string, Promise<void>>}
+   */
+  #locks = new Map()
+
+  /**
+   * Locks held by the current async call chain (makes the mutex re-entrant).
+   * @type {AsyncLocalStorage<Set<string>>}
+   */
+  #held = new AsyncLocalStorage()
+
+  /**
+   * Declared secondary indexes: absolute file path → index definitions.
+   * @type {Map<string, Array<{ field: string, unique: boolean }>>}
+   */
+  #indexDefs = new Map()
+
+  /**
+   * Loaded files: absolute file path → { mtimeMs, size, raw, byId, indexes }.
+   * `indexes` maps field → (String(value) → Set of _id).
+   * @type {Map<string, Object>}
+   */
+  #cache = new Map()
+
+  /**
+   * Declared schemas: absolute file path → Schema (anything with `validate()`).
+   * @type {Map<string, import('../utils/schema.utils.js').Schema>}
+   */
+  #schemas = new Map()
+
   //==================================================
   //  PUBLIC METHODS
   //==================================================
@@ -25,20 +77,8 @@ class ModelTools {
    */
   async findAll(filePath) {
     this._validatePath(filePath)
-    const entity = this._extractEntityFromPath(filePath)
-
-    try {
-      await this._createDirIfNotExists(filePath)
-      const data = await fs.readFile(filePath, 'utf-8')
-      return this._parse(data)
-    } catch (error) {
-      if (error.code === 'ENOENT') {
-        const empty = { [entity]: [] }
-        await fs.writeFile(filePath, this._serialize(empty))
-        return empty
-      }
-      throw error
-    }
+    const entry = await this._load(filePath)
+    return structuredClone(entry.raw)
   }
 
   /**
@@ -49,10 +89,66 @@ class ModelTools {
     this._validateID(_id)
 
     const entity = this._extractEntityFromPath(filePath)
-    const raw = await this.findAll(filePath)
+    const entry = await this._load(filePath)
 
-    const found = raw[entity].find(ex => ex._id === Number(_id))
-    return { [entity]: found ? [found] : [] }
+    const found = entry.byId.get(Number(_id))
+    return { [entity]: found ? [structuredClone(found)] : [] }
+  }
+
+  /**
+   * Query documents with filtering, sorting, pagination and projection.
+   *
+   * `where` supports equality (`{ status: 'success' }`), dot paths
+   * (`{ 'meta.channel': 'card' }`) and operators:
+   * - `$eq`, `$ne`, `$gt`, `$gte`, `$lt`, `$lte`
+   * - `$in`, `$nin`, `$exists`
+   * - `$regex` (string or RegExp, with optional `$options`)
+   * - `$and`, `$or`, `$not` (nestable)
+   *
+   * @param {string} filePath
+   * @param {Object} [query]
+   * @param {Object} [query.where={}] - Filter document
+   * @param {Object|string} [query.sort] - `{ createdAt: -1, name: 1 }` or `'-createdAt,name'`
+   * @param {number} [query.skip=0] - Number of matches to skip
+   * @param {number} [query.limit] - Maximum number of results
+   * @param {string[]|Object} [query.fields] - `['email', 'amount']` or `{ password: 0 }`
+   * @returns {Promise<{ [entity: string]: Object[], total: number }>}
+   * `total` is the number of matches before skip/limit
+   *
+   * @example
+   * const { payments, total } = await modelTools.find(path, {
+   *   where: { status: { $in: ['success', 'failed'] }, amount: { $gte: 1000 } },
+   *   sort: '-createdAt',
+   *   skip: 20,
+   *   limit: 10
+   * })
+   */
+  async find(filePath, query = {}) {
+    this._validatePath(filePath)
+
+    const { where = {}, sort, skip = 0, limit, fields } = query
+    const entity = this._extractEntityFromPath(filePath)
+    const entry = await this._load(filePath)
+
+    const candidates = this._indexCandidates(entry, where) ?? entry.raw[entity]
+    let results = candidates.filter(doc => this._matches(doc, where))
+    const total = results.length
+
+    if (sort) {
+      results.sort(this._buildComparator(sort))
+    }
+
+    const start = Math.max(0, Number(skip) || 0)
+    const end = limit === undefined || limit === null
+      ? undefined
+      : start + Math.max(0, Number(limit) || 0)
+    results = results.slice(start, end).map(doc => structuredClone(doc))
+
+    if (fields) {
+      results = results.map(doc => this._project(doc, fields))
+    }
+
+    return { [entity]: results, total }
   }
 
   /**
@@ -62,29 +158,33 @@ class ModelTools {
     this._validatePath(filePath)
     this._validateData(data)
 
-    const entity = this._extractEntityFromPath(filePath)
-    const raw = await this.findAll(filePath)
-    const existing = raw[entity]
+    return this._withLock(filePath, async () => {
+      const entity = this._extractEntityFromPath(filePath)
+      const entry = await this._load(filePath)
+      const raw = structuredClone(entry.raw)
+      const existing = raw[entity]
 
-    // Safe next ID calculation
-    let nextId =
-      existing.length === 0
-        ? 1
-        : Math.max(...existing.map(ex => ex._id)) + 1
+      // Safe next ID calculation
+      let nextId =
+        existing.length === 0
+          ? 1
+          : Math.max(...existing.map(ex => ex._id)) + 1
 
-    const created = []
+      const created = []
 
-    for (const item of data) {
-      const saved = {
-        _id: nextId++,
-        ...item
+      for (const item of data) {
+        const saved = {
+          _id: nextId++,
+          ...this._applySchema(filePath, item)
+        }
+        existing.push(saved)
+        created.push(saved)
       }
-      existing.push(saved)
-      created.push(saved)
-    }
 
-    await fs.writeFile(filePath, this._serialize(raw))
-    return { [entity]: created }
+      this._assertUnique(filePath, entry, created)
+      await this._atomicWrite(filePath, raw)
+      return { [entity]: created }
+    })
   }
 
   /**
@@ -95,25 +195,30 @@ class ModelTools {
     this._validateID(_id)
     this._validateData(data)
 
-    const entity = this._extractEntityFromPath(filePath)
-    const raw = await this.findAll(filePath)
-    const existing = raw[entity]
+    return this._withLock(filePath, async () => {
+      const entity = this._extractEntityFromPath(filePath)
+      const entry = await this._load(filePath)
+      const raw = structuredClone(entry.raw)
+      const existing = raw[entity]
 
-    const index = existing.findIndex(ex => ex._id === Number(_id))
-    if (index === -1) {
-      return { [entity]: [] }
-    }
+      const index = existing.findIndex(ex => ex._id === Number(_id))
+      if (index === -1) {
+        return { [entity]: [] }
+      }
 
-    // Only first update object is applied
-    const { _id: ignored, ...safeUpdates } = data[0]
+      // Only first update object is applied
+      const { _id: ignored, ...updates } = data[0]
+      const safeUpdates = this._applySchema(filePath, updates, { partial: true })
 
-    existing[index] = {
-      ...existing[index],
-      ...safeUpdates
-    }
+      existing[index] = {
+        ...existing[index],
+        ...safeUpdates
+      }
 
-    await fs.writeFile(filePath, this._serialize(raw))
-    return { [entity]: [existing[index]] }
+      this._assertUnique(filePath, entry, [existing[index]])
+      await this._atomicWrite(filePath, raw)
+      return { [entity]: [existing[index]] }
+    })
   }
 
   /**
@@ -123,25 +228,595 @@ class ModelTools {
     this._validatePath(filePath)
     this._validateID(_id)
 
-    const entity = this._extractEntityFromPath(filePath)
-    const raw = await this.findAll(filePath)
-    const existing = raw[entity]
+    return this._withLock(filePath, async () => {
+      const entity = this._extractEntityFromPath(filePath)
+      const raw = await this.findAll(filePath)
+      const existing = raw[entity]
+
+      const index = existing.findIndex(ex => ex._id === Number(_id))
+      if (index === -1) {
+        return { [entity]: [] }
+      }
+
+      const [deleted] = existing.splice(index, 1)
+
+      await this._atomicWrite(filePath, raw)
+      return { [entity]: [deleted] }
+    })
+  }
+
+  /**
+   * Declare secondary indexes for an entity file.
+   * Replaces any previous declaration and drops the cached copy so the
+   * indexes are built on the next read.
+   *
+   * @param {string} filePath
+   * @param {Array<{ field: string, unique?: boolean }>} indexes
+   *
+   * @example
+   * modelTools.defineIndexes(PATH.USER_PATH, [
+   *   { field: 'email', unique: true },
+   *   { field: 'phone', unique: true }
+   * ])
+   */
+  defineIndexes(filePath, indexes) {
+    this._validatePath(filePath)
+
+    if (!Array.isArray(indexes) || indexes.some(i => !i?.field)) {
+      throw new Error('indexes must be an array of { field, unique }')
+    }
+
+    const key = path.resolve(filePath)
+    this.#indexDefs.set(key, indexes.map(({ field, unique = false }) => ({ field, unique })))
+    this.#cache.delete(key)
+  }
 
-    const index = existing.findIndex(ex => ex._id === Number(_id))
-    if (index === -1) {
-      return { [entity]: [] }
+  /**
+   * Attach a schema to an entity file. Every create/update is validated
+   * and coerced against it.
+   *
+   * @param {string} filePath
+   * @param {{ validate: Function }} schema - A Schema instance
+   */
+  defineSchema(filePath, schema) {
+    this._validatePath(filePath)
+
+    if (typeof schema?.validate !== 'function') {
+      throw new Error('schema must expose a validate() method')
+    }
+
+    this.#schemas.set(path.resolve(filePath), schema)
+  }
+
+  /**
+   * Run `fn` while holding the lock for `filePath`.
+   *
+   * Use it to make a multi-step read-modify-write (e.g. read a product,
+   * check stock, then update it) atomic with respect to other writers of
+   * the same file. The lock is re-entrant, so create/update/delete on the
+   * same file can be called inside `fn`.
+   *
+   * @param {string} filePath
+   * @param {() => Promise<any>} fn
+   * @returns {Promise<any>} Whatever `fn` resolves with
+   */
+  async transaction(filePath, fn) {
+    this._validatePath(filePath)
+    return this._withLock(filePath, fn)
+  }
+
+  /**
+   * Detect and repair a damaged entity file.
+   *
+   * - Removes leftover temp files from interrupted writes
+   * - If the file is missing or not valid JSON of shape `{ [entity]: [] }`,
+   *   restores it from the `.bak` copy written by the last good commit
+   *
+   * @param {string} filePath
+   * @returns {Promise<'ok'|'restored'|'missing'>}
+   * @throws {Error} If the file is corrupt and no valid backup exists
+   */
+  async recover(filePath) {
+    this._validatePath(filePath)
+
+    return this._withLock(filePath, async () => {
+        await this._removeTempFiles(filePath)
+
+        const current = await this._readValid(filePath)
+        if (current.valid) return 'ok'
+
+        const backup = await this._readValid(this._backupPath(filePath))
+
+        if (!backup.valid) {
+          if (current.missing) return 'missing'
+          throw new Error(`Corrupt data file with no valid backup: ${filePath}`)
+        }
+
+        await this._atomicWrite(filePath, backup.data, { backup: false })
+        return 'restored'
+    })
+  }
+
+  /**
+   * Run `recover()` on every `.json` file under a directory (recursive).
+   * Intended to be awaited once on startup, before the server listens.
+   *
+   * @param {string} dir - e.g. './model'
+   * @returns {Promise<Object<string, string>>} filePath → recovery result
+   */
+  async recoverAll(dir) {
+    const entries = await fs.readdir(dir, { recursive: true, withFileTypes: true })
+    const report = {}
+
+    const files = new Set()
+    for (const entry of entries) {
+      if (!entry.isFile()) continue
+      const full = path.join(entry.parentPath ?? entry.path, entry.name)
+
+      if (full.endsWith('.json')) files.add(full)
+      if (full.endsWith('.json.bak')) files.add(full.slice(0, -'.bak'.length))
     }
 
-    const [deleted] = existing.splice(index, 1)
+    for (const file of files) {
+      report[file] = await this.recover(file)
+    }
 
-    await fs.writeFile(filePath, this._serialize(raw))
-    return { [entity]: [deleted] }
+    return report
   }
 
   //==================================================
   //  PRIVATE METHODS
   //==================================================
 
+  /**
+   * Return the cached entry for a file, (re)loading it when the file changed
+   * on disk. Creates an empty entity file if it does not exist yet.
+   */
+  async _load(filePath) {
+    const key = path.resolve(filePath)
+    const entity = this._extractEntityFromPath(filePath)
+
+    let stat
+    try {
+      stat = await fs.stat(filePath)
+    } catch (error) {
+      if (error.code !== 'ENOENT') throw error
+
+      return this._withLock(filePath, async () => {
+        // Another writer may have created it while we waited for the lock
+        const existing = await this._readValid(filePath)
+        if (!existing.valid) {
+          await this._atomicWrite(filePath, { [entity]: [] })
+        }
+        return this._load(filePath)
+      })
+    }
+
+    const cached = this.#cache.get(key)
+    if (cached && cached.mtimeMs === stat.mtimeMs && cached.size === stat.size) {
+      return cached
+    }
+
+    const raw = this._parse(await fs.readFile(filePath, 'utf-8'))
+    return this._cacheEntry(filePath, raw, stat)
+  }
+
+  /**
+   * Build the in-memory entry (id map + secondary indexes) for parsed data.
+   */
+  _cacheEntry(filePath, raw, stat) {
+    const key = path.resolve(filePath)
+    const entity = this._extractEntityFromPath(filePath)
+    const docs = raw[entity] ?? []
+
+    const byId = new Map()
+    const indexes = new Map()
+    const defs = this.#indexDefs.get(key) ?? []
+
+    for (const { field } of defs) indexes.set(field, new Map())
+
+    for (const doc of docs) {
+      byId.set(doc._id, doc)
+
+      for (const { field } of defs) {
+        const value = this._getPath(doc, field)
+        if (value === undefined || value === null) continue
+
+        const bucket = indexes.get(field)
+        const indexKey = String(value)
+        if (!bucket.has(indexKey)) bucket.set(indexKey, new Set())
+        bucket.get(indexKey).add(doc._id)
+      }
+    }
+
+    const entry = { mtimeMs: stat.mtimeMs, size: stat.size, raw, byId, indexes }
+    this.#cache.set(key, entry)
+    return entry
+  }
+
+  /**
+   * Narrow a `where` filter to candidate documents using secondary indexes.
+   * Handles top-level equality, `$eq`, `$in`, `$and` and `$or` (when every
+   * branch is indexable). The full filter is still applied afterwards.
+   *
+   * @returns {Object[]|null} Candidate documents, or null when no index applies
+   */
+  _indexCandidates(entry, where) {
+    const ids = this._indexIds(entry, where)
+    if (!ids) return null
+
+    return [...ids]
+      .sort((a, b) => a - b)
+      .map(id => entry.byId.get(id))
+      .filter(Boolean)
+  }
+
+  /**
+   * Resolve a `where` filter to a Set of `_id`s via indexes (see `_indexCandidates`).
+   * @returns {Set<number>|null}
+   */
+  _indexIds(entry, where) {
+    for (const [key, condition] of Object.entries(where ?? {})) {
+      if (key === '$and') {
+        for (const sub of condition) {
+          const ids = this._indexIds(entry, sub)
+          if (ids) return ids
+        }
+        continue
+      }
+
+      if (key === '$or') {
+        const union = new Set()
+        for (const sub of condition) {
+          const ids = this._indexIds(entry, sub)
+          if (!ids) return null
+          for (const id of ids) union.add(id)
+        }
+        return union
+      }
+
+      const bucket = entry.indexes.get(key)
+      if (!bucket) continue
+
+      const values = this._indexableValues(condition)
+      if (!values) continue
+
+      const ids = new Set()
+      for (const value of values) {
+        for (const id of bucket.get(String(value)) ?? []) ids.add(id)
+      }
+      return ids
+    }
+
+    return null
+  }
+
+  /**
+   * Values an equality-style condition can match, or null if not indexable.
+   */
+  _indexableValues(condition) {
+    const isScalar = (v) => ['string', 'number', 'boolean'].includes(typeof v)
+
+    if (isScalar(condition)) return [condition]
+    if (condition === null || typeof condition !== 'object') return null
+
+    const ops = Object.keys(condition)
+    if (ops.length === 1 && ops[0] === '$eq' && isScalar(condition.$eq)) {
+      return [condition.$eq]
+    }
+    if (ops.length === 1 && ops[0] === '$in' && Array.isArray(condition.$in) && condition.$in.every(isScalar)) {
+      return condition.$in
+    }
+    return null
+  }
+
+  /**
+   * Enforce unique indexes for documents about to be written.
+   * Checks against the stored data (ignoring the document itself) and
+   * within the batch.
+   *
+   * @throws {UniqueConstraintError}
+   */
+  _assertUnique(filePath, entry, docs) {
+    const defs = this.#indexDefs.get(path.resolve(filePath)) ?? []
+    const entity = this._extractEntityFromPath(filePath)
+
+    for (const { field, unique } of defs) {
+      if (!unique) continue
+
+      const bucket = entry.indexes.get(field)
+      const seen = new Map()
+
+      for (const doc of docs) {
+        const value = this._getPath(doc, field)
+        if (value === undefined || value === null) continue
+
+        const indexKey = String(value)
+        const taken = [...(bucket?.get(indexKey) ?? [])].some(id => id !== doc._id)
+        const inBatch = seen.has(indexKey) && seen.get(indexKey) !== doc._id
+
+        if (taken || inBatch) {
+          throw new UniqueConstraintError(entity, field, value)
+        }
+        seen.set(indexKey, doc._id)
+      }
+    }
+  }
+
+  /**
+   * Validate and coerce a document against the file's schema, if any.
+   * @throws {ValidationError}
+   */
+  _applySchema(filePath, doc, options = {}) {
+    const schema = this.#schemas.get(path.resolve(filePath))
+    if (!schema) return doc
+
+    const { valid, errors, value } = schema.validate(doc, options)
+    if (!valid) throw new ValidationError(errors)
+    return value
+  }
+
+  /**
+   * Check a document against a `where` filter.
+   */
+  _matches(doc, where) {
+    return Object.entries(where ?? {}).every(([key, condition]) => {
+      switch (key) {
+        case '$and':
+          return condition.every(sub => this._matches(doc, sub))
+        case '$or':
+          return condition.some(sub => this._matches(doc, sub))
+        case '$not':
+          return !this._matches(doc, condition)
+        default:
+          return this._matchesCondition(this._getPath(doc, key), condition)
+      }
+    })
+  }
+
+  /**
+   * Check a single field value against a literal or an operator object.
+   */
+  _matchesCondition(value, condition) {
+    const isOperatorObject =
+      condition !== null &&
+      typeof condition === 'object' &&
+      !Array.isArray(condition) &&
+      !(condition instanceof RegExp) &&
+      !(condition instanceof Date) &&
+      Object.keys(condition).some(k => k.startsWith('$'))
+
+    if (condition instanceof RegExp) {
+      return typeof value === 'string' && condition.test(value)
+    }
+
+    if (!isOperatorObject) {
+      return this._compareValues(value, condition) === 0
+    }
+
+    return Object.entries(condition).every(([op, operand]) => {
+      switch (op) {
+        case '$eq':
+          return this._compareValues(value, operand) === 0
+        case '$ne':
+          return this._compareValues(value, operand) !== 0
+        case '$gt':
+          return value != null && this._compareValues(value, operand) > 0
+        case '$gte':
+          return value != null && this._compareValues(value, operand) >= 0
+        case '$lt':
+          return value != null && this._compareValues(value, operand) < 0
+        case '$lte':
+          return value != null && this._compareValues(value, operand) <= 0
+        case '$in':
+          return operand.some(o => this._compareValues(value, o) === 0)
+        case '$nin':
+          return !operand.some(o => this._compareValues(value, o) === 0)
+        case '$exists':
+          return (value !== undefined) === Boolean(operand)
+        case '$regex': {
+          if (typeof value !== 'string') return false
+          const regex = operand instanceof RegExp
+            ? operand
+            : new RegExp(operand, condition.$options ?? '')
+          return regex.test(value)
+        }
+        case '$options':
+          return true
+        case '$not':
+          return !this._matchesCondition(value, operand)
+        default:
+          throw new Error(`Unsupported query operator: ${op}`)
+      }
+    })
+  }
+
+  /**
+   * Compare two values: numbers numerically (numeric strings included),
+   * dates chronologically, everything else as strings.
+   * @returns {number} negative, zero or positive
+   */
+  _compareValues(a, b) {
+    if (a instanceof Date) a = a.getTime()
+    if (b instanceof Date) b = b.getTime()
+
+    if (a === b) return 0
+    if (a === undefined || a === null) return b === undefined || b === null ? 0 : -1
+    if (b === undefined || b === null) return 1
+
+    const isNumeric = (v) =>
+      typeof v === 'number' || (typeof v === 'string' && v.trim() !== '' && !Number.isNaN(Number(v)))
+
+    if ((typeof a === 'number' || typeof b === 'number') && isNumeric(a) && isNumeric(b)) {
+      return Number(a) - Number(b)
+    }
+
+    const sa = String(a)
+    const sb = String(b)
+    return sa < sb ? -1 : sa > sb ? 1 : 0
+  }
+
+  /**
+   * Build an Array#sort comparator from `{ field: 1 | -1 }` or `'-field,other'`.
+   */
+  _buildComparator(sort) {
+    const keys = typeof sort === 'string'
+      ? sort.split(',').map(s => s.trim()).filter(Boolean).map(s =>
+          s.startsWith('-') ? [s.slice(1), -1] : [s.replace(/^\+/, ''), 1])
+      : Object.entries(sort).map(([k, dir]) => [k, Number(dir) < 0 || dir === 'desc' ? -1 : 1])
+
+    return (a, b) => {
+      for (const [key, dir] of keys) {
+        const va = this._getPath(a, key)
+        const vb = this._getPath(b, key)
+
+        // Missing values always sort last
+        if (va == null && vb != null) return 1
+        if (vb == null && va != null) return -1
+
+        const diff = this._compareValues(va, vb)
+        if (diff !== 0) return diff * dir
+      }
+      return 0
+    }
+  }
+
+  /**
+   * Pick (`['a', 'b']` / `{ a: 1 }`) or omit (`{ a: 0 }`) top-level fields.
+   * `_id` is always kept unless explicitly omitted.
+   */
+  _project(doc, fields) {
+    const spec = Array.isArray(fields)
+      ? Object.fromEntries(fields.map(f => [f, 1]))
+      : fields
+
+    const include = Object.entries(spec).filter(([, v]) => v).map(([k]) => k)
+    const exclude = Object.entries(spec).filter(([, v]) => !v).map(([k]) => k)
+
+    if (include.length) {
+      const picked = {}
+      for (const key of ['_id', ...include]) {
+        if (key in doc && !exclude.includes(key)) picked[key] = doc[key]
+      }
+      return picked
+    }
+
+    const copy = { ...doc }
+    for (const key of exclude) delete copy[key]
+    return copy
+  }
+
+  /**
+   * Read a value by dot path, e.g. 'history.0.status'.
+   */
+  _getPath(doc, key) {
+    return key.split('.').reduce((obj, part) => obj?.[part], doc)
+  }
+
+  /**
+   * Queue `fn` behind any pending operation on the same file.
+   * The lock is released whether `fn` resolves or rejects.
+   * Re-entrant: if the current async chain already holds the lock, `fn` runs directly.
+   */
+  async _withLock(filePath, fn) {
+    const key = path.resolve(filePath)
+    const held = this.#held.getStore()
+
+    if (held?.has(key)) return fn()
+
+    const previous = this.#locks.get(key) ?? Promise.resolve()
+
+    let release
+    const current = new Promise(resolve => { release = resolve })
+    const tail = previous.then(() => current)
+    this.#locks.set(key, tail)
+
+    await previous
+    try {
+      return await this.#held.run(new Set([...(held ?? []), key]), fn)
+    } finally {
+      release()
+      // Drop the entry once nothing else is queued behind us
+      if (this.#locks.get(key) === tail) this.#locks.delete(key)
+    }
+  }
+
+  /**
+   * Crash-safe write: temp file → fsync → keep `.bak` → rename over original.
+   * A crash at any point leaves either the old or the new content on disk.
+   *
+   * @param {string} filePath
+   * @param {Object} data
+   * @param {Object} [options]
+   * @param {boolean} [options.backup=true] - Copy the current file to `.bak` first
+   */
+  async _atomicWrite(filePath, data, { backup = true } = {}) {
+    await this._createDirIfNotExists(filePath)
+
+    const tmpPath = `${filePath}.${process.pid}.${Date.now()}.tmp`
+    const handle = await fs.open(tmpPath, 'w')
+
+    try {
+      await handle.writeFile(this._serialize(data))
+      await handle.sync()
+    } finally {
+      await handle.close()
+    }
+
+    try {
+      if (backup) {
+        await fs.copyFile(filePath, this._backupPath(filePath)).catch(error => {
+          if (error.code !== 'ENOENT') throw error
+        })
+      }
+      await fs.rename(tmpPath, filePath)
+    } catch (error) {
+      await fs.rm(tmpPath, { force: true })
+      throw error
+    }
+
+    // Keep the in-memory copy and its indexes in step with the disk
+    this._cacheEntry(filePath, structuredClone(data), await fs.stat(filePath))
+  }
+
+  /**
+   * Read and validate an entity file without throwing.
+   * @returns {Promise<{ valid: boolean, missing?: boolean, data?: Object }>}
+   */
+  async _readValid(filePath) {
+    const entity = this._extractEntityFromPath(filePath.replace(/\.bak$/, ''))
+
+    try {
+      const data = this._parse(await fs.readFile(filePath, 'utf-8'))
+      const valid = data !== null && typeof data === 'object' && Array.isArray(data[entity])
+      return { valid, data }
+    } catch (error) {
+      return { valid: false, missing: error.code === 'ENOENT' }
+    }
+  }
+
+  /**
+   * Remove temp files left behind by an interrupted `_atomicWrite`.
+   */
+  async _removeTempFiles(filePath) {
+    const dir = path.dirname(filePath)
+    const prefix = `${path.basename(filePath)}.`
+
+    const names = await fs.readdir(dir).catch(() => [])
+    for (const name of names) {
+      if (name.startsWith(prefix) && name.endsWith('.tmp')) {
+        await fs.rm(path.join(dir, name), { force: true })
+      }
+    }
+  }
+
+  /**
+   * Path of the last-good-copy backup for an entity file.
+   */
+  _backupPath(filePath) {
+    return `${filePath}.bak`
+  }
+
   /**
    * Ensure directory exists for filePath
    */
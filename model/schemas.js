@@ -0,0 +1,507 @@
+import { Config, PATH } from '../config/config.js'
+import { PAYMENT_STATES } from '../services/payments/payment-lifecycle.service.js'
+import { PaymentSimulator, SIMULATION_OUTCOMES } from '../services/payments/payment-simulator.service.js'
+import { ORDER_STATES } from '../services/orders/order.service.js'
+import { DELIVERY_STATES, WEBHOOK_EVENTS } from '../services/webhooks/webhook.service.js'
+import { IDEMPOTENCY_STATES } from '../services/idempotency/idempotency.service.js'
+import { TOKEN_FAMILY_STATES, USER_ROLES } from '../services/auth/auth.service.js'
+import { ONE_TIME_TOKEN_PURPOSES } from '../services/auth/one-time-token.service.js'
+import { LOCKOUT_EVENTS, LOGIN_GUARD_SCOPES } from '../services/auth/login-guard.service.js'
+import { PAYMENT_CHANNELS } from '../services/payments/fee.service.js'
+import { Schema } from '../utils/schema.utils.js'
+import { CURRENCY_EXPONENTS } from '../utils/money.utils.js'
+import { Validator } from '../utils/validator.utils.js'
+import { modelTools } from './model-tools.js'
+
+//====================================================
+//  ENUMS
+//====================================================
+
+/** Supported ISO-4217 currency codes (decimal exponents live in Money) */
+export const CURRENCIES = Object.keys(CURRENCY_EXPONENTS)
+
+/** Payment lifecycle states (transitions live in PaymentLifecycle) */
+export const PAYMENT_STATUS = Object.values(PAYMENT_STATES)
+
+/** Payment channels (fees are scheduled per channel) */
+export const PAYMENT_CHANNEL = Object.values(PAYMENT_CHANNELS)
+
+/** Outcomes the payment simulator can be forced into (dev mode `simulate`) */
+export const SIMULATION_OUTCOME = Object.values(SIMULATION_OUTCOMES)
+
+/** Refund states (refunds settle instantly in the simulator) */
+export const REFUND_STATUS = ['processed']
+
+/** Stock reservation states */
+export const RESERVATION_STATUS = ['held', 'committed', 'released', 'expired']
+
+/** Cart states */
+export const CART_STATUS = ['open', 'checked_out']
+
+/** Order fulfilment states (transitions live in OrderService) */
+export const ORDER_STATUS = Object.values(ORDER_STATES)
+
+/** Subscribable webhook events (`*` = all) */
+export const WEBHOOK_EVENT = [...Object.values(WEBHOOK_EVENTS), '*']
+
+/** Webhook delivery states */
+export const DELIVERY_STATUS = Object.values(DELIVERY_STATES)
+
+/** Idempotency key states */
+export const IDEMPOTENCY_STATUS = Object.values(IDEMPOTENCY_STATES)
+
+/** User roles (permissions live in Auth.authorize and the routes) */
+export const USER_ROLE = Object.values(USER_ROLES)
+
+/** Token family states (one family per login) */
+export const TOKEN_FAMILY_STATUS = Object.values(TOKEN_FAMILY_STATES)
+
+/** What an emailed one-time token is for */
+export const ONE_TIME_TOKEN_PURPOSE = Object.values(ONE_TIME_TOKEN_PURPOSES)
+
+/** What failed logins are counted for */
+export const LOGIN_GUARD_SCOPE = Object.values(LOGIN_GUARD_SCOPES)
+
+export const LOCKOUT_EVENT = Object.values(LOCKOUT_EVENTS)
+
+/** Accepted user gender values */
+export const GENDERS = ['male', 'female', 'other']
+
+const now = () => new Date().toISOString()
+
+/** Client amounts are in major units ("5000.50"); Money.toMinor converts them */
+const majorAmount = (field) => ({
+  type: 'number',
+  validate: (v) => v > 0 || `${field} must be greater than 0`
+})
+
+const isHttpUrl = (v) => /^https?:\/\/[^\s]+$/i.test(v)
+
+//====================================================
+//  ENTITY SCHEMAS
+//====================================================
+
+/**
+ * Users
+ * `password` is the stored hash; plain-text rules live in Validator.validatePassword.
+ * `role` is never taken from registration or profile updates (see PATCH /users/:userId/role).
+ * `emailVerifiedAt` is set by GET /auth/verify-email/:token and cleared when the email changes.
+ */
+export const UserSchema = new Schema({
+  firstName: { type: 'string', max: 50 },
+  lastName: { type: 'string', max: 50 },
+  email: { type: 'email', required: true, lowercase: true },
+  phone: {
+    type: 'string',
+    required: true,
+    validate: (v) => Validator.validatePhone(v) || 'Invalid phone number'
+  },
+  gender: { type: 'string', lowercase: true, enum: GENDERS },
+  dob: {
+    type: 'date',
+    validate: (v) => Validator.validateDob(v) || 'Invalid date of birth'
+  },
+  password: { type: 'string', required: true },
+  role: { type: 'string', lowercase: true, enum: USER_ROLE, default: USER_ROLES.CUSTOMER },
+  emailVerifiedAt: { type: 'date' },
+  createdAt: { type: 'date', default: now },
+})
+
+/**
+ * Token families (one per login, see AuthService)
+ * `currentJti` is the only refresh token of the family that may still be used.
+ */
+export const TokenFamilySchema = new Schema({
+  familyId: { type: 'string', required: true },
+  userId: { type: 'integer', required: true, min: 1 },
+  currentJti: { type: 'string', required: true },
+  status: { type: 'string', enum: TOKEN_FAMILY_STATUS, default: TOKEN_FAMILY_STATES.ACTIVE },
+  expiresAt: { type: 'date', required: true },
+  rotatedAt: { type: 'date' },
+  revokedAt: { type: 'date' },
+  revokedReason: { type: 'string' },
+  createdAt: { type: 'date', default: now },
+})
+
+/**
+ * One-time tokens (password reset, email verification; see OneTimeToken)
+ * Only the SHA-256 `tokenHash` is stored. `usedAt` marks a spent token.
+ */
+export const OneTimeTokenSchema = new Schema({
+  tokenHash: { type: 'string', required: true },
+  userId: { type: 'integer', required: true, min: 1 },
+  purpose: { type: 'string', required: true, enum: ONE_TIME_TOKEN_PURPOSE },
+  email: { type: 'email', lowercase: true },
+  expiresAt: { type: 'date', required: true },
+  usedAt: { type: 'date' },
+  createdAt: { type: 'date', default: now },
+})
+
+/**
+ * Failed login counters (see LoginGuard)
+ * `key` is `<scope>:<email or IP>`; `failures` restarts after a lockout.
+ */
+export const LoginAttemptSchema = new Schema({
+  key: { type: 'string', required: true },
+  scope: { type: 'string', required: true, enum: LOGIN_GUARD_SCOPE },
+  failures: { type: 'integer', min: 0, default: 0 },
+  lastFailedAt: { type: 'date' },
+  lockedUntil: { type: 'date' },
+  lockCount: { type: 'integer', min: 0, default: 0 },
+  createdAt: { type: 'date', default: now },
+})
+
+/**
+ * Lockout audit trail (locks by LoginGuard, unlocks by admins)
+ * `key` is the email or IP; `actor` is "system" or the admin's email.
+ */
+export const LockoutEventSchema = new Schema({
+  event: { type: 'string', required: true, enum: LOCKOUT_EVENT },
+  scope: { type: 'string', required: true, enum: LOGIN_GUARD_SCOPE },
+  key: { type: 'string', required: true },
+  userId: { type: 'integer', min: 1 },
+  failures: { type: 'integer', min: 0 },
+  lockedUntil: { type: 'date' },
+  actor: { type: 'string', required: true },
+  createdAt: { type: 'date', default: now },
+})
+
+/**
+ * Rate limit states (only with `RATE_LIMIT_STORE=json`, see JsonFileStore)
+ * `key` is `<policy>:<client key>`; `state` is the algorithm's own shape.
+ */
+export const RateLimitStateSchema = new Schema({
+  key: { type: 'string', required: true },
+  state: { type: 'object', required: true },
+  expiresAt: { type: 'date', required: true },
+  createdAt: { type: 'date', default: now },
+})
+
+/**
+ * Outbox (messages stored by the default mail transport, see MailService)
+ */
+export const OutboxMessageSchema = new Schema({
+  from: { type: 'string', required: true },
+  to: { type: 'email', required: true, lowercase: true },
+  subject: { type: 'string', required: true, max: 200 },
+  text: { type: 'string', required: true },
+  createdAt: { type: 'date', default: now },
+})
+
+/**
+ * Products
+ * `price` is in integer minor units of the store currency (Config.merchant.currency).
+ * `numberInStock` is stock on hand; `reservedStock` is the part of it held
+ * by unverified payments (managed by StockReservation, never by clients).
+ * `merchantId` is the user who listed it: webhooks for its payments go to them.
+ */
+export const ProductSchema = new Schema({
+  name: { type: 'string', required: true, min: 1, max: 100, uppercase: true },
+  description: { type: 'string', max: 1000 },
+  price: { type: 'integer', required: true, min: 0 },
+  numberInStock: { type: 'integer', min: 0, default: 0 },
+  reservedStock: { type: 'integer', min: 0, default: 0 },
+  merchantId: { type: 'integer', min: 1 },
+  createdAt: { type: 'date', default: now },
+})
+
+/**
+ * Payments
+ * Amounts are integer minor units of `currency`.
+ * Single-product payments carry `productId` / `quantity`; cart checkouts
+ * carry `cartId` and priced `items` ({ productId, name, unitPrice, quantity, lineTotal }).
+ * Paid in another currency than the store's: `fx` records
+ * `{ currency, amount, rate, ratesAsOf }` (store currency amount and the rate used).
+ * Successful payments carry `fees` (FeeService) and `netAmount` (amount - fees);
+ * `settlementId` is set once they are batched into a settlement.
+ * `fulfilledAt` is set once a successful payment's stock, order and webhook are done;
+ * `fulfillingAt` claims that work for one verification at a time.
+ */
+export const PaymentSchema = new Schema({
+  reference: { type: 'string', required: true },
+  email: { type: 'email', required: true, lowercase: true },
+  amount: { type: 'integer', required: true, min: 1 },
+  currency: { type: 'string', uppercase: true, enum: CURRENCIES, default: () => Config.merchant.currency },
+  channel: { type: 'string', lowercase: true, enum: PAYMENT_CHANNEL, default: PAYMENT_CHANNELS.CARD },
+  status: { type: 'string', enum: PAYMENT_STATUS, default: PAYMENT_STATES.INITIALIZED },
+  history: { type: 'array', default: () => [] },
+  productId: { type: 'integer', min: 1 },
+  quantity: { type: 'integer', min: 1 },
+  amountRefunded: { type: 'integer', min: 0 },
+  quantityRestocked: { type: 'integer', min: 0 },
+  simulate: { type: 'string', lowercase: true, enum: SIMULATION_OUTCOME },
+  gatewayResponse: { type: 'object' },
+  cartId: { type: 'integer', min: 1 },
+  items: { type: 'array' },
+  fx: { type: 'object' },
+  fees: { type: 'integer', min: 0 },
+  netAmount: { type: 'integer', min: 0 },
+  settlementId: { type: 'integer', min: 1 },
+  userId: { type: 'integer', min: 1 },
+  callbackUrl: {
+    type: 'string',
+    max: 2048,
+    validate: (v) => isHttpUrl(v) || 'callback_url must be an http(s) URL'
+  },
+  createdAt: { type: 'date', default: now },
+  verifiedAt: { type: 'date' },
+  fulfillingAt: { type: 'date' },
+  fulfilledAt: { type: 'date' },
+})
+
+/**
+ * Refunds (one row per refund against a payment)
+ * `amount` is in integer minor units of the payment currency.
+ */
+export const RefundSchema = new Schema({
+  reference: { type: 'string', required: true },
+  paymentId: { type: 'integer', required: true, min: 1 },
+  paymentReference: { type: 'string', required: true },
+  amount: { type: 'integer', required: true, min: 1 },
+  currency: { type: 'string', uppercase: true, enum: CURRENCIES, required: true },
+  reason: { type: 'string', max: 500 },
+  quantityRestocked: { type: 'integer', min: 0, default: 0 },
+  status: { type: 'string', enum: REFUND_STATUS, default: 'processed' },
+  actor: { type: 'string' },
+  createdAt: { type: 'date', default: now },
+})
+
+/**
+ * Stock reservations (one hold per product payment)
+ */
+export const ReservationSchema = new Schema({
+  productId: { type: 'integer', required: true, min: 1 },
+  paymentReference: { type: 'string', required: true },
+  quantity: { type: 'integer', required: true, min: 1 },
+  status: { type: 'string', enum: RESERVATION_STATUS, default: 'held' },
+  expiresAt: { type: 'date', required: true },
+  settledAt: { type: 'date' },
+  reason: { type: 'string', max: 500 },
+  createdAt: { type: 'date', default: now },
+})
+
+/**
+ * Carts (owned by the user who created them)
+ * `items`: [{ productId, quantity }]; prices are looked up at checkout.
+ */
+export const CartSchema = new Schema({
+  userId: { type: 'integer', required: true, min: 1 },
+  items: { type: 'array', default: () => [] },
+  status: { type: 'string', enum: CART_STATUS, default: 'open' },
+  paymentReference: { type: 'string' },
+  createdAt: { type: 'date', default: now },
+  updatedAt: { type: 'date', default: now },
+})
+
+/**
+ * Orders (one per successful product or cart payment)
+ * `items`: [{ productId, name, unitPrice, quantity, lineTotal }]
+ * Amounts are integer minor units of `currency` (the payment currency).
+ */
+export const OrderSchema = new Schema({
+  userId: { type: 'integer', min: 1 },
+  email: { type: 'email', required: true, lowercase: true },
+  paymentId: { type: 'integer', required: true, min: 1 },
+  paymentReference: { type: 'string', required: true },
+  items: { type: 'array', required: true, min: 1 },
+  subtotal: { type: 'integer', required: true, min: 0 },
+  totalAmount: { type: 'integer', required: true, min: 0 },
+  currency: { type: 'string', uppercase: true, enum: CURRENCIES, required: true },
+  status: { type: 'string', enum: ORDER_STATUS, default: ORDER_STATES.PLACED },
+  history: { type: 'array', default: () => [] },
+  refundReference: { type: 'string' },
+  createdAt: { type: 'date', default: now },
+  updatedAt: { type: 'date', default: now },
+})
+
+/**
+ * Webhook endpoints (registered by merchants)
+ * `secret` signs every delivery and is only shown when the endpoint is created.
+ */
+export const WebhookSchema = new Schema({
+  userId: { type: 'integer', required: true, min: 1 },
+  url: {
+    type: 'string',
+    required: true,
+    max: 2048,
+    validate: (v) => isHttpUrl(v) || 'url must be an http(s) URL'
+  },
+  events: {
+    type: 'array',
+    required: true,
+    min: 1,
+    validate: (v) => v.every(e => WEBHOOK_EVENT.includes(e))
+      || `events must be any of: ${WEBHOOK_EVENT.join(', ')}`
+  },
+  secret: { type: 'string', required: true },
+  description: { type: 'string', max: 200 },
+  active: { type: 'boolean', default: true },
+  createdAt: { type: 'date', default: now },
+})
+
+/**
+ * Webhook deliveries (one per event per endpoint)
+ * `body` is the exact JSON string sent (and signed) on every attempt.
+ * `sendingAt` marks a send in progress (dispatcher or manual redelivery).
+ */
+export const WebhookDeliverySchema = new Schema({
+  webhookId: { type: 'integer', required: true, min: 1 },
+  event: { type: 'string', required: true, enum: Object.values(WEBHOOK_EVENTS) },
+  body: { type: 'string', required: true },
+  status: { type: 'string', enum: DELIVERY_STATUS, default: DELIVERY_STATES.PENDING },
+  attempts: { type: 'array', default: () => [] },
+  nextAttemptAt: { type: 'date' },
+  sendingAt: { type: 'date' },
+  deliveredAt: { type: 'date' },
+  createdAt: { type: 'date', default: now },
+})
+
+/**
+ * Idempotency keys (one per user + `Idempotency-Key` header)
+ * `response` holds the exact status, content type and body first sent.
+ */
+export const IdempotencyKeySchema = new Schema({
+  scopeKey: { type: 'string', required: true },
+  scope: { type: 'string', required: true },
+  key: { type: 'string', required: true, max: 255 },
+  fingerprint: { type: 'string', required: true },
+  status: { type: 'string', enum: IDEMPOTENCY_STATUS, default: IDEMPOTENCY_STATES.PROCESSING },
+  response: { type: 'object' },
+  createdAt: { type: 'date', default: now },
+  expiresAt: { type: 'date', required: true },
+})
+
+/**
+ * Settlements (one per currency per day of successful payments)
+ * Amounts are integer minor units of `currency`; `settlementDate` is the
+ * UTC day (YYYY-MM-DD) the payments were verified on.
+ */
+export const SettlementSchema = new Schema({
+  reference: { type: 'string', required: true },
+  settlementDate: { type: 'string', required: true },
+  currency: { type: 'string', uppercase: true, enum: CURRENCIES, required: true },
+  paymentReferences: { type: 'array', required: true, min: 1 },
+  paymentCount: { type: 'integer', required: true, min: 1 },
+  grossAmount: { type: 'integer', required: true, min: 0 },
+  fees: { type: 'integer', required: true, min: 0 },
+  netAmount: { type: 'integer', required: true, min: 0 },
+  createdAt: { type: 'date', default: now },
+})
+
+//====================================================
+//  REQUEST SCHEMAS
+//====================================================
+
+/** POST /users/login */
+export const LoginSchema = new Schema({
+  email: { type: 'email', required: true, lowercase: true },
+  password: { type: 'string', required: true },
+})
+
+/** POST /auth/refresh */
+export const RefreshTokenSchema = new Schema({
+  refreshToken: { type: 'string', required: true },
+})
+
+/** POST /auth/forgot-password */
+export const ForgotPasswordSchema = LoginSchema.pick(['email'])
+
+/** POST /auth/reset-password (password rules: Validator.validatePassword) */
+export const ResetPasswordSchema = new Schema({
+  token: { type: 'string', required: true },
+  password: { type: 'string', required: true },
+})
+
+/** POST /users/:userId/password (new password rules: Validator.validatePassword) */
+export const ChangePasswordSchema = new Schema({
+  currentPassword: { type: 'string', required: true },
+  newPassword: { type: 'string', required: true },
+})
+
+/** PATCH /users/:userId/role */
+export const UpdateUserRoleSchema = new Schema({
+  role: { ...UserSchema.fields.role, required: true, default: undefined },
+})
+
+/** POST /payments (`amount` in major units; `email` is the logged-in user's) */
+export const InitializePaymentSchema = new Schema({
+  email: { type: 'email', required: true, lowercase: true },
+  amount: { ...majorAmount('amount'), required: true },
+  currency: { type: 'string', uppercase: true, enum: CURRENCIES, default: () => Config.merchant.currency },
+  channel: PaymentSchema.fields.channel,
+})
+
+/** POST /payments/pay-product (`currency`: pay in another currency than the store's) */
+export const PayForProductSchema = new Schema({
+  productId: { type: 'integer', required: true, min: 1 },
+  quantity: { type: 'integer', required: true, min: 1 },
+  email: { type: 'email', required: true, lowercase: true },
+  currency: { type: 'string', uppercase: true, enum: CURRENCIES, default: () => Config.merchant.currency },
+  channel: PaymentSchema.fields.channel,
+})
+
+/** POST /carts/:cartId/checkout */
+export const CartCheckoutSchema = PayForProductSchema.pick(['currency', 'channel'])
+
+/** POST /carts/:cartId/items */
+export const CartItemSchema = new Schema({
+  productId: { type: 'integer', required: true, min: 1 },
+  quantity: { type: 'integer', required: true, min: 1 },
+})
+
+/** PATCH /orders/:orderId/status */
+export const UpdateOrderStatusSchema = new Schema({
+  status: { type: 'string', required: true, lowercase: true, enum: ORDER_STATUS },
+  reason: { type: 'string', max: 500 },
+})
+
+/** POST /webhooks */
+export const CreateWebhookSchema = WebhookSchema.pick(['url', 'events', 'description'])
+
+/** POST /checkout/:reference/pay (hosted checkout form) */
+export const CheckoutCardSchema = new Schema({
+  card_number: {
+    type: 'string',
+    required: true,
+    validate: (v) => PaymentSimulator.isValidCardNumber(v) || 'Invalid card number'
+  },
+  expiry: {
+    type: 'string',
+    required: true,
+    validate: (v) => Validator.validateCardExpiry(v) || 'Expiry must be a future MM/YY date'
+  },
+  cvv: {
+    type: 'string',
+    required: true,
+    validate: (v) => /^\d{3,4}$/.test(v) || 'CVV must be 3 or 4 digits'
+  },
+})
+
+/**
+ * POST /payments/:reference/refunds (`amount` in major units)
+ * Either `amount` or `quantity` (refunds quantity × unit price), not both.
+ */
+export const CreateRefundSchema = new Schema({
+  amount: majorAmount('amount'),
+  quantity: { type: 'integer', min: 1 },
+  reason: { type: 'string', max: 500 },
+})
+
+// ModelTools enforces the entity schemas on every create/update
+modelTools.defineSchema(PATH.USER_PATH, UserSchema)
+modelTools.defineSchema(PATH.USER_TOKEN, TokenFamilySchema)
+modelTools.defineSchema(PATH.ONE_TIME_TOKEN_PATH, OneTimeTokenSchema)
+modelTools.defineSchema(PATH.OUTBOX_PATH, OutboxMessageSchema)
+modelTools.defineSchema(PATH.LOGIN_ATTEMPT_PATH, LoginAttemptSchema)
+modelTools.defineSchema(PATH.LOCKOUT_EVENT_PATH, LockoutEventSchema)
+modelTools.defineSchema(PATH.PRODUCT_PATH, ProductSchema)
+modelTools.defineSchema(PATH.PAYMENT_PATH, PaymentSchema)
+modelTools.defineSchema(PATH.REFUND_PATH, RefundSchema)
+modelTools.defineSchema(PATH.RESERVATION_PATH, ReservationSchema)
+modelTools.defineSchema(PATH.CART_PATH, CartSchema)
+modelTools.defineSchema(PATH.ORDER_PATH, OrderSchema)
+modelTools.defineSchema(PATH.WEBHOOK_PATH, WebhookSchema)
+modelTools.defineSchema(PATH.WEBHOOK_DELIVERY_PATH, WebhookDeliverySchema)
+modelTools.defineSchema(PATH.IDEMPOTENCY_PATH, IdempotencyKeySchema)
+modelTools.defineSchema(PATH.SETTLEMENT_PATH, SettlementSchema)
+modelTools.defineSchema(PATH.RATE_LIMIT_PATH, RateLimitStateSchema)
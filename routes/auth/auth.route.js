@@ -0,0 +1,61 @@
+import authController from "../../controller/auth/auth.controller.js"
+import { Auth } from "../../middleware/auth/auth.middleware.js"
+import { router } from "../routers.js"
+
+/**
+ * Predefined auth routes to avoid repeating strings.
+ */
+export const AUTH_ROUTES = {
+  REFRESH: '/auth/refresh',
+  FORGOT_PASSWORD: '/auth/forgot-password',
+  RESET_PASSWORD: '/auth/reset-password',
+  VERIFY_EMAIL_REQUEST: '/auth/verify-email/request',
+  VERIFY_EMAIL: '/auth/verify-email/:token',
+}
+
+/**
+ * Auth routes
+ *
+ * Session and account recovery endpoints outside `/users` (login and
+ * logout live there). Tokens for password reset and email verification
+ * are sent by email (see MailService).
+ */
+
+/**
+ * @route POST /auth/refresh
+ * @access Public (refresh token in the body)
+ * @param {Object} req.body
+ * @param {string} req.body.refreshToken
+ */
+router.add('POST', AUTH_ROUTES.REFRESH, authController.refresh)
+
+/**
+ * @route POST /auth/forgot-password
+ * @access Public
+ * @param {Object} req.body
+ * @param {string} req.body.email
+ */
+router.add('POST', AUTH_ROUTES.FORGOT_PASSWORD, authController.forgotPassword)
+
+/**
+ * @route POST /auth/reset-password
+ * @access Public (reset token in the body)
+ * @param {Object} req.body
+ * @param {string} req.body.token
+ * @param {string} req.body.password
+ */
+router.add('POST', AUTH_ROUTES.RESET_PASSWORD, authController.resetPassword)
+
+/**
+ * @route POST /auth/verify-email/request
+ * @access Authenticated
+ */
+router.add('POST', AUTH_ROUTES.VERIFY_EMAIL_REQUEST, authController.requestEmailVerification, {
+  middleware: [Auth.isAuthenticated]
+})
+
+/**
+ * @route GET /auth/verify-email/:token
+ * @access Public (token from the email link)
+ */
+router.add('GET', AUTH_ROUTES.VERIFY_EMAIL, authController.verifyEmail)
@@ -0,0 +1,82 @@
+import cartsController from "../../controller/carts/carts.controller.js"
+import { Auth } from "../../middleware/auth/auth.middleware.js"
+import { idempotency } from "../../middleware/http/idempotency.middleware.js"
+import { router } from "../routers.js"
+
+/**
+ * Predefined cart routes to avoid repeating strings.
+ */
+export const CART_ROUTES = {
+  GET_ALL: '/carts',
+  POST: '/carts',
+  GET_SINGLE: '/carts/:cartId',
+  ITEMS: '/carts/:cartId/items',
+  ITEM: '/carts/:cartId/items/:productId',
+  CHECKOUT: '/carts/:cartId/checkout'
+}
+
+/**
+ * Cart routes
+ *
+ * Every cart route requires a logged-in user; carts are scoped to `req.user`.
+ */
+const carts = router.group({ middleware: [Auth.isAuthenticated] })
+
+/**
+ * @route GET /carts
+ * @access Private (own carts)
+ */
+carts.add('GET', CART_ROUTES.GET_ALL, cartsController.getCarts)
+
+/**
+ * @route POST /carts
+ * @access Private
+ * @param {Object} [req.body]
+ * @param {Array<{ productId: number, quantity: number }>} [req.body.items]
+ */
+carts.add('POST', CART_ROUTES.POST, cartsController.createCart)
+
+/**
+ * @route GET /carts/:cartId
+ * @access Private (owner)
+ * @param {number} req.ids.cartId
+ */
+carts.add('GET', CART_ROUTES.GET_SINGLE, cartsController.getCart)
+
+/**
+ * @route POST /carts/:cartId/items
+ * @access Private (owner)
+ * @param {number} req.ids.cartId
+ * @param {Object} req.body
+ * @param {number} req.body.productId
+ * @param {number} req.body.quantity
+ */
+carts.add('POST', CART_ROUTES.ITEMS, cartsController.addItem)
+
+/**
+ * @route PATCH /carts/:cartId/items/:productId
+ * @access Private (owner)
+ * @param {number} req.ids.cartId
+ * @param {number} req.ids.productId
+ * @param {Object} req.body
+ * @param {number} req.body.quantity
+ */
+carts.add('PATCH', CART_ROUTES.ITEM, cartsController.updateItem)
+
+/**
+ * @route DELETE /carts/:cartId/items/:productId
+ * @access Private (owner)
+ * @param {number} req.ids.cartId
+ * @param {number} req.ids.productId
+ */
+carts.add('DELETE', CART_ROUTES.ITEM, cartsController.removeItem)
+
+/**
+ * @route POST /carts/:cartId/checkout
+ * @access Private (owner)
+ * @header {string} [Idempotency-Key]
+ * @param {number} req.ids.cartId
+ */
+carts.add('POST', CART_ROUTES.CHECKOUT, cartsController.checkout, {
+  middleware: [idempotency()]
+})
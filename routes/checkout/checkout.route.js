@@ -0,0 +1,36 @@
+import checkoutController from "../../controller/checkout/checkout.controller.js"
+import { router } from "../routers.js"
+
+/**
+ * Predefined checkout routes to avoid repeating strings.
+ */
+export const CHECKOUT_ROUTES = {
+  PAGE: '/checkout/:reference',
+  PAY: '/checkout/:reference/pay'
+}
+
+/**
+ * Hosted checkout routes
+ *
+ * The page behind every `authorization_url`. Public, like a gateway's
+ * payment page: the payment reference is the only credential.
+ * Responses are HTML.
+ */
+
+/**
+ * @route GET /checkout/:reference
+ * @access Public
+ * @param {string} req.ids.reference
+ */
+router.add('GET', CHECKOUT_ROUTES.PAGE, checkoutController.showCheckout)
+
+/**
+ * @route POST /checkout/:reference/pay
+ * @access Public
+ * @param {string} req.ids.reference
+ * @param {Object} req.body - Form-encoded or JSON
+ * @param {string} req.body.card_number
+ * @param {string} req.body.expiry - MM/YY
+ * @param {string} req.body.cvv
+ */
+router.add('POST', CHECKOUT_ROUTES.PAY, checkoutController.submitCheckout)
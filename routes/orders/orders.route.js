@@ -0,0 +1,45 @@
+import ordersController from "../../controller/orders/orders.controller.js"
+import { Auth } from "../../middleware/auth/auth.middleware.js"
+import { router } from "../routers.js"
+
+/**
+ * Predefined order routes to avoid repeating strings.
+ */
+export const ORDER_ROUTES = {
+  GET_ALL: '/orders',
+  GET_SINGLE: '/orders/:orderId',
+  STATUS: '/orders/:orderId/status'
+}
+
+/**
+ * Order routes
+ *
+ * Orders are created when a product or cart payment is verified;
+ * there is no create route. Every route requires a logged-in user.
+ * Buyers see their own orders; merchants and admins see and fulfil all.
+ */
+const orders = router.group({ middleware: [Auth.isAuthenticated] })
+
+/**
+ * @route GET /orders
+ * @access Private (own orders; merchant: plus orders holding their products; admin: all)
+ */
+orders.add('GET', ORDER_ROUTES.GET_ALL, ordersController.getOrders)
+
+/**
+ * @route GET /orders/:orderId
+ * @access Private (owner, merchant of one of its products, or admin)
+ * @param {number} req.ids.orderId
+ */
+orders.add('GET', ORDER_ROUTES.GET_SINGLE, ordersController.getOrder)
+
+/**
+ * @route PATCH /orders/:orderId/status
+ * @access Private (admin, or merchant of every product in the order:
+ *   shipped | delivered | cancelled; owner: cancelled, while the order is placed)
+ * @param {number} req.ids.orderId
+ * @param {Object} req.body
+ * @param {string} req.body.status - shipped | delivered | cancelled
+ * @param {string} [req.body.reason]
+ */
+orders.add('PATCH', ORDER_ROUTES.STATUS, ordersController.updateOrderStatus)
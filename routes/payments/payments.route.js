@@ -1,102 +1,95 @@
 import paymentsController from "../../controller/payments/payments.controller.js"
+import refundsController from "../../controller/refunds/refunds.controller.js"
+import { Auth } from "../../middleware/auth/auth.middleware.js"
+import { idempotency } from "../../middleware/http/idempotency.middleware.js"
+import { rateLimit } from "../../middleware/security/rate-limit.middleware.js"
+import { USER_ROLES } from "../../services/auth/auth.service.js"
 import { router } from "../routers.js"
 
 /**
  * Predefined payment routes to avoid repeating strings.
  */
-const PAYMENT_ROUTES = {
+export const PAYMENT_ROUTES = {
   GET_ALL: '/payments',
-  GET_SINGLE: '/payments/:paymentId',
+  GET_SINGLE: '/payments/:reference',
   INIT: '/payments',
   PAY_PRODUCT: '/payments/pay-product',
-  VERIFY: '/payments/verify/:reference'
+  VERIFY: '/payments/verify/:reference',
+  REFUNDS: '/payments/:reference/refunds'
 }
 
 /**
- * paymentRouter
+ * Payment routes
  *
- * Handles all HTTP routes related to payments.
- * Delegates requests to PaymentsController methods.
+ * Registers all HTTP routes related to payments on the shared router.
+ * Requests are delegated to PaymentsController methods.
  *
- * @param {import('http').IncomingMessage} req
- * @param {import('http').ServerResponse} res
- * @returns {Promise<boolean>} Returns true if route matched and was handled
+ * Static segments (`pay-product`, `verify`) are matched before
+ * `:reference`, so they never collide with the single-payment route.
+ *
+ * Every route requires a logged-in user. Payments are made with the
+ * user's email; reading and verifying them is limited to that payer and
+ * admins. Refunds are issued by merchants and admins.
+ * Mutating routes honour the `Idempotency-Key` header (see idempotency()).
+ * Requests are rate limited per user (`payments` policy).
  */
-export const paymentRouter = async (req, res) => {
-  const pathname = router.getPathParams(req, false)
-
-  // -------------------------
-  // GET /payments - Fetch all payments
-  // -------------------------
-  const isGetAll =
-    pathname === PAYMENT_ROUTES.GET_ALL ||
-    pathname === `${PAYMENT_ROUTES.GET_ALL}/`
+const payments = router.group({ middleware: [Auth.isAuthenticated, rateLimit('payments')] })
 
-  if (router.isGetRoute(req) && isGetAll) {
-    /**
-     * @route GET /payments
-     * @access Public
-     */
-    await router.get(req, res, PAYMENT_ROUTES.GET_ALL, paymentsController.getPayments)
-    return true
-  }
+/**
+ * @route GET /payments
+ * @access Private (own payments; admin: all)
+ */
+payments.add('GET', PAYMENT_ROUTES.GET_ALL, paymentsController.getPayments)
 
-  // -------------------------
-  // GET /payments/:paymentId - Fetch single payment
-  // -------------------------
-  if (router.isGetRoute(req) && router._hasPathParams(req, PAYMENT_ROUTES.GET_SINGLE)) {
-    /**
-     * @route GET /payments/:paymentId
-     * @access Public
-     * @param {number} req.ids.paymentId
-     */
-    router._attachIdsToRequest(req, PAYMENT_ROUTES.GET_SINGLE, pathname)
-    await router.get(req, res, PAYMENT_ROUTES.GET_SINGLE, paymentsController.getPayment)
-    return true
-  }
+/**
+ * @route GET /payments/:reference
+ * @access Private (owner or admin)
+ * @param {string} req.ids.reference
+ */
+payments.add('GET', PAYMENT_ROUTES.GET_SINGLE, paymentsController.getPayment)
 
-  // -------------------------
-  // POST /payments - Initialize payment
-  // -------------------------
-  const isPost =
-    pathname === PAYMENT_ROUTES.INIT ||
-    pathname === `${PAYMENT_ROUTES.INIT}/`
+/**
+ * @route POST /payments
+ * @access Private
+ * @header {string} [Idempotency-Key]
+ */
+payments.add('POST', PAYMENT_ROUTES.INIT, paymentsController.initializePayment, {
+  middleware: [idempotency()]
+})
 
-  if (router.isPostRoute(req) && isPost) {
-    /**
-     * @route POST /payments
-     * @access Public
-     */
-    await router.post(req, res, PAYMENT_ROUTES.INIT, paymentsController.initializePayment)
-    return true
-  }
+/**
+ * @route POST /payments/pay-product
+ * @access Private
+ * @header {string} [Idempotency-Key]
+ */
+payments.add('POST', PAYMENT_ROUTES.PAY_PRODUCT, paymentsController.payForProduct, {
+  middleware: [idempotency()]
+})
 
-  // -------------------------
-  // POST /payments/pay-product - Pay for product
-  // -------------------------
-  if (router.isPostRoute(req) && pathname === PAYMENT_ROUTES.PAY_PRODUCT) {
-    /**
-     * @route POST /payments/pay-product
-     * @access Public
-     */
-    await router.post(req, res, PAYMENT_ROUTES.PAY_PRODUCT, paymentsController.payForProduct)
-    return true
-  }
+/**
+ * @route GET /payments/verify/:reference
+ * @access Private (owner or admin)
+ * @param {string} req.ids.reference
+ */
+payments.add('GET', PAYMENT_ROUTES.VERIFY, paymentsController.verifyPayment)
 
-  // -------------------------
-  // GET /payments/verify/:reference - Verify payment
-  // -------------------------
-  if (router.isGetRoute(req) && router._hasPathParams(req, PAYMENT_ROUTES.VERIFY)) {
-    /**
-     * @route GET /payments/verify/:reference
-     * @access Public
-     * @param {string} req.ids.reference
-     */
-    router._attachIdsToRequest(req, PAYMENT_ROUTES.VERIFY, pathname)
-    await router.get(req, res, PAYMENT_ROUTES.VERIFY, paymentsController.verifyPayment)
-    return true
-  }
+/**
+ * @route POST /payments/:reference/refunds
+ * @access Private (admin, or merchant of every product in the payment)
+ * @header {string} [Idempotency-Key]
+ * @param {string} req.ids.reference
+ * @param {Object} req.body
+ * @param {number} [req.body.amount] - Partial amount (defaults to full remaining amount)
+ * @param {number} [req.body.quantity] - Units returned (product payments)
+ * @param {string} [req.body.reason]
+ */
+payments.add('POST', PAYMENT_ROUTES.REFUNDS, refundsController.createRefund, {
+  middleware: [Auth.authorize(USER_ROLES.MERCHANT, USER_ROLES.ADMIN), idempotency()]
+})
 
-  // No route matched
-  return false
-}
+/**
+ * @route GET /payments/:reference/refunds
+ * @access Private (owner, merchant of every product in the payment, or admin)
+ * @param {string} req.ids.reference
+ */
+payments.add('GET', PAYMENT_ROUTES.REFUNDS, refundsController.getRefunds)
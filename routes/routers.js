@@ -1,142 +1,261 @@
-import path from "path"
 import { asyncHandler } from "../utils/errors/async.utils.js"
 import { AppError } from "../utils/errors/error.utils.js"
+import { httpUtils } from "../utils/http.utils.js"
+import { runMiddleware } from "../utils/middleware.utils.js"
 
 /**
  * Router class to handle HTTP routing, path and query parsing,
  * and centralized error handling for asynchronous route handlers.
  *
  * This class provides:
- * - HTTP method validation (GET, POST, PUT, PATCH, DELETE)
- * - Path parameter extraction
+ * - Declarative route registration (`router.add('GET', '/users/:userId', handler)`)
+ * - Dispatching from a compiled route trie (static segments win over params)
+ * - Per-route and per-group middleware (`(req, res, next)`)
+ * - 405 Method Not Allowed responses with an `Allow` header
+ * - Path parameter extraction (attached to `req.ids`)
  * - Query parameter extraction
  * - Centralized async error handling via asyncHandler
- * 
+ *
  * Controllers remain clean; errors are normalized and bubbled.
+ *
+ * @example
+ * router.add('GET', '/payments/:paymentId', paymentsController.getPayment)
+ * router.add('POST', '/payments/pay-product', paymentsController.payForProduct)
+ *
+ * // in the server pipeline
+ * await runMiddleware(req, res, [requestLogger, bodyParser(), router.handle])
  */
 class Router {
   /**
-   * Maps HTTP methods to their respective route-check functions.
-   * Used internally to validate that requests match the expected HTTP method.
-   * @type {Object<string, string>}
+   * HTTP methods accepted by `add()`.
+   * @type {string[]}
    */
-  #routeCheckMap = {
-    GET: 'isGetRoute',
-    POST: 'isPostRoute',
-    PUT: 'isPutRoute',
-    PATCH: 'isPatchRoute',
-    DELETE: 'isDeleteRoute',
-  }
+  #methods = ['GET', 'POST', 'PUT', 'PATCH', 'DELETE']
 
   /**
-   * Internal handler to centralize route validation and async error handling.
-   *
-   * @param {Object} req - Node.js HTTP request object
-   * @param {Object} res - Node.js HTTP response object
-   * @param {string} method - HTTP method (GET, POST, etc.)
-   * @param {string} route - Expected route path
-   * @param {Function} fn - Async controller function to execute
-   * @returns {Promise<void>} - Returns the result of the wrapped async handler
-   * @throws {AppError} - Throws AppError if method is invalid or handler is not a function
+   * Root node of the compiled route trie.
+   * Each node holds:
+   * - `static`: Map of literal segment → child node
+   * - `param`: child node for a `:name` segment (one per level)
+   * - `routes`: Map of HTTP method → registered route
+   *
+   * Param names live on each route rather than on the node, so
+   * '/payments/:paymentId' and '/payments/:reference/refunds' can coexist.
+   * @type {Object}
    */
-  #handle(req, res, method, route, fn) {
-    const routeCheck = this.#routeCheckMap[method.toUpperCase()]
+  #root = this.#createNode()
 
-    if (!routeCheck || typeof this[routeCheck] !== 'function') {
-      throw new AppError.BadRequest(`Unsupported HTTP method: ${method}`)
+  //====================================================================
+  // Route registration
+  //====================================================================
+
+  /**
+   * Register a route.
+   *
+   * @param {string} method - HTTP method (GET, POST, PUT, PATCH, DELETE)
+   * @param {string} pattern - Route pattern, e.g. '/payments/:paymentId'
+   * @param {Function} handler - Async controller function `(req, res) => Promise<void>`
+   * @param {Object} [options]
+   * @param {Function[]} [options.middleware=[]] - `(req, res, next)` functions run before the handler
+   * @returns {Router} The router (chainable)
+   * @throws {AppError} If the method is unsupported, the handler is not a function
+   * or the same method/pattern pair is registered twice
+   */
+  add(method, pattern, handler, options = {}) {
+    const METHOD = String(method).toUpperCase()
+
+    if (!this.#methods.includes(METHOD)) {
+      throw AppError.BadRequest(`Unsupported HTTP method: ${method}`)
     }
 
-    if (!this[routeCheck](req, route)) {
-      throw new AppError.BadRequest(
-        `Invalid request: expected ${method.toUpperCase()} method with correct path parameters`
+    if (typeof handler !== 'function') {
+      throw AppError.MethodNotAllowed(
+        'Invalid parameter. Third arg must be a function'
       )
     }
 
-    if (typeof fn !== 'function') {
-      throw new AppError.MethodNotAllowed(
-        'Invalid parameter. Third arg must be a function'
+    let node = this.#root
+    const paramNames = []
+
+    for (const segment of this._splitPath(pattern)) {
+      if (segment.startsWith(':')) {
+        paramNames.push(segment.slice(1))
+        node.param ??= this.#createNode()
+        node = node.param
+      } else {
+        if (!node.static.has(segment)) {
+          node.static.set(segment, this.#createNode())
+        }
+        node = node.static.get(segment)
+      }
+    }
+
+    if (node.routes.has(METHOD)) {
+      throw AppError.InternalServerError(
+        `Route already registered: ${METHOD} ${pattern}`
       )
     }
 
-    // Wrap the controller in asyncHandler to centralize async error handling
-    return asyncHandler(fn)(req, res)
+    node.routes.set(METHOD, {
+      method: METHOD,
+      pattern,
+      handler,
+      paramNames,
+      middleware: options.middleware ?? []
+    })
+
+    return this
+  }
+
+  /**
+   * Create a route group sharing middleware (per-router middleware).
+   *
+   * Routes registered through the group run the group middleware first,
+   * then their own route middleware, then the handler.
+   *
+   * @param {Object} [options]
+   * @param {Function[]} [options.middleware=[]] - Middleware applied to every route in the group
+   * @returns {{ add: Function, get: Function, post: Function, put: Function, patch: Function, delete: Function }}
+   *
+   * @example
+   * const payments = router.group({ middleware: [Auth.isAuthenticated] })
+   * payments.add('POST', '/payments', paymentsController.initializePayment)
+   */
+  group(options = {}) {
+    const groupMiddleware = options.middleware ?? []
+
+    const add = (method, pattern, handler, routeOptions = {}) => {
+      this.add(method, pattern, handler, {
+        ...routeOptions,
+        middleware: [...groupMiddleware, ...(routeOptions.middleware ?? [])]
+      })
+      return group
+    }
+
+    const group = {
+      add,
+      get: (pattern, handler, opts) => add('GET', pattern, handler, opts),
+      post: (pattern, handler, opts) => add('POST', pattern, handler, opts),
+      put: (pattern, handler, opts) => add('PUT', pattern, handler, opts),
+      patch: (pattern, handler, opts) => add('PATCH', pattern, handler, opts),
+      delete: (pattern, handler, opts) => add('DELETE', pattern, handler, opts),
+    }
+
+    return group
   }
 
   //====================================================================
   // Convenience wrappers for HTTP methods
   //====================================================================
 
-  /** Handle GET requests */
-  get(req, res, route, fn) {
-    return this.#handle(req, res, 'GET', route, fn)
+  /** Register a GET route */
+  get(pattern, handler, options) {
+    return this.add('GET', pattern, handler, options)
   }
 
-  /** Handle POST requests */
-  post(req, res, route, fn) {
-    return this.#handle(req, res, 'POST', route, fn)
+  /** Register a POST route */
+  post(pattern, handler, options) {
+    return this.add('POST', pattern, handler, options)
   }
 
-  /** Handle PUT requests */
-  put(req, res, route, fn) {
-    return this.#handle(req, res, 'PUT', route, fn)
+  /** Register a PUT route */
+  put(pattern, handler, options) {
+    return this.add('PUT', pattern, handler, options)
   }
 
-  /** Handle PATCH requests */
-  patch(req, res, route, fn) {
-    return this.#handle(req, res, 'PATCH', route, fn)
+  /** Register a PATCH route */
+  patch(pattern, handler, options) {
+    return this.add('PATCH', pattern, handler, options)
   }
 
-  /** Handle DELETE requests */
-  delete(req, res, route, fn) {
-    return this.#handle(req, res, 'DELETE', route, fn)
+  /** Register a DELETE route */
+  delete(pattern, handler, options) {
+    return this.add('DELETE', pattern, handler, options)
   }
 
   //====================================================================
-  // Route validation methods
+  // Dispatching
   //====================================================================
 
   /**
-   * Check if the request matches a GET route
-   * @param {Object} req
-   * @param {string} route
-   * @returns {boolean}
+   * Match a method and pathname against the route trie.
+   *
+   * @param {string} method - HTTP method
+   * @param {string} pathname - Request path, e.g. '/payments/12'
+   * @returns {{ route: Object|null, params: Object<string, string>, allowed: string[] }|null}
+   * - `null` when no route exists for the path
+   * - `route: null` with `allowed` when the path exists but not for this method
    */
-  isGetRoute(req) {
-    return req.method === 'GET'
-  }
+  match(method, pathname) {
+    const found = this.#find(this.#root, this._splitPath(pathname), 0, [])
+    if (!found) return null
 
-  /** Check if the request matches a POST route */
-  isPostRoute(req) {
-    return req.method === 'POST'
-  }
+    const route = found.node.routes.get(String(method).toUpperCase()) ?? null
+    const params = {}
 
-  /** Check if the request matches a PUT route */
-  isPutRoute(req) {
-    return req.method === 'PUT'
-  }
+    route?.paramNames.forEach((name, i) => {
+      params[name] = found.values[i]
+    })
 
-  /** Check if the request matches a PATCH route */
-  isPatchRoute(req) {
-    return req.method === 'PATCH'
+    return {
+      route,
+      params,
+      allowed: [...found.node.routes.keys()]
+    }
   }
 
-  /** Check if the request matches a DELETE route */
-  isDeleteRoute(req) {
-    return req.method === 'DELETE'
+  /**
+   * Dispatch a request to its registered route.
+   *
+   * - Attaches path params to `req.ids`
+   * - Runs group and route middleware through the pipeline; the handler
+   *   never runs once a middleware has sent the response
+   * - Sends a 405 with an `Allow` header when the path exists for other methods
+   *
+   * Errors from middleware or the handler reject the returned promise.
+   *
+   * @param {import('http').IncomingMessage} req
+   * @param {import('http').ServerResponse} res
+   * @returns {Promise<boolean>} true if the request matched a path (including 405)
+   */
+  async dispatch(req, res) {
+    const matched = this.match(req.method, this.getPathParams(req, false))
+    if (!matched) return false
+
+    const { route, params, allowed } = matched
+
+    if (!route) {
+      res.setHeader('Allow', allowed.join(', '))
+      httpUtils.sendResponse(res, {
+        status: AppError.statusMessage.METHOD_NOT_ALLOWED,
+        message: `Method ${req.method} not allowed. Allowed: ${allowed.join(', ')}`
+      })
+      return true
+    }
+
+    req.ids = params
+
+    // Wrap the controller in asyncHandler to centralize async error handling
+    const handler = asyncHandler(route.handler)
+
+    await runMiddleware(req, res, [
+      ...route.middleware,
+      (req, res) => handler(req, res)
+    ])
+    return true
   }
 
-    /**
-   * Check if the request path matches the expected route path
-   * @param {Object} req
-   * @param {string} route
-   * @returns {boolean}
+  /**
+   * Router as a pipeline middleware.
+   * Dispatches the request, or calls `next()` when no route matches the path.
+   *
+   * @param {import('http').IncomingMessage} req
+   * @param {import('http').ServerResponse} res
+   * @param {Function} next
    */
-  _hasPathParams(req, route) {
-  const pathname = this.getPathParams(req, false)
-  router._attachIdsToRequest(req, route, req.params)
-  const ids = this._getIdFromParams(route, pathname)
-  if (!Object.values(ids).length) return false
-  return true
+  handle = async (req, res, next) => {
+    const handled = await this.dispatch(req, res)
+    if (!handled) next()
   }
 
   //====================================================================
@@ -180,50 +299,6 @@ class Router {
     return queries
   }
 
-  /**
-   * Extract dynamic parameters (e.g., :id) from route path and actual URL path
-   *
-   * @param {string} route - Route pattern (e.g., "/users/:id")
-   * @param {string} pathname - Actual request path (e.g., "/users/123")
-   * @returns {Object<string, string>} - Mapping of param names to values
-   * @throws {Error} if the route and pathname length mismatch
-   */
-  _getIdFromParams(route, pathname) {
-    const track = {}
-    const ROUTE = route.split('/')
-    const PATHNAME = pathname.split('/')
-
-    if (PATHNAME.length !== ROUTE.length) {
-      //return
-      throw AppError.BadRequest('route and pathname not match')
-    }
-
-    for (let i = 0; i < ROUTE.length; i++) {
-      if (ROUTE[i].startsWith(':')) {
-        track[ROUTE[i].slice(1)] = PATHNAME[i]
-      }
-    }
-    return track
-  }
-
-/**
- * Attach route parameters (IDs) to the request object.
- *
- * Extracts dynamic route params (like `/users/:id`) from the URL
- * and attaches them to `req.ids` for later use in controllers.
- *
- * @param {import('http').IncomingMessage} req - Node.js request object
- * @param {string} route - Route pattern, e.g., '/users/:id'
- * @param {string} pathname - Pathname extracted from request params, e.g., '/users/:id'
- * @returns {void} Modifies `req` directly
- */
-_attachIdsToRequest(req, route, pathname) {
-    const pn = pathname ?? this.getPathParams(req, false)
-    if (!pn) return null
-    const ids = this._getIdFromParams(route, pn)
-    req.ids = ids
-}
-
   /**
    * Check if any query parameters include a specific value
    * @param {Object} req
@@ -234,6 +309,31 @@ _attachIdsToRequest(req, route, pathname) {
     return Object.values(this.getQueryParams(req)).includes(route)
   }
 
+  /**
+   * Split a path or route pattern into non-empty segments.
+   * Trailing and duplicate slashes are ignored, so '/users/' matches '/users'.
+   *
+   * @param {string} path
+   * @returns {string[]}
+   */
+  _splitPath(path) {
+    return String(path ?? '').split('/').filter(Boolean)
+  }
+
+  /**
+   * Decode a path segment, falling back to the raw value when it is malformed.
+   *
+   * @param {string} segment
+   * @returns {string}
+   */
+  _decodeSegment(segment) {
+    try {
+      return decodeURIComponent(segment)
+    } catch {
+      return segment
+    }
+  }
+
   /**
    * Build a full URL object from the request
    * Handles `x-forwarded-proto` header or socket encryption
@@ -248,6 +348,49 @@ _attachIdsToRequest(req, route, pathname) {
     const host = req.headers.host || '127.0.0.1'
     return new URL(req.url || '/', `${protocol}://${host}`)
   }
+
+  //====================================================================
+  // Trie internals
+  //====================================================================
+
+  /** Create an empty trie node */
+  #createNode() {
+    return { static: new Map(), param: null, routes: new Map() }
+  }
+
+  /**
+   * Depth-first search through the trie.
+   * Static children are tried before the param child so the most specific
+   * route wins, and the search backtracks when a static branch dead-ends.
+   *
+   * @param {Object} node - Current trie node
+   * @param {string[]} segments - Request path segments
+   * @param {number} index - Current segment index
+   * @param {string[]} values - Param values captured so far, in order
+   * @returns {{ node: Object, values: string[] }|null}
+   */
+  #find(node, segments, index, values) {
+    if (index === segments.length) {
+      return node.routes.size ? { node, values } : null
+    }
+
+    const segment = segments[index]
+
+    const staticChild = node.static.get(segment)
+    if (staticChild) {
+      const found = this.#find(staticChild, segments, index + 1, values)
+      if (found) return found
+    }
+
+    if (node.param) {
+      return this.#find(node.param, segments, index + 1, [
+        ...values,
+        this._decodeSegment(segment)
+      ])
+    }
+
+    return null
+  }
 }
 
 // Export a single router instance
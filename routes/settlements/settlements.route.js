@@ -0,0 +1,35 @@
+import settlementsController from "../../controller/settlements/settlements.controller.js"
+import { Auth } from "../../middleware/auth/auth.middleware.js"
+import { USER_ROLES } from "../../services/auth/auth.service.js"
+import { router } from "../routers.js"
+
+/**
+ * Predefined settlement routes to avoid repeating strings.
+ */
+export const SETTLEMENT_ROUTES = {
+  GET_ALL: '/settlements',
+  GET_SINGLE: '/settlements/:settlementId'
+}
+
+/**
+ * Settlement routes
+ *
+ * Settlements are created by SettlementService on a schedule;
+ * there is no create route. Merchants and admins only.
+ */
+const settlements = router.group({
+  middleware: [Auth.isAuthenticated, Auth.authorize(USER_ROLES.MERCHANT, USER_ROLES.ADMIN)]
+})
+
+/**
+ * @route GET /settlements
+ * @access Private (merchant, admin)
+ */
+settlements.add('GET', SETTLEMENT_ROUTES.GET_ALL, settlementsController.getSettlements)
+
+/**
+ * @route GET /settlements/:settlementId
+ * @access Private (merchant, admin)
+ * @param {number} req.ids.settlementId
+ */
+settlements.add('GET', SETTLEMENT_ROUTES.GET_SINGLE, settlementsController.getSettlement)
@@ -1,149 +1,147 @@
 import usersController from "../../controller/users/users.controller.js"
 import { Auth } from "../../middleware/auth/auth.middleware.js"
+import { rateLimit } from "../../middleware/security/rate-limit.middleware.js"
+import { USER_ROLES } from "../../services/auth/auth.service.js"
 import { router } from "../routers.js"
-import crypto from 'node:crypto'
 
 /**
  * Predefined user routes to avoid repeating strings.
  */
-const USER_ROUTES = {
+export const USER_ROUTES = {
     GET_ALL: '/users',
     GET_SINGLE: '/users/:userId',
     POST: '/users',
     LOGIN: '/users/login',
+    LOGOUT: '/users/logout',
     PUT: '/users/:userId',
     PATCH: '/users/:userId',
     DELETE: '/users/:userId',
+    ROLE: '/users/:userId/role',
+    PASSWORD: '/users/:userId/password',
+    UNLOCK: '/users/:userId/unlock',
 }
 
 /**
- * userRouter
+ * User routes
  *
- * Handles all HTTP routes related to the "users" resource.
- * Delegates requests to UsersController methods based on HTTP method and path.
+ * Registers all HTTP routes related to the "users" resource on the
+ * shared router. Requests are delegated to UsersController methods.
  *
- * @param {import('http').IncomingMessage} req - Node.js request object
- * @param {import('http').ServerResponse} res - Node.js response object
- * @returns {Promise<boolean>} Returns true if route matched and was handled
+ * `/users/login` and `/users/logout` are static segments, so they always
+ * win over `/users/:userId`.
+ *
+ * Reading and updating an account is for its owner (or an admin);
+ * listing, deleting, unlocking and changing the role of users is for admins.
  */
-export const userRouter = async (req, res) => {
- const pathname = router.getPathParams(req, false)
-    // -------------------------
-    // GET /users - Fetch all users
-    // -------------------------
-    const isGetAll = pathname === USER_ROUTES.GET_ALL || pathname === `${USER_ROUTES.GET_ALL}/`
-     if (router.isGetRoute(req) && isGetAll) {
-         // AUTHENTICATION
-        await Auth.isAuthenticated(req, res)
-        /**
-         * @route GET /users
-         * @access Public
-         * @returns {Promise<void>}
-         */
-         await router.get(req, res, USER_ROUTES.GET_ALL, usersController.getUsers)
-         return true
-     }
+const account = router.group({ middleware: [Auth.isAuthenticated] })
 
-    // -------------------------
-    // GET /users/:userId - Fetch a single user
-    // -------------------------
-    if (router.isGetRoute(req) && router._hasPathParams(req, USER_ROUTES.GET_SINGLE)) {
-        /**
-         * @route GET /users/:userId
-         * @access Public
-         * @param {number} req.ids.userId - User ID from route parameters
-         * @returns {Promise<void>}
-         */
-        router._attachIdsToRequest(req, USER_ROUTES.GET_SINGLE, pathname)
-        await router.get(req, res, USER_ROUTES.GET_SINGLE, usersController.getUser)
-        return true
-    }
+const admin = router.group({
+    middleware: [Auth.isAuthenticated, Auth.authorize(USER_ROLES.ADMIN)]
+})
 
-    // -------------------------
-    // POST /users - Register new user
-    // -------------------------
-     const isPost = pathname === USER_ROUTES.POST || pathname === `${USER_ROUTES.POST}/`
-    if (router.isPostRoute(req) && isPost ) {
-        /**
-         * @route POST /users
-         * @access Public
-         * @param {Object} req.body - User data payload
-         * @param {string} req.body.firstName
-         * @param {string} req.body.lastName
-         * @param {string} req.body.email
-         * @param {string} req.body.phone
-         * @param {string} req.body.gender
-         * @param {string} req.body.dob
-         * @returns {Promise<void>}
-         */
-        await router.post(req, res, USER_ROUTES.POST, usersController.registerUser)
-        return true
-    }
+/**
+ * @route GET /users
+ * @access Private (admin)
+ * @returns {Promise<void>}
+ */
+admin.add('GET', USER_ROUTES.GET_ALL, usersController.getUsers)
 
-    // -------------------------
-    // POST /users - Register new user
-    // -------------------------
-     const isLogin = pathname === USER_ROUTES.LOGIN || pathname === `${USER_ROUTES.LOGIN}/`
-    if (router.isPostRoute(req) && isLogin ) {
-        /**
-         * @route POST /users/login
-         * @access Public
-         * @param {Object} req.body - User data payload
-         * @param {string} req.body.email
-         * @param {string} req.body.password
-         * @returns {Promise<void>}
-         */
-        await router.post(req, res, USER_ROUTES.LOGIN, usersController.login)
-        return true
-    }
+/**
+ * @route GET /users/:userId
+ * @access Private (self or admin)
+ * @param {number} req.ids.userId - User ID from route parameters
+ * @returns {Promise<void>}
+ */
+account.add('GET', USER_ROUTES.GET_SINGLE, usersController.getUser)
 
-    // -------------------------
-    // PUT /users/:userId - Update existing user entirely
-    // -------------------------
-    if (router.isPutRoute(req) && router._hasPathParams(req, USER_ROUTES.PUT)) {
-        /**
-         * @route PUT /users/:userId
-         * @access Public
-         * @param {number} req.ids.userId - User ID from route parameters
-         * @param {Object} req.body - Updated user data payload
-         * @returns {Promise<void>}
-         */
-        router._attachIdsToRequest(req, USER_ROUTES.PUT, pathname)
-        await router.put(req, res, USER_ROUTES.PUT, usersController.updateUser)
-        return true
-    }
+/**
+ * @route POST /users
+ * @access Public
+ * @param {Object} req.body - User data payload
+ * @param {string} req.body.firstName
+ * @param {string} req.body.lastName
+ * @param {string} req.body.email
+ * @param {string} req.body.phone
+ * @param {string} req.body.gender
+ * @param {string} req.body.dob
+ * @returns {Promise<void>}
+ */
+router.add('POST', USER_ROUTES.POST, usersController.registerUser)
 
-    // -------------------------
-    // PATCH /users/:userId - Partially update user
-    // -------------------------
-    if (router.isPatchRoute(req) && router._hasPathParams(req, USER_ROUTES.PATCH)) {
-        /**
-         * @route PATCH /users/:userId
-         * @access Public
-         * @param {number} req.ids.userId - User ID from route parameters
-         * @param {Object} req.body - Partial update payload
-         * @returns {Promise<void>}
-         */
-        router._attachIdsToRequest(req, USER_ROUTES.PATCH, pathname)
-        await router.patch(req, res, USER_ROUTES.PATCH, usersController.updateUser)
-        return true
-    }
+/**
+ * @route POST /users/login
+ * @access Public
+ * @param {Object} req.body - User data payload
+ * @param {string} req.body.email
+ * @param {string} req.body.password
+ * @returns {Promise<void>}
+ */
+router.add('POST', USER_ROUTES.LOGIN, usersController.login, {
+    middleware: [rateLimit('login')]
+})
 
-    // -------------------------
-    // DELETE /users/:userId - Delete user
-    // -------------------------
-    if (router.isDeleteRoute(req) && router._hasPathParams(req, USER_ROUTES.PATCH)) {
-        /**
-         * @route DELETE /users/:userId
-         * @access Public
-         * @param {number} req.ids.userId - User ID from route parameters
-         * @returns {Promise<void>}
-         */
-        router._attachIdsToRequest(req, USER_ROUTES.DELETE, pathname)
-        await router.delete(req, res, USER_ROUTES.DELETE, usersController.deleteUser)
-        return true
-    }
+/**
+ * @route POST /users/logout
+ * @access Private
+ * @returns {Promise<void>}
+ */
+router.add('POST', USER_ROUTES.LOGOUT, usersController.logout, {
+    middleware: [Auth.isAuthenticated]
+})
 
-    // No route matched, allow 404 handling
-    return false
-}
+/**
+ * @route PUT /users/:userId
+ * @access Private (self or admin)
+ * @param {number} req.ids.userId - User ID from route parameters
+ * @param {Object} req.body - Updated user data payload
+ * @returns {Promise<void>}
+ */
+account.add('PUT', USER_ROUTES.PUT, usersController.updateUser)
+
+/**
+ * @route PATCH /users/:userId
+ * @access Private (self or admin)
+ * @param {number} req.ids.userId - User ID from route parameters
+ * @param {Object} req.body - Partial update payload
+ * @returns {Promise<void>}
+ */
+account.add('PATCH', USER_ROUTES.PATCH, usersController.updateUser)
+
+/**
+ * @route POST /users/:userId/password
+ * @access Private (self)
+ * @param {number} req.ids.userId - User ID from route parameters
+ * @param {Object} req.body
+ * @param {string} req.body.currentPassword
+ * @param {string} req.body.newPassword
+ * @returns {Promise<void>}
+ */
+account.add('POST', USER_ROUTES.PASSWORD, usersController.changePassword, {
+    middleware: [rateLimit('password')]
+})
+
+/**
+ * @route DELETE /users/:userId
+ * @access Private (admin)
+ * @param {number} req.ids.userId - User ID from route parameters
+ * @returns {Promise<void>}
+ */
+admin.add('DELETE', USER_ROUTES.DELETE, usersController.deleteUser)
+
+/**
+ * @route PATCH /users/:userId/role
+ * @access Private (admin)
+ * @param {number} req.ids.userId - User ID from route parameters
+ * @param {Object} req.body
+ * @param {string} req.body.role - customer | merchant | admin
+ * @returns {Promise<void>}
+ */
+admin.add('PATCH', USER_ROUTES.ROLE, usersController.updateUserRole)
+
+/**
+ * @route POST /users/:userId/unlock
+ * @access Private (admin)
+ * @param {number} req.ids.userId - User ID from route parameters
+ * @returns {Promise<void>}
+ */
+admin.add('POST', USER_ROUTES.UNLOCK, usersController.unlockUser)
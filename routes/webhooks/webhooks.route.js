@@ -0,0 +1,63 @@
+import webhooksController from "../../controller/webhooks/webhooks.controller.js"
+import { Auth } from "../../middleware/auth/auth.middleware.js"
+import { USER_ROLES } from "../../services/auth/auth.service.js"
+import { router } from "../routers.js"
+
+/**
+ * Predefined webhook routes to avoid repeating strings.
+ */
+export const WEBHOOK_ROUTES = {
+  GET_ALL: '/webhooks',
+  POST: '/webhooks',
+  DELETE: '/webhooks/:webhookId',
+  DELIVERIES: '/webhooks/:webhookId/deliveries',
+  REDELIVER: '/webhooks/deliveries/:deliveryId/redeliver'
+}
+
+/**
+ * Webhook routes
+ *
+ * Every route is for merchants and admins; endpoints and their deliveries
+ * are scoped to the user who registered them. The static `deliveries`
+ * segment wins over `:webhookId`.
+ */
+const webhooks = router.group({
+  middleware: [Auth.isAuthenticated, Auth.authorize(USER_ROLES.MERCHANT, USER_ROLES.ADMIN)]
+})
+
+/**
+ * @route GET /webhooks
+ * @access Private (merchant or admin, own endpoints)
+ */
+webhooks.add('GET', WEBHOOK_ROUTES.GET_ALL, webhooksController.getWebhooks)
+
+/**
+ * @route POST /webhooks
+ * @access Private (merchant or admin)
+ * @param {Object} req.body
+ * @param {string} req.body.url - http(s) URL receiving signed POSTs
+ * @param {string[]} req.body.events - e.g. ['payment.success', 'refund.processed'] or ['*']
+ * @param {string} [req.body.description]
+ */
+webhooks.add('POST', WEBHOOK_ROUTES.POST, webhooksController.createWebhook)
+
+/**
+ * @route DELETE /webhooks/:webhookId
+ * @access Private (owner)
+ * @param {number} req.ids.webhookId
+ */
+webhooks.add('DELETE', WEBHOOK_ROUTES.DELETE, webhooksController.deleteWebhook)
+
+/**
+ * @route GET /webhooks/:webhookId/deliveries
+ * @access Private (owner)
+ * @param {number} req.ids.webhookId
+ */
+webhooks.add('GET', WEBHOOK_ROUTES.DELIVERIES, webhooksController.getDeliveries)
+
+/**
+ * @route POST /webhooks/deliveries/:deliveryId/redeliver
+ * @access Private (endpoint owner)
+ * @param {number} req.ids.deliveryId
+ */
+webhooks.add('POST', WEBHOOK_ROUTES.REDELIVER, webhooksController.redeliver)
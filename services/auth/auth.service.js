@@ -1,90 +1,196 @@
-import { PATH } from '../../config/config.js'
+import crypto from 'node:crypto'
+import { Config, PATH } from '../../config/config.js'
 import { modelTools } from '../../model/model-tools.js'
-import { AppError } from '../../utils/errors/error.utils.js'
+import { AppError, ValidationError } from '../../utils/errors/error.utils.js'
 import { Password } from '../../utils/security/password.js'
+import { Validator } from '../../utils/validator.utils.js'
+import { MailService } from '../mail/mail.service.js'
+import { LoginGuard } from './login-guard.service.js'
+import { ONE_TIME_TOKEN_PURPOSES, OneTimeToken } from './one-time-token.service.js'
 import { TokenService } from './token.service.js'
 
 const USER_PATH = PATH.USER_PATH
 const ENTITY = modelTools._extractEntityFromPath(USER_PATH)
 
+const TOKEN_PATH = PATH.USER_TOKEN
+const TOKEN_ENTITY = modelTools._extractEntityFromPath(TOKEN_PATH)
+
+/**
+ * User roles (carried in the token, checked by `Auth.authorize()`).
+ * @readonly
+ * @enum {string}
+ */
+export const USER_ROLES = Object.freeze({
+  /** Default for every registration: buys, sees own payments and orders */
+  CUSTOMER: 'customer',
+  /** Manages products, sees settlements */
+  MERCHANT: 'merchant',
+  /** Everything, including user management */
+  ADMIN: 'admin',
+})
+
+/**
+ * Token kinds (`type` claim). Access tokens have none.
+ * @readonly
+ * @enum {string}
+ */
+export const TOKEN_TYPES = Object.freeze({
+  REFRESH: 'refresh',
+})
+
 /**
- * In-memory token blacklist.
- * 
- * ⚠️ NOTE:
- * - This should be replaced with Redis or DB storage in production
- * - Tokens are stored until they naturally expire
+ * Token family states.
+ * @readonly
+ * @enum {string}
  */
-const tokenBlacklist = new Set()
+export const TOKEN_FAMILY_STATES = Object.freeze({
+  ACTIVE: 'active',
+  REVOKED: 'revoked',
+})
+
+const F = TOKEN_FAMILY_STATES
 
 /**
  * AuthService
  *
  * Handles authentication-related operations:
- * - Login
+ * - Login (brute-force protected by LoginGuard)
+ * - Refresh (rotating refresh tokens)
  * - Logout
  * - Token invalidation
+ * - Password change (logs out every other session)
+ * - Password reset and email verification (emailed one-time tokens)
  *
- * This service is stateless except for the token blacklist.
+ * Every login starts a token family, stored in `users_token.json`:
+ * - Access tokens (1 hour) carry the family id (`fid`)
+ * - Refresh tokens carry `fid` and a one-time `jti`; each refresh
+ *   replaces both tokens and the family's current `jti`
+ * - Presenting an already rotated refresh token means it leaked:
+ *   the whole family is revoked
+ * - Logout revokes the family; its access tokens stop working at once
  */
 export class AuthService {
 
+  /** Hash checked against when the email is unknown (see `_dummyHash()`) */
+  static #dummyHash = null
+
   /**
    * Authenticate a user and issue a JWT
    *
    * Steps:
-   * 1. Fetch users
-   * 2. Find user by email
-   * 3. Verify password hash
-   * 4. Sign JWT
-   * 5. Return safe user data + token
+   * 1. Find user by email
+   * 2. Refuse locked emails / IPs, count the attempt, wait the
+   *    progressive delay (one atomic step, see LoginGuard)
+   * 3. Verify password hash (also hashed for unknown emails, so both
+   *    failures take the same time)
+   * 4. Keep the failure counted, or give the attempt back
+   * 5. Start a token family, sign access + refresh tokens
+   * 6. Return safe user data + tokens
+   *
+   * Unknown email and wrong password get the same 401.
    *
    * @param {Object} payload
    * @param {string} payload.email
    * @param {string} payload.password
-   * @returns {Promise<{ user: Object, token: string }>}
+   * @param {Object} [context]
+   * @param {string} [context.ip] - Client IP (`httpUtils.clientIp`)
+   * @returns {Promise<{ user: Object, token: string, refreshToken: string }>}
+   * @throws {AppError} 401 invalid credentials, 429 locked out
    */
-  static async login({ email, password }) {
-    const raw = await modelTools.findAll(USER_PATH)
-    const user = raw[ENTITY].find(u => u.email === email)
+  static async login({ email, password }, { ip = 'unknown' } = {}) {
+    const raw = await modelTools.find(USER_PATH, { where: { email }, limit: 1 })
+    const user = raw[ENTITY][0]
 
-    if (!user || !user._id || !user.email) {
-      throw AppError.NotFound('User not registered')
-    }
+    const attempt = await LoginGuard.reserveAttempt({ email, ip, userId: user?._id })
+
+    const isPasswordValid = user?._id && user.password
+      ? Password.isMatch(password, user.password)
+      : Password.isMatch(password, this._dummyHash()) && false
 
-    const isPasswordValid = Password.isMatch(password, user.password)
     if (!isPasswordValid) {
-      throw AppError.UnprocessableEntity('Incorrect password')
+      await LoginGuard.recordFailure(attempt)
+      throw AppError.Unauthorized('Invalid email or password')
     }
 
-    const token = TokenService.sign({
-      userId: user._id,
-      email: user.email
-    })
+    await LoginGuard.recordSuccess(attempt)
+
+    const tokens = await this._startFamily(user)
 
     // Remove sensitive data before returning
     const safeUser = { ...user }
     delete safeUser.password
 
-    return { user: safeUser, token }
+    return { user: safeUser, ...tokens }
   }
 
   /**
-   * Logout a user by invalidating their JWT
+   * Exchange a refresh token for a new access + refresh token pair.
+   *
+   * The presented refresh token is spent. Presenting it again (reuse of a
+   * rotated token) revokes the whole family, so both the thief and the
+   * user have to login again.
+   *
+   * @param {string} refreshToken
+   * @returns {Promise<{ token: string, refreshToken: string }>}
+   * @throws {AppError} 401 invalid, expired, revoked or reused refresh token
+   */
+  static async refresh(refreshToken) {
+    const decoded = this._verify(refreshToken)
+    if (decoded?.type !== TOKEN_TYPES.REFRESH || !decoded.fid || !decoded.jti) {
+      throw AppError.Unauthorized('Invalid or expired refresh token')
+    }
+
+    return modelTools.transaction(TOKEN_PATH, async () => {
+      const family = await this._getFamily(decoded.fid)
+      if (!family || family.status === F.REVOKED) {
+        throw AppError.Unauthorized('Session has ended, please login again')
+      }
+
+      if (family.currentJti !== decoded.jti) {
+        await this._revokeFamily(family, 'refresh_token_reuse')
+        throw AppError.Unauthorized('Refresh token reuse detected, please login again')
+      }
+
+      const user = (await modelTools.findOne(USER_PATH, family.userId))[ENTITY][0]
+      if (!user) {
+        await this._revokeFamily(family, 'user_deleted')
+        throw AppError.Unauthorized('Session has ended, please login again')
+      }
+
+      const jti = this._newId()
+      await modelTools.update(TOKEN_PATH, [{
+        currentJti: jti,
+        rotatedAt: new Date().toISOString(),
+        expiresAt: this._refreshExpiry()
+      }], family._id)
+
+      return this._issueTokens(user, family.familyId, jti)
+    })
+  }
+
+  /**
+   * Logout a user by revoking the token family of their access token
    *
    * HOW IT WORKS:
-   * - The token is added to a blacklist
-   * - All protected routes must check this blacklist
-   * - Once expired, the token can be safely removed
+   * - The family is marked revoked in `users_token.json`
+   * - Every access and refresh token of that login stops working,
+   *   also after a restart
    *
-   * @param {string} token - JWT to invalidate
-   * @returns {{ success: boolean }}
+   * @param {Object} decoded - Verified access token payload (`req.auth`)
+   * @returns {Promise<{ success: boolean }>}
+   * @throws {AppError} 400 token without a family (issued before logout existed)
    */
-  static logout(token) {
-    if (!token) {
+  static async logout(decoded) {
+    if (!decoded?.fid) {
       throw AppError.BadRequest('Missing token or user already logout')
     }
 
-    tokenBlacklist.add(token)
+    await modelTools.transaction(TOKEN_PATH, async () => {
+      const family = await this._getFamily(decoded.fid)
+      if (family && family.status !== F.REVOKED) {
+        await this._revokeFamily(family, 'logout')
+      }
+    })
 
     return { success: true }
   }
@@ -93,11 +199,306 @@ export class AuthService {
    * Check if a token has been revoked
    *
    * Used by authentication middleware before allowing access.
+   * Tokens without a family (issued before revocation existed) are
+   * treated as revoked.
+   *
+   * @param {Object} decoded - Verified token payload
+   * @returns {Promise<boolean>}
+   */
+  static async isTokenRevoked(decoded) {
+    if (!decoded?.fid) return true
+
+    const family = await this._getFamily(decoded.fid)
+    return !family || family.status === F.REVOKED
+  }
+
+  /**
+   * Email a password reset token.
+   *
+   * Unknown emails are ignored silently: the caller answers the same way
+   * either way, so the endpoint does not reveal who is registered.
+   *
+   * @param {string} email
+   * @returns {Promise<void>}
+   */
+  static async forgotPassword(email) {
+    const raw = await modelTools.find(USER_PATH, { where: { email }, limit: 1 })
+    const user = raw[ENTITY][0]
+    if (!user) return
+
+    const ttlMinutes = Config.auth.passwordResetTtlMinutes
+    const token = await OneTimeToken.issue({
+      userId: user._id,
+      purpose: ONE_TIME_TOKEN_PURPOSES.PASSWORD_RESET,
+      ttlSeconds: ttlMinutes * 60,
+      email: user.email
+    })
+
+    await MailService.send({
+      to: user.email,
+      subject: 'Reset your password',
+      text: [
+        'We received a request to reset your password.',
+        `Reset token: ${token}`,
+        `Send it with your new password to POST ${Config.server.baseUrl}/auth/reset-password`
+          + ' as { "token": "...", "password": "..." }.',
+        `The token expires in ${ttlMinutes} minutes and works once.`,
+        'If you did not ask for this, ignore this email.'
+      ].join('\n')
+    })
+  }
+
+  /**
+   * Set a new password with a reset token.
+   *
+   * The password is checked before the token is spent, so a rejected
+   * password does not burn it. Every session of the user is revoked.
+   *
+   * @param {Object} payload
+   * @param {string} payload.token
+   * @param {string} payload.password
+   * @returns {Promise<{ success: boolean }>}
+   * @throws {ValidationError} 422 password rules
+   * @throws {AppError} 400 invalid, expired or used token
+   */
+  static async resetPassword({ token, password }) {
+    this._assertPasswordRules(password, 'password')
+
+    const record = await OneTimeToken.consume(token, ONE_TIME_TOKEN_PURPOSES.PASSWORD_RESET)
+
+    const user = (await modelTools.findOne(USER_PATH, record.userId))[ENTITY][0]
+    if (!user) {
+      throw AppError.BadRequest('Invalid or expired token')
+    }
+
+    await this._setPassword(user, password, 'password_reset')
+
+    return { success: true }
+  }
+
+  /**
+   * Change a password, re-authenticating with the current one.
+   *
+   * Every token issued before the change is revoked (all devices,
+   * including the calling one); the caller gets a fresh token pair.
+   *
+   * Wrong current passwords count as failed logins (LoginGuard), so a
+   * stolen access token cannot be used to guess the password.
+   *
+   * @param {number} userId
+   * @param {Object} payload
+   * @param {string} payload.currentPassword
+   * @param {string} payload.newPassword
+   * @param {Object} [context]
+   * @param {string} [context.ip] - Client IP (`httpUtils.clientIp`)
+   * @returns {Promise<{ token: string, refreshToken: string }>}
+   * @throws {ValidationError} 422 wrong current password, password rules,
+   *   or new password equal to the current one
+   * @throws {AppError} 404 user not found, 429 locked out
+   */
+  static async changePassword(userId, { currentPassword, newPassword }, { ip = 'unknown' } = {}) {
+    const user = (await modelTools.findOne(USER_PATH, userId))[ENTITY][0]
+    if (!user) {
+      throw AppError.NotFound('User not found')
+    }
+
+    const attempt = await LoginGuard.reserveAttempt({ email: user.email, ip, userId: user._id })
+
+    if (!Password.isMatch(currentPassword, user.password)) {
+      await LoginGuard.recordFailure(attempt)
+      throw new ValidationError({ currentPassword: 'Current password is incorrect' })
+    }
+
+    await LoginGuard.recordSuccess(attempt)
+
+    this._assertPasswordRules(newPassword, 'newPassword')
+    if (newPassword === currentPassword) {
+      throw new ValidationError({ newPassword: 'New password must be different from the current one' })
+    }
+
+    await this._setPassword(user, newPassword, 'password_change')
+
+    return this._startFamily(user)
+  }
+
+  /**
+   * Email a verification link to the user's current address.
+   *
+   * @param {Object} user - User record (`_id`, `email`, `emailVerifiedAt`)
+   * @returns {Promise<void>}
+   * @throws {AppError} 409 email already verified
+   */
+  static async requestEmailVerification(user) {
+    if (user.emailVerifiedAt) {
+      throw AppError.Conflict('Email already verified')
+    }
+
+    const ttlHours = Config.auth.emailVerificationTtlHours
+    const token = await OneTimeToken.issue({
+      userId: user._id,
+      purpose: ONE_TIME_TOKEN_PURPOSES.EMAIL_VERIFICATION,
+      ttlSeconds: ttlHours * 3600,
+      email: user.email
+    })
+
+    await MailService.send({
+      to: user.email,
+      subject: 'Verify your email',
+      text: [
+        'Open this link to verify your email address:',
+        `${Config.server.baseUrl}/auth/verify-email/${token}`,
+        `The link expires in ${ttlHours} hours and works once.`
+      ].join('\n')
+    })
+  }
+
+  /**
+   * Mark a user's email as verified with a verification token.
+   *
+   * The token is only good for the address it was sent to: it is
+   * rejected once the user has changed their email.
    *
    * @param {string} token
-   * @returns {boolean}
+   * @returns {Promise<Object>} Safe user data
+   * @throws {AppError} 400 invalid, expired or used token
+   */
+  static async verifyEmail(token) {
+    const record = await OneTimeToken.consume(token, ONE_TIME_TOKEN_PURPOSES.EMAIL_VERIFICATION)
+
+    const user = (await modelTools.findOne(USER_PATH, record.userId))[ENTITY][0]
+    if (!user || user.email !== record.email) {
+      throw AppError.BadRequest('Invalid or expired token')
+    }
+
+    const updated = user.emailVerifiedAt
+      ? user
+      : (await modelTools.update(USER_PATH, [{ emailVerifiedAt: new Date().toISOString() }], user._id))[ENTITY][0]
+
+    const safeUser = { ...updated }
+    delete safeUser.password
+    return safeUser
+  }
+
+  /**
+   * Revoke every active token family of a user (all devices).
+   *
+   * @param {number} userId
+   * @param {string} reason - Stored as `revokedReason`
+   * @returns {Promise<number>} Number of families revoked
    */
-  static isTokenRevoked(token) {
-    return tokenBlacklist.has(token)
+  static async revokeAllSessions(userId, reason) {
+    return modelTools.transaction(TOKEN_PATH, async () => {
+      const raw = await modelTools.find(TOKEN_PATH, { where: { userId, status: F.ACTIVE } })
+      for (const family of raw[TOKEN_ENTITY]) {
+        await this._revokeFamily(family, reason)
+      }
+      return raw[TOKEN_ENTITY].length
+    })
+  }
+
+  //==================================================
+  //  PRIVATE METHODS
+  //==================================================
+
+  /**
+   * Plain-text password rules (Validator.validatePassword) → 422 on `field`.
+   */
+  static _assertPasswordRules(password, field) {
+    const { msg, setPassword } = Validator.validatePassword(password)
+    if (!setPassword) {
+      throw new ValidationError({ [field]: msg })
+    }
+  }
+
+  /**
+   * Store a new password hash and end every session of the user.
+   */
+  static async _setPassword(user, password, reason) {
+    await modelTools.update(USER_PATH, [{ password: Password.hash(password) }], user._id)
+    await this.revokeAllSessions(user._id, reason)
+  }
+
+  /**
+   * Store a new token family for a login and sign its first tokens.
+   * Expired families of the user are dropped on the way.
+   */
+  static async _startFamily(user) {
+    const familyId = this._newId()
+    const jti = this._newId()
+
+    await modelTools.transaction(TOKEN_PATH, async () => {
+      const expired = await modelTools.find(TOKEN_PATH, {
+        where: { userId: user._id, expiresAt: { $lt: new Date().toISOString() } }
+      })
+      for (const family of expired[TOKEN_ENTITY]) {
+        await modelTools.delete(TOKEN_PATH, family._id)
+      }
+
+      await modelTools.create(TOKEN_PATH, [{
+        familyId,
+        userId: user._id,
+        currentJti: jti,
+        expiresAt: this._refreshExpiry()
+      }])
+    })
+
+    return this._issueTokens(user, familyId, jti)
+  }
+
+  /**
+   * Sign an access token and a refresh token for a family.
+   * @returns {{ token: string, refreshToken: string }}
+   */
+  static _issueTokens(user, familyId, jti) {
+    const token = TokenService.sign({
+      userId: user._id,
+      email: user.email,
+      role: user.role ?? USER_ROLES.CUSTOMER,
+      fid: familyId
+    })
+
+    const refreshToken = TokenService.sign(
+      { type: TOKEN_TYPES.REFRESH, userId: user._id, fid: familyId, jti },
+      { expiresIn: Config.auth.refreshTokenTtlDays * 24 * 3600 }
+    )
+
+    return { token, refreshToken }
+  }
+
+  static async _getFamily(familyId) {
+    const raw = await modelTools.find(TOKEN_PATH, { where: { familyId }, limit: 1 })
+    return raw[TOKEN_ENTITY][0]
+  }
+
+  static async _revokeFamily(family, reason) {
+    await modelTools.update(TOKEN_PATH, [{
+      status: F.REVOKED,
+      revokedAt: new Date().toISOString(),
+      revokedReason: reason
+    }], family._id)
+  }
+
+  /**
+   * Verified payload of a token, or null (malformed input included).
+   */
+  static _verify(token) {
+    try {
+      return typeof token === 'string' ? TokenService.verify(token) : null
+    } catch {
+      return null
+    }
+  }
+
+  static _dummyHash() {
+    this.#dummyHash ??= Password.hash(crypto.randomBytes(16).toString('hex'))
+    return this.#dummyHash
+  }
+
+  static _refreshExpiry() {
+    return new Date(Date.now() + Config.auth.refreshTokenTtlDays * 24 * 3600 * 1000).toISOString()
+  }
+
+  static _newId() {
+    return crypto.randomBytes(16).toString('hex')
   }
 }
@@ -0,0 +1,263 @@
+import { setTimeout as sleep } from 'node:timers/promises'
+import { Config, PATH } from '../../config/config.js'
+import { modelTools } from '../../model/model-tools.js'
+import { AppError } from '../../utils/errors/error.utils.js'
+
+const ATTEMPT_PATH = PATH.LOGIN_ATTEMPT_PATH
+const ATTEMPT_ENTITY = modelTools._extractEntityFromPath(ATTEMPT_PATH)
+
+const EVENT_PATH = PATH.LOCKOUT_EVENT_PATH
+
+/**
+ * What a failed-attempt counter is kept for.
+ * @readonly
+ * @enum {string}
+ */
+export const LOGIN_GUARD_SCOPES = Object.freeze({
+  /** Per email, registered or not */
+  ACCOUNT: 'account',
+  /** Per client IP */
+  IP: 'ip',
+})
+
+/**
+ * Lockout events stored in `lockout_events.json`.
+ * @readonly
+ * @enum {string}
+ */
+export const LOCKOUT_EVENTS = Object.freeze({
+  LOCKED: 'locked',
+  UNLOCKED: 'unlocked',
+})
+
+const S = LOGIN_GUARD_SCOPES
+
+/**
+ * LoginGuard
+ *
+ * Brute-force protection for `AuthService.login` and the current-password
+ * check of `AuthService.changePassword` (they share the counters):
+ * - Every attempt is counted per email and per client IP
+ *   (`login_attempts.json`) before the password is compared, in one
+ *   step under the file lock, so a burst of parallel guesses cannot get
+ *   past the limit; failures older than the window are forgotten
+ * - Attempts wait longer as failures pile up (progressive delay): the
+ *   email's failures delay every attempt on it, the IP's failures only
+ *   delay the answer to a wrong password, so a correct login is never
+ *   slowed down by others sharing the IP
+ * - Reaching the limit locks the email or IP for `lockoutMinutes` (429)
+ * - A successful login gives its attempt back: the email's counter is
+ *   cleared and the IP's goes down by one
+ * - Every lock and unlock is stored in `lockout_events.json`
+ *
+ * Unknown emails are counted and locked like registered ones, so
+ * lockouts do not reveal who is registered.
+ */
+export class LoginGuard {
+
+  /**
+   * Count an attempt before checking credentials.
+   *
+   * The attempt counts as a failure until `recordSuccess()` gives it back.
+   * The attempt that reaches a limit still gets its password checked;
+   * the ones after it are refused.
+   *
+   * @param {Object} params
+   * @param {string} params.email
+   * @param {string} params.ip
+   * @param {number} [params.userId] - When the email is registered
+   * @returns {Promise<{ email: string, ip: string, userId?: number, ipFailures: number }>}
+   *   Reservation for `recordFailure()` / `recordSuccess()`, resolved
+   *   after the email's progressive delay
+   * @throws {AppError} 429 email or IP locked (with `Retry-After`)
+   */
+  static async reserveAttempt({ email, ip, userId }) {
+    const { maxFailuresPerAccount, maxFailuresPerIp, lockoutMinutes } = Config.auth.login
+
+    const earlier = await modelTools.transaction(ATTEMPT_PATH, async () => {
+      const now = Date.now()
+      const records = await this._getRecords({ email, ip })
+
+      const lockedUntil = Math.max(0, ...records.map((record) => this._lockedUntil(record, now)))
+      if (lockedUntil) {
+        throw AppError.TooManyRequests(
+          'Too many failed login attempts, please try again later',
+          (lockedUntil - now) / 1000
+        )
+      }
+
+      const failures = {}
+
+      for (const [scope, value, maxFailures] of [
+        [S.ACCOUNT, email, maxFailuresPerAccount],
+        [S.IP, ip, maxFailuresPerIp],
+      ]) {
+        const key = this._key(scope, value)
+        const record = records.find((r) => r.key === key)
+        failures[scope] = this._activeFailures(record, now)
+
+        const changes = { failures: failures[scope] + 1, lastFailedAt: new Date(now).toISOString() }
+
+        if (changes.failures >= maxFailures) {
+          changes.failures = 0
+          changes.lockedUntil = new Date(now + lockoutMinutes * 60 * 1000).toISOString()
+          changes.lockCount = (record?.lockCount ?? 0) + 1
+
+          await this._recordEvent({
+            event: LOCKOUT_EVENTS.LOCKED,
+            scope,
+            key: value,
+            userId: scope === S.ACCOUNT ? userId : undefined,
+            failures: failures[scope] + 1,
+            lockedUntil: changes.lockedUntil,
+            actor: 'system'
+          })
+        }
+
+        if (record) {
+          await modelTools.update(ATTEMPT_PATH, [changes], record._id)
+        } else {
+          await modelTools.create(ATTEMPT_PATH, [{ key, scope, ...changes }])
+        }
+      }
+
+      return failures
+    })
+
+    const delay = this._delayFor(earlier[S.ACCOUNT])
+    if (delay) await sleep(delay)
+
+    return { email, ip, userId, ipFailures: earlier[S.IP] }
+  }
+
+  /**
+   * Wrong credentials: the attempt stays counted; answer after the
+   * IP's progressive delay.
+   *
+   * @param {Object} reservation - From `reserveAttempt()`
+   * @returns {Promise<void>}
+   */
+  static async recordFailure(reservation) {
+    const delay = this._delayFor(reservation.ipFailures)
+    if (delay) await sleep(delay)
+  }
+
+  /**
+   * Correct credentials: give the attempt back. Clears the email's
+   * counter (and a lock this attempt set), takes one off the IP's.
+   *
+   * @param {Object} reservation - From `reserveAttempt()`
+   * @returns {Promise<void>}
+   */
+  static async recordSuccess({ email, ip, userId }) {
+    await modelTools.transaction(ATTEMPT_PATH, async () => {
+      const now = Date.now()
+
+      const account = await this._getRecord(this._key(S.ACCOUNT, email))
+      if (account) {
+        await modelTools.delete(ATTEMPT_PATH, account._id)
+
+        if (this._lockedUntil(account, now)) {
+          await this._recordEvent({
+            event: LOCKOUT_EVENTS.UNLOCKED,
+            scope: S.ACCOUNT,
+            key: email,
+            userId,
+            failures: account.failures,
+            lockedUntil: account.lockedUntil,
+            actor: 'login'
+          })
+        }
+      }
+
+      const address = await this._getRecord(this._key(S.IP, ip))
+      const failures = this._activeFailures(address, now)
+      if (failures) {
+        await modelTools.update(ATTEMPT_PATH, [{ failures: failures - 1 }], address._id)
+      }
+    })
+  }
+
+  /**
+   * Lift an account lockout and clear its failures (admins).
+   *
+   * @param {Object} params
+   * @param {string} params.email
+   * @param {number} params.userId
+   * @param {string} params.actor - Email of the admin
+   * @returns {Promise<boolean>} Whether the account was locked
+   */
+  static async unlock({ email, userId, actor }) {
+    return modelTools.transaction(ATTEMPT_PATH, async () => {
+      const record = await this._getRecord(this._key(S.ACCOUNT, email))
+      if (!record) return false
+
+      await modelTools.delete(ATTEMPT_PATH, record._id)
+
+      const wasLocked = this._lockedUntil(record, Date.now()) > 0
+      if (wasLocked) {
+        await this._recordEvent({
+          event: LOCKOUT_EVENTS.UNLOCKED,
+          scope: S.ACCOUNT,
+          key: email,
+          userId,
+          failures: record.failures,
+          lockedUntil: record.lockedUntil,
+          actor
+        })
+      }
+
+      return wasLocked
+    })
+  }
+
+  //==================================================
+  //  PRIVATE METHODS
+  //==================================================
+
+  static _key(scope, value) {
+    return `${scope}:${value}`
+  }
+
+  static async _getRecord(key) {
+    const raw = await modelTools.find(ATTEMPT_PATH, { where: { key }, limit: 1 })
+    return raw[ATTEMPT_ENTITY][0]
+  }
+
+  static async _getRecords({ email, ip }) {
+    // One after the other: the first read creates a missing file
+    const records = [
+      await this._getRecord(this._key(S.ACCOUNT, email)),
+      await this._getRecord(this._key(S.IP, ip)),
+    ]
+    return records.filter(Boolean)
+  }
+
+  /**
+   * End of a running lockout (ms timestamp), or 0.
+   */
+  static _lockedUntil(record, now) {
+    const until = record?.lockedUntil ? new Date(record.lockedUntil).getTime() : 0
+    return until > now ? until : 0
+  }
+
+  /**
+   * Failures still inside the window.
+   */
+  static _activeFailures(record, now) {
+    if (!record?.failures || !record.lastFailedAt) return 0
+
+    const windowMs = Config.auth.login.failureWindowMinutes * 60 * 1000
+    return now - new Date(record.lastFailedAt).getTime() < windowMs ? record.failures : 0
+  }
+
+  static _delayFor(failures) {
+    if (!failures) return 0
+    const { delayStepMs, maxDelayMs } = Config.auth.login
+    return Math.min(delayStepMs * 2 ** (failures - 1), maxDelayMs)
+  }
+
+  static async _recordEvent(event) {
+    await modelTools.create(EVENT_PATH, [event])
+  }
+}
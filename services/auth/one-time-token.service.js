@@ -0,0 +1,97 @@
+import crypto from 'node:crypto'
+import { PATH } from '../../config/config.js'
+import { modelTools } from '../../model/model-tools.js'
+import { AppError } from '../../utils/errors/error.utils.js'
+
+const TOKEN_PATH = PATH.ONE_TIME_TOKEN_PATH
+const TOKEN_ENTITY = modelTools._extractEntityFromPath(TOKEN_PATH)
+
+/**
+ * What a one-time token can be used for.
+ * @readonly
+ * @enum {string}
+ */
+export const ONE_TIME_TOKEN_PURPOSES = Object.freeze({
+  PASSWORD_RESET: 'password_reset',
+  EMAIL_VERIFICATION: 'email_verification',
+})
+
+/**
+ * OneTimeToken
+ *
+ * Random tokens sent by email (password reset, email verification):
+ * - Only their SHA-256 hash is stored, so a leaked data file reveals none
+ * - Short-lived (`ttlSeconds`) and single-use
+ * - Issuing a new token for a user and purpose drops the earlier ones
+ */
+export class OneTimeToken {
+
+  /**
+   * Create a token.
+   *
+   * @param {Object} params
+   * @param {number} params.userId
+   * @param {string} params.purpose - ONE_TIME_TOKEN_PURPOSES value
+   * @param {number} params.ttlSeconds
+   * @param {string} [params.email] - Address the token was sent to
+   * @returns {Promise<string>} The raw token (only ever sent to the user)
+   */
+  static async issue({ userId, purpose, ttlSeconds, email }) {
+    const token = crypto.randomBytes(32).toString('base64url')
+
+    await modelTools.transaction(TOKEN_PATH, async () => {
+      const earlier = await modelTools.find(TOKEN_PATH, { where: { userId, purpose } })
+      for (const record of earlier[TOKEN_ENTITY]) {
+        await modelTools.delete(TOKEN_PATH, record._id)
+      }
+
+      await modelTools.create(TOKEN_PATH, [{
+        tokenHash: this._hash(token),
+        userId,
+        purpose,
+        email,
+        expiresAt: new Date(Date.now() + ttlSeconds * 1000).toISOString()
+      }])
+    })
+
+    return token
+  }
+
+  /**
+   * Use a token up.
+   *
+   * @param {string} token - Raw token from the email
+   * @param {string} purpose - Must match the purpose it was issued for
+   * @returns {Promise<Object>} The token record (`userId`, `email`, ...)
+   * @throws {AppError} 400 unknown, expired, already used or wrong purpose
+   */
+  static async consume(token, purpose) {
+    return modelTools.transaction(TOKEN_PATH, async () => {
+      const raw = await modelTools.find(TOKEN_PATH, {
+        where: { tokenHash: this._hash(String(token ?? '')) },
+        limit: 1
+      })
+      const record = raw[TOKEN_ENTITY][0]
+
+      const isUsable = record
+        && record.purpose === purpose
+        && !record.usedAt
+        && new Date(record.expiresAt) > new Date()
+
+      if (!isUsable) {
+        throw AppError.BadRequest('Invalid or expired token')
+      }
+
+      const used = await modelTools.update(TOKEN_PATH, [{ usedAt: new Date().toISOString() }], record._id)
+      return used[TOKEN_ENTITY][0]
+    })
+  }
+
+  //==================================================
+  //  PRIVATE METHODS
+  //==================================================
+
+  static _hash(token) {
+    return crypto.createHash('sha256').update(token).digest('hex')
+  }
+}
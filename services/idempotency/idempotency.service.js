@@ -0,0 +1,171 @@
+import crypto from 'node:crypto'
+import { Config, PATH } from '../../config/config.js'
+import { modelTools } from '../../model/model-tools.js'
+import { AppError } from '../../utils/errors/error.utils.js'
+
+const IDEMPOTENCY_PATH = PATH.IDEMPOTENCY_PATH
+const ENTITY = modelTools._extractEntityFromPath(IDEMPOTENCY_PATH)
+
+/**
+ * Idempotency key states.
+ * @readonly
+ * @enum {string}
+ */
+export const IDEMPOTENCY_STATES = Object.freeze({
+  /** First request still running */
+  PROCESSING: 'processing',
+  /** Response stored, replayed on retries */
+  COMPLETED: 'completed',
+})
+
+const S = IDEMPOTENCY_STATES
+
+/** Longest accepted `Idempotency-Key` header value */
+export const MAX_KEY_LENGTH = 255
+
+/**
+ * IdempotencyService
+ *
+ * Stores the first response sent for a (user, `Idempotency-Key`) pair,
+ * the way Stripe / Paystack do, so a client can safely retry a request
+ * that timed out:
+ * - Same key, same request → the stored response is replayed
+ * - Same key, different request → 422
+ * - Same key while the first request is still running → 409; a claim
+ *   left `processing` for `Config.idempotency.processingTimeoutSeconds`
+ *   (the request never answered) is dropped and the key starts afresh
+ * - Keys expire after `Config.idempotency.ttlHours`; an expired key
+ *   starts afresh
+ *
+ * HTTP wiring lives in the `idempotency()` middleware.
+ */
+export class IdempotencyService {
+
+  /**
+   * Claim a key for a request, or return the response to replay.
+   *
+   * @param {Object} params
+   * @param {string} params.scope - Who the key belongs to (user id or "anonymous")
+   * @param {string} params.key - `Idempotency-Key` header value
+   * @param {string} params.fingerprint - See `fingerprint()`
+   * @returns {Promise<{ record: Object, replay: Object|null }>}
+   * `replay` is the stored `{ statusCode, contentType, body }` when the
+   * request was already answered, `null` when the caller should run it
+   * @throws {AppError} 400 invalid key, 409 still processing, 422 key reused for another request
+   */
+  static async begin({ scope, key, fingerprint }) {
+    if (!key || key.length > MAX_KEY_LENGTH) {
+      throw AppError.BadRequest(`Idempotency-Key must be 1 to ${MAX_KEY_LENGTH} characters`)
+    }
+
+    const scopeKey = `${scope}:${key}`
+
+    return modelTools.transaction(IDEMPOTENCY_PATH, async () => {
+      const raw = await modelTools.find(IDEMPOTENCY_PATH, { where: { scopeKey }, limit: 1 })
+      const existing = raw[ENTITY][0]
+
+      if (existing && !this._isExpired(existing) && !this._isStale(existing)) {
+        if (existing.fingerprint !== fingerprint) {
+          throw AppError.UnprocessableEntity(
+            'Idempotency-Key was already used with a different request'
+          )
+        }
+        if (existing.status === S.PROCESSING) {
+          throw AppError.Conflict(
+            'A request with this Idempotency-Key is still being processed. Retry shortly'
+          )
+        }
+        return { record: existing, replay: existing.response }
+      }
+
+      const now = new Date()
+      const fields = {
+        scopeKey,
+        scope,
+        key,
+        fingerprint,
+        status: S.PROCESSING,
+        createdAt: now.toISOString(),
+        expiresAt: new Date(now.getTime() + Config.idempotency.ttlHours * 3600 * 1000).toISOString()
+      }
+
+      // Expired and stale keys are reused in place (scopeKey is unique)
+      const saved = existing
+        ? await modelTools.update(IDEMPOTENCY_PATH, [{ ...fields, response: {} }], existing._id)
+        : await modelTools.create(IDEMPOTENCY_PATH, [fields])
+
+      return { record: saved[ENTITY][0], replay: null }
+    })
+  }
+
+  /**
+   * Store the response sent for a claimed key.
+   *
+   * @param {Object} record - From `begin()`
+   * @param {{ statusCode: number, contentType: string, body: string }} response
+   * @returns {Promise<Object>}
+   */
+  static async complete(record, response) {
+    const updated = await modelTools.update(
+      IDEMPOTENCY_PATH,
+      [{ status: S.COMPLETED, response }],
+      record._id
+    )
+    return updated[ENTITY][0]
+  }
+
+  /**
+   * Forget a claimed key so the request can be retried (used when the
+   * request failed on the server side).
+   *
+   * @param {Object} record - From `begin()`
+   */
+  static async release(record) {
+    await modelTools.delete(IDEMPOTENCY_PATH, record._id)
+  }
+
+  /**
+   * Hash identifying a request: method, path and body (key order ignored).
+   *
+   * @param {string} method
+   * @param {string} path
+   * @param {Object} body
+   * @returns {string}
+   */
+  static fingerprint(method, path, body) {
+    return crypto
+      .createHash('sha256')
+      .update(JSON.stringify([method, path, this._canonical(body ?? {})]))
+      .digest('hex')
+  }
+
+  //==================================================
+  //  PRIVATE METHODS
+  //==================================================
+
+  static _isExpired(record) {
+    return new Date(record.expiresAt) <= new Date()
+  }
+
+  /**
+   * Still `processing` long after it started: the request never answered
+   */
+  static _isStale(record) {
+    const timeoutMs = Config.idempotency.processingTimeoutSeconds * 1000
+    return record.status === S.PROCESSING && Date.now() - new Date(record.createdAt).getTime() > timeoutMs
+  }
+
+  /**
+   * Copy of a JSON value with object keys sorted, so `{a,b}` and `{b,a}`
+   * fingerprint the same.
+   */
+  static _canonical(value) {
+    if (Array.isArray(value)) return value.map(v => this._canonical(v))
+    if (value && typeof value === 'object') {
+      return Object.fromEntries(
+        Object.keys(value).sort().map(k => [k, this._canonical(value[k])])
+      )
+    }
+    return value
+  }
+}
@@ -0,0 +1,86 @@
+import { Config, PATH } from '../../config/config.js'
+import { modelTools } from '../../model/model-tools.js'
+
+const OUTBOX_PATH = PATH.OUTBOX_PATH
+const OUTBOX_ENTITY = modelTools._extractEntityFromPath(OUTBOX_PATH)
+
+/**
+ * Built-in mail transports, selected with `Config.mail.transport`.
+ *
+ * A transport is `{ name, send(message) => Promise<Object> }`, where
+ * `message` is `{ from, to, subject, text }`. A real one (SMTP, an email
+ * API) only has to implement `send()`.
+ */
+export const MAIL_TRANSPORTS = Object.freeze({
+  /** Stores every message in `model/mail/outbox.json` (tests read it there) */
+  outbox: {
+    name: 'outbox',
+    async send(message) {
+      const created = await modelTools.create(OUTBOX_PATH, [message])
+      return created[OUTBOX_ENTITY][0]
+    }
+  },
+
+  /** Prints every message to the server log */
+  console: {
+    name: 'console',
+    async send(message) {
+      console.log(`Mail to ${message.to}: ${message.subject}\n${message.text}`)
+      return message
+    }
+  },
+})
+
+/**
+ * MailService
+ *
+ * The one way the app sends email. Nothing leaves the machine: the default
+ * transport writes to the local outbox.
+ */
+export class MailService {
+
+  /** Transport in use (set on first send, or by `useTransport()`) */
+  static #transport = null
+
+  /**
+   * Send a plain-text message.
+   *
+   * @param {Object} message
+   * @param {string} message.to
+   * @param {string} message.subject
+   * @param {string} message.text
+   * @returns {Promise<Object>} Whatever the transport returns (outbox: the stored message)
+   */
+  static async send({ to, subject, text }) {
+    return this.transport().send({ from: Config.mail.from, to, subject, text })
+  }
+
+  /**
+   * Replace the transport (e.g. a real provider, or a stub in a script).
+   *
+   * @param {{ name: string, send: Function }} transport
+   */
+  static useTransport(transport) {
+    if (typeof transport?.send !== 'function') {
+      throw new Error('A mail transport must have a send(message) method')
+    }
+    this.#transport = transport
+  }
+
+  /**
+   * Transport in use.
+   * @returns {{ name: string, send: Function }}
+   * @throws {Error} Unknown `Config.mail.transport`
+   */
+  static transport() {
+    if (this.#transport) return this.#transport
+
+    const transport = MAIL_TRANSPORTS[Config.mail.transport]
+    if (!transport) {
+      throw new Error(`Unknown mail transport "${Config.mail.transport}" (use: ${Object.keys(MAIL_TRANSPORTS).join(', ')})`)
+    }
+
+    this.#transport = transport
+    return transport
+  }
+}
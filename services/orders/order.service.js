@@ -0,0 +1,220 @@
+import { PATH } from '../../config/config.js'
+import { modelTools } from '../../model/model-tools.js'
+import { AppError } from '../../utils/errors/error.utils.js'
+import { PAYMENT_STATES } from '../payments/payment-lifecycle.service.js'
+import { RefundService } from '../payments/refund.service.js'
+
+const ORDER_PATH = PATH.ORDER_PATH
+const PRODUCT_PATH = PATH.PRODUCT_PATH
+const USER_PATH = PATH.USER_PATH
+
+const ORDER_ENTITY = modelTools._extractEntityFromPath(ORDER_PATH)
+const PRODUCT_ENTITY = modelTools._extractEntityFromPath(PRODUCT_PATH)
+const USER_ENTITY = modelTools._extractEntityFromPath(USER_PATH)
+
+/**
+ * Order fulfilment states.
+ * @readonly
+ * @enum {string}
+ */
+export const ORDER_STATES = Object.freeze({
+  PLACED: 'placed',
+  SHIPPED: 'shipped',
+  DELIVERED: 'delivered',
+  CANCELLED: 'cancelled',
+})
+
+const O = ORDER_STATES
+
+/**
+ * Legal transitions: state → states it may move to.
+ *
+ *   placed ─┬─► shipped ─┬─► delivered
+ *           └────────────┴─► cancelled (refunds the payment)
+ */
+const TRANSITIONS = Object.freeze({
+  [O.PLACED]: [O.SHIPPED, O.CANCELLED],
+  [O.SHIPPED]: [O.DELIVERED, O.CANCELLED],
+  [O.DELIVERED]: [],
+  [O.CANCELLED]: [],
+})
+
+/** Payment states that still hold money to give back on cancellation */
+const REFUNDABLE = [PAYMENT_STATES.SUCCESS, PAYMENT_STATES.PARTIALLY_REFUNDED]
+
+/**
+ * OrderService
+ *
+ * What a successful product or cart payment bought:
+ * - `createFromPayment()` runs when verification succeeds (once per payment)
+ * - Status changes follow TRANSITIONS and are kept in `history`,
+ *   the same shape PaymentLifecycle uses for payments
+ * - Cancelling refunds whatever is left on the linked payment
+ */
+export class OrderService {
+
+  /**
+   * Check whether `from → to` is a legal transition.
+   *
+   * @param {string} from
+   * @param {string} to
+   * @returns {boolean}
+   */
+  static canTransition(from, to) {
+    return TRANSITIONS[from]?.includes(to) ?? false
+  }
+
+  /**
+   * Create the order for a successful payment.
+   * Returns null for payments that bought nothing (plain `POST /payments`),
+   * and the existing order if one was already created for this payment.
+   *
+   * @param {Object} payment - A payment in the "success" state
+   * @returns {Promise<Object|null>}
+   */
+  static async createFromPayment(payment) {
+    if (!payment.items?.length && !payment.productId) return null
+
+    return modelTools.transaction(ORDER_PATH, async () => {
+      const existing = await this.findByPaymentReference(payment.reference)
+      if (existing) return existing
+
+      const items = payment.items?.length
+        ? payment.items
+        : [await this._singleProductLine(payment)]
+
+      const created = await modelTools.create(ORDER_PATH, [{
+        userId: payment.userId ?? await this._findUserId(payment.email),
+        email: payment.email,
+        paymentId: payment._id,
+        paymentReference: payment.reference,
+        items,
+        subtotal: items.reduce((sum, line) => sum + line.lineTotal, 0),
+        totalAmount: payment.amount,
+        currency: payment.currency,
+        status: O.PLACED,
+        history: [this._entry(null, O.PLACED, 'system', 'Payment verified')]
+      }])
+
+      return created[ORDER_ENTITY][0]
+    })
+  }
+
+  /**
+   * Move an order to a new fulfilment status.
+   * Cancelling refunds the remaining amount of the linked payment first;
+   * if the refund fails, the order is left unchanged.
+   *
+   * @param {number} orderId
+   * @param {string} to
+   * @param {Object} [options]
+   * @param {string} [options.actor='system']
+   * @param {string} [options.reason]
+   * @param {string[]} [options.from] - Only move orders currently in one of these
+   *   states (checked under the lock), e.g. buyers cancel `placed` orders only
+   * @returns {Promise<{ order: Object, refund: Object|null }>}
+   * @throws {AppError} 404 unknown order, 409 illegal transition or not in `from`
+   */
+  static async updateStatus(orderId, to, { actor = 'system', reason = null, from = null } = {}) {
+    return modelTools.transaction(ORDER_PATH, async () => {
+      const order = (await modelTools.findOne(ORDER_PATH, orderId))[ORDER_ENTITY][0]
+
+      if (!order) {
+        throw AppError.NotFound('Order not found')
+      }
+
+      if (from && !from.includes(order.status)) {
+        throw AppError.Conflict(
+          `Order is ${order.status}; it can only be ${to} while ${from.join(' or ')}`,
+          'Conflict',
+          { from: order.status, to }
+        )
+      }
+
+      if (!this.canTransition(order.status, to)) {
+        throw AppError.Conflict(
+          `Illegal order status transition: ${order.status} → ${to}`,
+          'Conflict',
+          { from: order.status, to, allowed: TRANSITIONS[order.status] ?? [] }
+        )
+      }
+
+      let refund = null
+      if (to === O.CANCELLED) {
+        refund = await this._refundPayment(order, { actor, reason })
+      }
+
+      const updated = await modelTools.update(ORDER_PATH, [{
+        status: to,
+        history: [...(order.history ?? []), this._entry(order.status, to, actor, reason)],
+        ...(refund && { refundReference: refund.reference }),
+        updatedAt: new Date().toISOString()
+      }], order._id)
+
+      return { order: updated[ORDER_ENTITY][0], refund }
+    })
+  }
+
+  /**
+   * Find the order created for a payment.
+   *
+   * @param {string} paymentReference
+   * @returns {Promise<Object|undefined>}
+   */
+  static async findByPaymentReference(paymentReference) {
+    const raw = await modelTools.find(ORDER_PATH, { where: { paymentReference }, limit: 1 })
+    return raw[ORDER_ENTITY][0]
+  }
+
+  //==================================================
+  //  PRIVATE METHODS
+  //==================================================
+
+  /**
+   * Refund what is left on the order's payment, if anything.
+   * @returns {Promise<Object|null>} The refund record
+   */
+  static async _refundPayment(order, { actor, reason }) {
+    const { payment } = await RefundService.list(order.paymentReference)
+    if (!REFUNDABLE.includes(payment.status)) return null
+
+    const { refund } = await RefundService.refund(order.paymentReference, {
+      actor,
+      reason: reason ?? `Order ${order._id} cancelled`
+    })
+    return refund
+  }
+
+  /**
+   * Line item for a single-product payment.
+   * The name comes from the product if it still exists.
+   */
+  static async _singleProductLine(payment) {
+    const product = (await modelTools.findOne(PRODUCT_PATH, payment.productId))[PRODUCT_ENTITY][0]
+
+    return {
+      productId: payment.productId,
+      name: product?.name ?? null,
+      // exact: product payments are unit price × quantity in minor units
+      unitPrice: Math.round(payment.amount / payment.quantity),
+      quantity: payment.quantity,
+      lineTotal: payment.amount
+    }
+  }
+
+  /**
+   * Buyer's userId from their email, for payments made without logging in.
+   * @returns {Promise<number|undefined>}
+   */
+  static async _findUserId(email) {
+    const raw = await modelTools.find(USER_PATH, { where: { email }, limit: 1 })
+    return raw[USER_ENTITY][0]?._id
+  }
+
+  /**
+   * Build a history entry.
+   */
+  static _entry(from, to, actor, reason) {
+    return { from, to, at: new Date().toISOString(), actor, reason }
+  }
+}
@@ -0,0 +1,117 @@
+import { readFileSync } from 'node:fs'
+import { Config } from '../../config/config.js'
+import { Money } from '../../utils/money.utils.js'
+
+/**
+ * Payment channels (chosen when the payment is initialized).
+ * @readonly
+ * @enum {string}
+ */
+export const PAYMENT_CHANNELS = Object.freeze({
+  CARD: 'card',
+  BANK_TRANSFER: 'bank_transfer',
+  USSD: 'ussd',
+})
+
+/** Schedule key used when a currency or channel has no rule of its own */
+const FALLBACK = { CURRENCY: '*', CHANNEL: 'default' }
+
+/**
+ * FeeService
+ *
+ * Works out what the gateway keeps from a successful payment, using the
+ * fee schedule at `Config.fees.schedulePath`:
+ *
+ * ```json
+ * { "NGN": { "default": { "percent": 1.5, "flat": 100, "cap": 2000 },
+ *            "bank_transfer": { "percent": 1, "cap": 1000 } },
+ *   "*":   { "default": { "percent": 3.9 } } }
+ * ```
+ *
+ * - Rules are looked up by currency, then channel, falling back to the
+ *   currency's `default`, then to `"*"` (percent only)
+ * - `flat` and `cap` are in major units of the currency
+ * - fee = percent of the amount + flat, limited to `cap` and to the amount
+ */
+export class FeeService {
+
+  /** Parsed schedule, loaded on first use */
+  static #schedule = null
+
+  /**
+   * Fees and net amount for a payment.
+   *
+   * @param {Object} payment
+   * @param {number} payment.amount - Minor units
+   * @param {string} payment.currency
+   * @param {string} [payment.channel='card']
+   * @returns {{ fees: number, netAmount: number }} Minor units
+   */
+  static calculate({ amount, currency, channel = PAYMENT_CHANNELS.CARD }) {
+    const { percent, flat, cap } = this.ruleFor(currency, channel)
+
+    let fees = Math.round(amount * percent / 100) + flat
+    if (cap !== null) fees = Math.min(fees, cap)
+    fees = Math.min(fees, amount)
+
+    return { fees, netAmount: amount - fees }
+  }
+
+  /**
+   * Rule applied to a currency and channel, with `flat` and `cap` in minor units.
+   *
+   * @param {string} currency
+   * @param {string} [channel='card']
+   * @returns {{ percent: number, flat: number, cap: number|null }}
+   */
+  static ruleFor(currency, channel = PAYMENT_CHANNELS.CARD) {
+    const schedule = this._schedule()
+    const byCurrency = schedule[currency]
+
+    const rule = byCurrency?.[channel] ?? byCurrency?.[FALLBACK.CHANNEL]
+    if (!rule) return { percent: schedule[FALLBACK.CURRENCY].default.percent, flat: 0, cap: null }
+
+    return {
+      percent: rule.percent ?? 0,
+      flat: Money.toMinor(rule.flat ?? 0, currency, 'flat'),
+      cap: rule.cap === undefined ? null : Money.toMinor(rule.cap, currency, 'cap')
+    }
+  }
+
+  //==================================================
+  //  PRIVATE METHODS
+  //==================================================
+
+  /**
+   * Load and check the fee schedule once.
+   * @throws {Error} If the schedule file is missing or malformed
+   */
+  static _schedule() {
+    if (this.#schedule) return this.#schedule
+
+    const path = Config.fees.schedulePath
+    const schedule = JSON.parse(readFileSync(path, 'utf8'))
+
+    const fallback = schedule?.[FALLBACK.CURRENCY]?.[FALLBACK.CHANNEL]
+    if (typeof fallback?.percent !== 'number' || 'flat' in fallback || 'cap' in fallback) {
+      throw new Error(`Fee schedule ${path}: "*" needs a "default" rule with a percent only`)
+    }
+
+    const channels = [...Object.values(PAYMENT_CHANNELS), FALLBACK.CHANNEL]
+    for (const [currency, rules] of Object.entries(schedule)) {
+      if (currency !== FALLBACK.CURRENCY && !Money.isCurrency(currency)) {
+        throw new Error(`Fee schedule ${path}: unsupported currency "${currency}"`)
+      }
+      for (const [channel, rule] of Object.entries(rules)) {
+        const isValid = channels.includes(channel)
+          && ['percent', 'flat', 'cap'].every(k => rule[k] === undefined || (typeof rule[k] === 'number' && rule[k] >= 0))
+        if (!isValid) {
+          throw new Error(`Fee schedule ${path}: invalid rule "${currency}.${channel}"`)
+        }
+      }
+    }
+
+    this.#schedule = schedule
+    return schedule
+  }
+}
@@ -0,0 +1,195 @@
+import { PATH } from '../../config/config.js'
+import { modelTools } from '../../model/model-tools.js'
+import { AppError } from '../../utils/errors/error.utils.js'
+
+const PAYMENT_PATH = PATH.PAYMENT_PATH
+const ENTITY = modelTools._extractEntityFromPath(PAYMENT_PATH)
+
+/**
+ * Payment states.
+ * @readonly
+ * @enum {string}
+ */
+export const PAYMENT_STATES = Object.freeze({
+  INITIALIZED: 'initialized',
+  PENDING: 'pending',
+  PROCESSING: 'processing',
+  SUCCESS: 'success',
+  FAILED: 'failed',
+  ABANDONED: 'abandoned',
+  REVERSED: 'reversed',
+  REFUNDED: 'refunded',
+  PARTIALLY_REFUNDED: 'partially_refunded',
+})
+
+const S = PAYMENT_STATES
+
+/**
+ * Legal transitions: state → states it may move to.
+ * States with no outgoing transitions are terminal.
+ *
+ *   initialized ─┬─► pending ─┬─► processing ─┬─► success ─┬─► partially_refunded ─► refunded
+ *                │            │               └─► failed    ├─► refunded
+ *                ├────────────┴─► abandoned                 └─► reversed
+ *                └─► processing / failed
+ */
+const TRANSITIONS = Object.freeze({
+  [S.INITIALIZED]: [S.PENDING, S.PROCESSING, S.FAILED, S.ABANDONED],
+  [S.PENDING]: [S.PROCESSING, S.SUCCESS, S.FAILED, S.ABANDONED],
+  [S.PROCESSING]: [S.SUCCESS, S.FAILED],
+  [S.SUCCESS]: [S.PARTIALLY_REFUNDED, S.REFUNDED, S.REVERSED],
+  [S.PARTIALLY_REFUNDED]: [S.PARTIALLY_REFUNDED, S.REFUNDED],
+  [S.FAILED]: [],
+  [S.ABANDONED]: [],
+  [S.REVERSED]: [],
+  [S.REFUNDED]: [],
+})
+
+/**
+ * PaymentLifecycle
+ *
+ * Single authority over payment status changes:
+ * - Only legal transitions are allowed (409 `AppError.Conflict` otherwise)
+ * - Every transition is appended to the payment's `history` array
+ *   as `{ from, to, at, actor, reason }`
+ * - Transitions run under the payments file lock, so two concurrent
+ *   requests cannot both move a payment out of the same state
+ *
+ * Controllers must not write `status` directly.
+ */
+export class PaymentLifecycle {
+
+  /**
+   * Check whether `from → to` is a legal transition.
+   *
+   * @param {string} from
+   * @param {string} to
+   * @returns {boolean}
+   */
+  static canTransition(from, to) {
+    return TRANSITIONS[from]?.includes(to) ?? false
+  }
+
+  /**
+   * Throw unless `from → to` is a legal transition.
+   *
+   * @param {string} from
+   * @param {string} to
+   * @throws {AppError} 409 Conflict
+   */
+  static assertTransition(from, to) {
+    if (!this.canTransition(from, to)) {
+      throw AppError.Conflict(
+        `Illegal payment transition: ${from} → ${to}`,
+        'Conflict',
+        { from, to, allowed: TRANSITIONS[from] ?? [] }
+      )
+    }
+  }
+
+  /**
+   * Whether a payment in this state can still be verified (charged).
+   *
+   * @param {string} status
+   * @returns {boolean}
+   */
+  static isAwaitingVerification(status) {
+    return this.canTransition(status, S.PROCESSING)
+  }
+
+  /**
+   * Whether the state is terminal (no further transitions).
+   *
+   * @param {string} status
+   * @returns {boolean}
+   */
+  static isTerminal(status) {
+    return (TRANSITIONS[status] ?? []).length === 0
+  }
+
+  /**
+   * Build the first history entry for a new payment.
+   *
+   * @param {Object} [options]
+   * @param {string} [options.actor='system']
+   * @param {string} [options.reason='Payment initialized']
+   * @returns {{ status: string, history: Object[] }} Fields to spread into the payment payload
+   */
+  static initial({ actor = 'system', reason = 'Payment initialized' } = {}) {
+    return {
+      status: S.INITIALIZED,
+      history: [this._entry(null, S.INITIALIZED, actor, reason)]
+    }
+  }
+
+  /**
+   * Move a payment to a new state and record it in `history`.
+   *
+   * The payment is re-read under the file lock, so the check uses the
+   * latest stored status rather than the caller's copy. Losing a race
+   * (another request already moved the payment) gets a plain 409
+   * message instead of the state-machine wording.
+   *
+   * @param {number} paymentId - Payment `_id`
+   * @param {string} to - Target state
+   * @param {Object} [options]
+   * @param {string} [options.actor='system'] - Who triggered it (email, 'gateway', 'system'…)
+   * @param {string} [options.reason] - Free-text reason
+   * @param {Object} [options.changes={}] - Extra fields to write with the transition
+   * @returns {Promise<Object>} Updated payment
+   * @throws {AppError} 404 if the payment does not exist, 409 on an illegal transition
+   *   or when a concurrent request got there first
+   */
+  static async transition(paymentId, to, { actor = 'system', reason = null, changes = {} } = {}) {
+    return modelTools.transaction(PAYMENT_PATH, async () => {
+      const payment = (await modelTools.findOne(PAYMENT_PATH, paymentId))[ENTITY][0]
+
+      if (!payment) {
+        throw AppError.NotFound('Payment not found')
+      }
+
+      this._assertNoRace(payment.status, to)
+      this.assertTransition(payment.status, to)
+
+      const updated = await modelTools.update(PAYMENT_PATH, [{
+        ...changes,
+        status: to,
+        history: [
+          ...(payment.history ?? []),
+          this._entry(payment.status, to, actor, reason)
+        ]
+      }], payment._id)
+
+      return updated[ENTITY][0]
+    })
+  }
+
+  /**
+   * Conflicts a client causes by retrying while another request is at
+   * work (e.g. parallel verifies): same state, verification in flight,
+   * or already verified.
+   *
+   * @throws {AppError} 409 with a message meant for clients
+   */
+  static _assertNoRace(from, to) {
+    if (this.canTransition(from, to)) return
+
+    const details = { status: from }
+    if (from === S.PROCESSING) {
+      throw AppError.Conflict('Payment verification already in progress, try again shortly', 'Conflict', details)
+    }
+    if (from === to) {
+      throw AppError.Conflict(`Payment is already ${to}`, 'Conflict', details)
+    }
+    if (to === S.PROCESSING) {
+      throw AppError.Conflict('Payment has already been verified', 'Conflict', details)
+    }
+  }
+
+  /**
+   * Build a history entry.
+   */
+  static _entry(from, to, actor, reason) {
+    return { from, to, at: new Date().toISOString(), actor, reason }
+  }
+}
@@ -0,0 +1,200 @@
+import { Config } from '../../config/config.js'
+
+/**
+ * Simulated gateway outcomes.
+ * @readonly
+ * @enum {string}
+ */
+export const SIMULATION_OUTCOMES = Object.freeze({
+  SUCCESS: 'success',
+  DECLINED: 'declined',
+  INSUFFICIENT_FUNDS: 'insufficient_funds',
+  TIMEOUT: 'timeout',
+  FRAUD_BLOCKED: 'fraud_blocked',
+})
+
+const O = SIMULATION_OUTCOMES
+
+/**
+ * Gateway response per outcome, stored on the payment as `gatewayResponse`.
+ */
+const RESPONSES = Object.freeze({
+  [O.SUCCESS]: { code: '00', message: 'Charge approved' },
+  [O.DECLINED]: { code: '05', message: 'Charge declined' },
+  [O.INSUFFICIENT_FUNDS]: { code: '51', message: 'Insufficient funds' },
+  [O.TIMEOUT]: { code: '91', message: 'Gateway timeout' },
+  [O.FRAUD_BLOCKED]: { code: '59', message: 'Blocked by fraud check' },
+})
+
+/**
+ * Magic amounts: the last two digits of the amount in minor units
+ * (kobo / cents) force an outcome, like test card numbers on real
+ * gateways. e.g. 100.03 (10003 minor) → insufficient_funds
+ */
+const MAGIC_MINOR_UNITS = Object.freeze({
+  2: O.DECLINED,
+  3: O.INSUFFICIENT_FUNDS,
+  4: O.TIMEOUT,
+  5: O.FRAUD_BLOCKED,
+})
+
+/**
+ * Magic emails: a `+tag` in the local part forces an outcome.
+ * e.g. jane+fraud@example.com → fraud_blocked
+ */
+const MAGIC_EMAIL_TAGS = Object.freeze({
+  success: O.SUCCESS,
+  decline: O.DECLINED,
+  insufficient: O.INSUFFICIENT_FUNDS,
+  timeout: O.TIMEOUT,
+  fraud: O.FRAUD_BLOCKED,
+})
+
+/**
+ * Test cards for the hosted checkout page. Any other card that passes
+ * the Luhn check falls through to the remaining rules.
+ */
+export const TEST_CARDS = Object.freeze({
+  '4084084084084081': O.SUCCESS,
+  '4000000000000002': O.DECLINED,
+  '4000000000009995': O.INSUFFICIENT_FUNDS,
+  '4000000000000119': O.TIMEOUT,
+  '4100000000000019': O.FRAUD_BLOCKED,
+})
+
+/**
+ * PaymentSimulator
+ *
+ * Decides what the fake gateway answers when a payment is verified.
+ * Resolution order (first match wins):
+ * 1. `payment.simulate` - per-payment override (only accepted in dev mode)
+ * 2. Test card entered on the checkout page (TEST_CARDS)
+ * 3. Magic email tag (`+decline`, `+insufficient`, `+timeout`, `+fraud`, `+success`)
+ * 4. Magic amount (.02 declined, .03 insufficient funds, .04 timeout, .05 fraud)
+ * 5. RNG against `Config.paymentSimulator.successRate`; seeded when
+ *    `Config.paymentSimulator.seed` is set, so runs are reproducible
+ */
+export class PaymentSimulator {
+
+  /** Seeded generator, or null to use Math.random */
+  static #rng = null
+
+  static {
+    this.reset()
+  }
+
+  /**
+   * Simulate the gateway response for a payment.
+   *
+   * @param {Object} payment
+   * @param {Object} [options]
+   * @param {string} [options.card] - Card number from the checkout page
+   * @returns {{ outcome: string, code: string, message: string, source: string }}
+   * `source` says which rule decided: 'override' | 'card' | 'email' | 'amount' | 'rng'
+   */
+  static simulate(payment, { card } = {}) {
+    const { outcome, source } = this._forcedOutcome(payment, card) ?? {
+      outcome: this._random() < this._successRate() ? O.SUCCESS : O.DECLINED,
+      source: 'rng'
+    }
+
+    return { outcome, ...RESPONSES[outcome], source }
+  }
+
+  /**
+   * Luhn check of a card number (spaces and dashes ignored).
+   *
+   * @param {string} number
+   * @returns {boolean}
+   */
+  static isValidCardNumber(number) {
+    const digits = String(number ?? '').replace(/[\s-]/g, '')
+    if (!/^\d{12,19}$/.test(digits)) return false
+
+    let sum = 0
+    for (let i = 0; i < digits.length; i++) {
+      let d = Number(digits[digits.length - 1 - i])
+      if (i % 2 === 1) {
+        d *= 2
+        if (d > 9) d -= 9
+      }
+      sum += d
+    }
+    return sum % 10 === 0
+  }
+
+  /**
+   * Restart the RNG sequence.
+   *
+   * @param {string|number|null} [seed=Config.paymentSimulator.seed] - null → Math.random
+   */
+  static reset(seed = Config.paymentSimulator.seed) {
+    this.#rng = seed === null || seed === undefined || seed === ''
+      ? null
+      : this._mulberry32(this._hashSeed(String(seed)))
+  }
+
+  //==================================================
+  //  PRIVATE METHODS
+  //==================================================
+
+  /**
+   * Outcome forced by override, test card, magic email or magic amount, if any.
+   * @returns {{ outcome: string, source: string }|null}
+   */
+  static _forcedOutcome(payment, card) {
+    if (payment.simulate && RESPONSES[payment.simulate]) {
+      return { outcome: payment.simulate, source: 'override' }
+    }
+
+    const cardOutcome = TEST_CARDS[String(card ?? '').replace(/[\s-]/g, '')]
+    if (cardOutcome) {
+      return { outcome: cardOutcome, source: 'card' }
+    }
+
+    const local = String(payment.email ?? '').split('@')[0]
+    const tag = local.includes('+') ? local.slice(local.lastIndexOf('+') + 1) : null
+    if (tag && MAGIC_EMAIL_TAGS[tag]) {
+      return { outcome: MAGIC_EMAIL_TAGS[tag], source: 'email' }
+    }
+
+    // payment.amount is stored in minor units
+    const minor = Number(payment.amount) % 100
+    if (MAGIC_MINOR_UNITS[minor]) {
+      return { outcome: MAGIC_MINOR_UNITS[minor], source: 'amount' }
+    }
+
+    return null
+  }
+
+  /** Next number in [0, 1) */
+  static _random() {
+    return this.#rng ? this.#rng() : Math.random()
+  }
+
+  /** Configured success rate, clamped to [0, 1] */
+  static _successRate() {
+    const rate = Number(Config.paymentSimulator.successRate)
+    return Number.isFinite(rate) ? Math.min(Math.max(rate, 0), 1) : 0.7
+  }
+
+  /** FNV-1a hash of the seed string → 32-bit integer */
+  static _hashSeed(seed) {
+    let h = 0x811c9dc5
+    for (let i = 0; i < seed.length; i++) {
+      h ^= seed.charCodeAt(i)
+      h = Math.imul(h, 0x01000193)
+    }
+    return h >>> 0
+  }
+
+  /** Small, fast seeded PRNG returning numbers in [0, 1) */
+  static _mulberry32(a) {
+    return () => {
+      a = (a + 0x6d2b79f5) | 0
+      let t = Math.imul(a ^ (a >>> 15), 1 | a)
+      t = (t + Math.imul(t ^ (t >>> 7), 61 | t)) ^ t
+      return ((t ^ (t >>> 14)) >>> 0) / 4294967296
+    }
+  }
+}
@@ -0,0 +1,192 @@
+import { PATH } from '../../config/config.js'
+import { modelTools } from '../../model/model-tools.js'
+import { OrderService } from '../orders/order.service.js'
+import { StockReservation } from '../products/stock-reservation.service.js'
+import { WEBHOOK_EVENTS, WebhookService } from '../webhooks/webhook.service.js'
+import { FeeService } from './fee.service.js'
+import { PAYMENT_STATES, PaymentLifecycle } from './payment-lifecycle.service.js'
+import { PaymentSimulator, SIMULATION_OUTCOMES } from './payment-simulator.service.js'
+
+/**
+ * What a verification attempt did.
+ * @readonly
+ * @enum {string}
+ */
+export const VERIFICATION_RESULTS = Object.freeze({
+  /** Moved to "success" or "failed" */
+  PROCESSED: 'processed',
+  /** Already past the pending stage; nothing changed */
+  ALREADY_PROCESSED: 'already_processed',
+  /** Stock hold lapsed; payment abandoned */
+  EXPIRED: 'expired',
+  /** Gateway timed out; payment still awaiting verification */
+  TIMEOUT: 'timeout',
+})
+
+const V = VERIFICATION_RESULTS
+
+const PAYMENT_PATH = PATH.PAYMENT_PATH
+const PAYMENT_ENTITY = modelTools._extractEntityFromPath(PAYMENT_PATH)
+
+/** A fulfilment claim older than this was interrupted (crash) and can be taken over */
+const FULFILMENT_CLAIM_TTL_MS = 5 * 60 * 1000
+
+/**
+ * PaymentVerification
+ *
+ * Completes a payment through the simulated gateway. Shared by
+ * `GET /payments/verify/:reference` and the hosted checkout page:
+ * - Asks PaymentSimulator for the gateway response
+ * - Moves the payment to "processing", then "success" or "failed"
+ *   (timeouts leave it "pending")
+ * - Records `fees` / `netAmount` on success (FeeService)
+ * - Commits or releases held stock, creates the order on success
+ * - Emits `payment.success` / `payment.failed` webhooks
+ * - Idempotent: payments past the pending stage are returned as they are,
+ *   except successful ones whose fulfilment (stock, order, webhook) did
+ *   not finish: verifying again completes it (`fulfilledAt` marks the end)
+ * - Fulfilment runs once at a time: the success transition claims it
+ *   (`fulfillingAt`), a retry has to claim it under the payments lock
+ */
+export class PaymentVerification {
+
+  /**
+   * Verify a payment.
+   *
+   * @param {Object} payment
+   * @param {Object} [options]
+   * @param {string} [options.actor='gateway'] - Recorded in the payment history
+   * @param {string} [options.card] - Card number entered on the checkout page
+   * @returns {Promise<{ result: string, payment: Object, message: string }>}
+   * @throws {AppError} 409 if a concurrent verification moved the payment on
+   */
+  static async verify(payment, { actor = 'gateway', card } = {}) {
+    // Idempotency: do not re-process completed payments
+    if (!PaymentLifecycle.isAwaitingVerification(payment.status)) {
+      // ...but finish a success whose fulfilment was interrupted
+      const claimed = payment.status === PAYMENT_STATES.SUCCESS && !payment.fulfilledAt
+        ? await this._claimFulfilment(payment._id)
+        : null
+      const current = claimed ? await this._fulfil(claimed) : payment
+
+      return { result: V.ALREADY_PROCESSED, payment: current, message: 'Payment already processed' }
+    }
+
+    // Stock hold lapsed before verification: payment is abandoned
+    if (await StockReservation.expireIfLapsed(payment.reference)) {
+      return {
+        result: V.EXPIRED,
+        payment: (await modelTools.findOne(PAYMENT_PATH, payment._id))[PAYMENT_ENTITY][0],
+        message: 'Payment expired: stock reservation lapsed'
+      }
+    }
+
+    // Simulate gateway response
+    const { outcome, code, message, source } = PaymentSimulator.simulate(payment, { card })
+    const gatewayResponse = { outcome, code, message, source }
+
+    // Gateway never answered: leave the payment awaiting verification
+    if (outcome === SIMULATION_OUTCOMES.TIMEOUT) {
+      const pendingPayment = PaymentLifecycle.canTransition(payment.status, PAYMENT_STATES.PENDING)
+        ? await PaymentLifecycle.transition(payment._id, PAYMENT_STATES.PENDING, {
+          actor,
+          reason: message,
+          changes: { gatewayResponse }
+        })
+        : payment
+
+      return {
+        result: V.TIMEOUT,
+        payment: pendingPayment,
+        message: 'Gateway timeout, payment still pending. Verify again later'
+      }
+    }
+
+    // Throws 409 if a concurrent verification already moved it on
+    await PaymentLifecycle.transition(payment._id, PAYMENT_STATES.PROCESSING, {
+      actor,
+      reason: 'Verification requested'
+    })
+
+    const isSuccessful = outcome === SIMULATION_OUTCOMES.SUCCESS
+    const updatedStatus = isSuccessful ? PAYMENT_STATES.SUCCESS : PAYMENT_STATES.FAILED
+
+    let updatedPayment = await PaymentLifecycle.transition(payment._id, updatedStatus, {
+      actor,
+      reason: message,
+      changes: {
+        verifiedAt: new Date().toISOString(),
+        gatewayResponse,
+        // The gateway keeps its fees from successful payments only
+        ...(isSuccessful && FeeService.calculate(payment)),
+        // Claimed with the transition: no concurrent retry can fulfil it too
+        ...(isSuccessful && { fulfillingAt: new Date().toISOString() })
+      }
+    })
+
+    if (isSuccessful) {
+      updatedPayment = await this._fulfil(updatedPayment)
+    } else {
+      await StockReservation.release(payment.reference, { reason: message })
+      await WebhookService.emit(WEBHOOK_EVENTS.PAYMENT_FAILED, updatedPayment)
+    }
+
+    return {
+      result: V.PROCESSED,
+      payment: updatedPayment,
+      message: isSuccessful ? `Payment ${updatedStatus}` : `Payment ${updatedStatus}: ${message}`
+    }
+  }
+
+  //==================================================
+  //  PRIVATE METHODS
+  //==================================================
+
+  /**
+   * Take over an unfinished fulfilment, unless another verification is
+   * running it (fresh `fulfillingAt`).
+   *
+   * @param {number} paymentId
+   * @returns {Promise<Object|null>} The claimed payment, or null
+   */
+  static async _claimFulfilment(paymentId) {
+    return modelTools.transaction(PAYMENT_PATH, async () => {
+      const payment = (await modelTools.findOne(PAYMENT_PATH, paymentId))[PAYMENT_ENTITY][0]
+      if (payment?.status !== PAYMENT_STATES.SUCCESS || payment.fulfilledAt) return null
+
+      const claimedAt = payment.fulfillingAt ? new Date(payment.fulfillingAt).getTime() : 0
+      if (Date.now() - claimedAt < FULFILMENT_CLAIM_TTL_MS) return null
+
+      const updated = await modelTools.update(PAYMENT_PATH, [{
+        fulfillingAt: new Date().toISOString()
+      }], payment._id)
+      return updated[PAYMENT_ENTITY][0]
+    })
+  }
+
+  /**
+   * Everything a successful payment triggers, for a claimed payment.
+   * Each step is idempotent (commit only touches held stock, one order
+   * per payment), so an interrupted run is simply repeated; `fulfilledAt`
+   * is set last. A failure drops the claim so the next verify retries.
+   *
+   * @param {Object} payment - A payment in the "success" state
+   * @returns {Promise<Object>} The payment with `fulfilledAt`
+   */
+  static async _fulfil(payment) {
+    try {
+      await StockReservation.commit(payment.reference)
+      // Product and cart payments become orders
+      await OrderService.createFromPayment(payment)
+      await WebhookService.emit(WEBHOOK_EVENTS.PAYMENT_SUCCESS, payment)
+    } catch (error) {
+      await modelTools.update(PAYMENT_PATH, [{ fulfillingAt: null }], payment._id)
+      throw error
+    }
+
+    const updated = await modelTools.update(PAYMENT_PATH, [{
+      fulfilledAt: new Date().toISOString()
+    }], payment._id)
+    return updated[PAYMENT_ENTITY][0]
+  }
+}
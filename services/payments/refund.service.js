@@ -0,0 +1,221 @@
+import crypto from 'node:crypto'
+import { PATH } from '../../config/config.js'
+import { modelTools } from '../../model/model-tools.js'
+import { AppError } from '../../utils/errors/error.utils.js'
+import { Money } from '../../utils/money.utils.js'
+import { WEBHOOK_EVENTS, WebhookService } from '../webhooks/webhook.service.js'
+import { PAYMENT_STATES, PaymentLifecycle } from './payment-lifecycle.service.js'
+
+const PAYMENT_PATH = PATH.PAYMENT_PATH
+const REFUND_PATH = PATH.REFUND_PATH
+const PRODUCT_PATH = PATH.PRODUCT_PATH
+
+const PAYMENT_ENTITY = modelTools._extractEntityFromPath(PAYMENT_PATH)
+const REFUND_ENTITY = modelTools._extractEntityFromPath(REFUND_PATH)
+const PRODUCT_ENTITY = modelTools._extractEntityFromPath(PRODUCT_PATH)
+
+/** Payment states that can still be refunded */
+const REFUNDABLE = [PAYMENT_STATES.SUCCESS, PAYMENT_STATES.PARTIALLY_REFUNDED]
+
+/**
+ * RefundService
+ *
+ * Full and partial refunds against successful payments:
+ * - Refunds are stored in their own `refunds` entity
+ * - The total refunded can never exceed the captured amount
+ * - Amounts are integer minor units of the payment currency
+ * - The payment moves to `partially_refunded` or `refunded` via PaymentLifecycle
+ * - Product payments put the returned units back in stock
+ *   (cart checkouts: every line, once fully refunded)
+ *
+ * Everything runs under the payments → refunds → products file locks
+ * (always in that order), so concurrent refunds cannot over-refund.
+ */
+export class RefundService {
+
+  /**
+   * Refund a payment, fully or partially.
+   *
+   * - No `amount` and no `quantity` → refund everything still refundable
+   * - `quantity` only (product payments) → refund `quantity × unit price`
+   * - `amount` → refund exactly that amount
+   * - Both → 422: the amount of a returned unit is always its price, so
+   *   units can never be restocked for less than they were paid
+   *
+   * Restocking (product payments): `quantity` units if given, otherwise all
+   * remaining units once the payment is fully refunded. Cart checkouts
+   * restock every line on a full refund.
+   *
+   * @param {string} paymentReference
+   * @param {Object} [options]
+   * @param {number|string} [options.amount] - Amount to refund, in major units of the
+   * payment currency (e.g. 12.50); 422 if it has more decimals than the currency
+   * @param {number} [options.quantity] - Units returned (product payments)
+   * @param {string} [options.reason]
+   * @param {string} [options.actor='system'] - Who requested the refund
+   * @returns {Promise<{ refund: Object, payment: Object }>}
+   * @throws {AppError} 404 unknown payment, 409 not refundable, 422 amount/quantity
+   * too large or both given
+   */
+  static async refund(paymentReference, { amount, quantity, reason, actor = 'system' } = {}) {
+    if (amount !== undefined && quantity !== undefined) {
+      throw AppError.UnprocessableEntity(
+        'Send either amount or quantity, not both (a quantity refunds its unit price)'
+      )
+    }
+
+    const result = await modelTools.transaction(PAYMENT_PATH, () =>
+      modelTools.transaction(REFUND_PATH, async () => {
+        const payment = await this._getPayment(paymentReference)
+
+        if (!REFUNDABLE.includes(payment.status)) {
+          throw AppError.Conflict(
+            `Only successful payments can be refunded (current status: ${payment.status})`
+          )
+        }
+
+        const refunded = payment.amountRefunded ?? 0
+        const refundable = payment.amount - refunded
+        const restocked = payment.quantityRestocked ?? 0
+        const isProductPayment = Boolean(payment.productId && payment.quantity)
+
+        if (quantity !== undefined) {
+          if (!isProductPayment) {
+            throw AppError.UnprocessableEntity('quantity only applies to single-product payments')
+          }
+          if (quantity > payment.quantity - restocked) {
+            throw AppError.UnprocessableEntity(
+              `Cannot return ${quantity} unit(s); ${payment.quantity - restocked} remaining`
+            )
+          }
+        }
+
+        const unitPrice = isProductPayment ? payment.amount / payment.quantity : null
+        const refundAmount = amount !== undefined
+          ? Money.toMinor(amount, payment.currency)
+          : quantity !== undefined ? Math.round(unitPrice * quantity) : refundable
+
+        if (refundAmount <= 0 || refundAmount > refundable) {
+          throw AppError.UnprocessableEntity(
+            `Refund amount must be between ${Money.format(1, payment.currency)} and ${Money.format(refundable, payment.currency)}`,
+            'Unprocessable Entity',
+            {
+              refundable: Money.view(refundable, payment.currency),
+              requested: Money.view(refundAmount, payment.currency)
+            }
+          )
+        }
+
+        const totalRefunded = refunded + refundAmount
+        const isFull = totalRefunded >= payment.amount
+
+        // Units to put back in stock, per product
+        const restockLines = []
+        if (isProductPayment) {
+          const units = quantity ?? (isFull ? payment.quantity - restocked : 0)
+          if (units > 0) restockLines.push({ productId: payment.productId, quantity: units })
+        } else if (isFull && restocked === 0 && payment.items?.length) {
+          // Cart checkouts are only restocked on a full refund, line by line
+          restockLines.push(...payment.items.map(({ productId, quantity }) => ({ productId, quantity })))
+        }
+        const restock = restockLines.reduce((sum, line) => sum + line.quantity, 0)
+
+        const created = await modelTools.create(REFUND_PATH, [{
+          reference: this._generateReference(),
+          paymentId: payment._id,
+          paymentReference: payment.reference,
+          amount: refundAmount,
+          currency: payment.currency,
+          reason,
+          quantityRestocked: restock,
+          actor,
+        }])
+        const refund = created[REFUND_ENTITY][0]
+
+        const updatedPayment = await PaymentLifecycle.transition(
+          payment._id,
+          isFull ? PAYMENT_STATES.REFUNDED : PAYMENT_STATES.PARTIALLY_REFUNDED,
+          {
+            actor,
+            reason: reason ?? `Refund ${refund.reference}`,
+            changes: {
+              amountRefunded: totalRefunded,
+              quantityRestocked: restocked + restock
+            }
+          }
+        )
+
+        for (const line of restockLines) {
+          await this._restock(line.productId, line.quantity)
+        }
+
+        return { refund, payment: updatedPayment }
+      })
+    )
+
+    // Outside the locks: queuing only writes the delivery log
+    await WebhookService.emit(WEBHOOK_EVENTS.REFUND_PROCESSED, result, result.payment)
+    return result
+  }
+
+  /**
+   * List refunds for a payment, oldest first.
+   *
+   * @param {string} paymentReference
+   * @returns {Promise<{ payment: Object, refunds: Object[], totalRefunded: number }>}
+   * `totalRefunded` in minor units
+   * @throws {AppError} 404 unknown payment
+   */
+  static async list(paymentReference) {
+    const payment = await this._getPayment(paymentReference)
+
+    const raw = await modelTools.find(REFUND_PATH, {
+      where: { paymentReference: payment.reference },
+      sort: { createdAt: 1, _id: 1 }
+    })
+
+    return {
+      payment,
+      refunds: raw[REFUND_ENTITY],
+      totalRefunded: payment.amountRefunded ?? 0
+    }
+  }
+
+  //==================================================
+  //  PRIVATE METHODS
+  //==================================================
+
+  /**
+   * Fetch a payment by reference or throw 404.
+   */
+  static async _getPayment(reference) {
+    const raw = await modelTools.find(PAYMENT_PATH, { where: { reference }, limit: 1 })
+    const payment = raw[PAYMENT_ENTITY][0]
+
+    if (!payment) {
+      throw AppError.NotFound('Payment not found')
+    }
+    return payment
+  }
+
+  /**
+   * Add units back to a product's stock. A deleted product is skipped.
+   */
+  static async _restock(productId, quantity) {
+    await modelTools.transaction(PRODUCT_PATH, async () => {
+      const product = (await modelTools.findOne(PRODUCT_PATH, productId))[PRODUCT_ENTITY][0]
+      if (!product) return
+
+      await modelTools.update(PRODUCT_PATH, [{
+        numberInStock: Number(product.numberInStock ?? 0) + quantity
+      }], product._id)
+    })
+  }
+
+  /**
+   * Generate a unique refund reference.
+   */
+  static _generateReference() {
+    return `RFD_${Date.now()}_${crypto.randomInt(1_000_000)}`
+  }
+}
@@ -0,0 +1,323 @@
+import { Config, PATH } from '../../config/config.js'
+import { modelTools } from '../../model/model-tools.js'
+import { AppError } from '../../utils/errors/error.utils.js'
+import { PAYMENT_STATES, PaymentLifecycle } from '../payments/payment-lifecycle.service.js'
+
+const PAYMENT_PATH = PATH.PAYMENT_PATH
+const PRODUCT_PATH = PATH.PRODUCT_PATH
+const RESERVATION_PATH = PATH.RESERVATION_PATH
+
+const PAYMENT_ENTITY = modelTools._extractEntityFromPath(PAYMENT_PATH)
+const PRODUCT_ENTITY = modelTools._extractEntityFromPath(PRODUCT_PATH)
+const RESERVATION_ENTITY = modelTools._extractEntityFromPath(RESERVATION_PATH)
+
+/**
+ * Reservation states.
+ * @readonly
+ * @enum {string}
+ */
+export const RESERVATION_STATES = Object.freeze({
+  HELD: 'held',
+  COMMITTED: 'committed',
+  RELEASED: 'released',
+  EXPIRED: 'expired',
+})
+
+const R = RESERVATION_STATES
+
+/**
+ * StockReservation
+ *
+ * Soft locks on product stock for product payments:
+ * - `hold()` when the payment is initialized (409 if not enough available)
+ * - `commit()` when it is verified successfully (stock leaves the shelf)
+ * - `release()` when it fails or is abandoned
+ * - the sweeper expires holds older than `Config.stockReservation.ttlSeconds`
+ *   and abandons their payments
+ *
+ * A payment holds one reservation per product line. A product's
+ * `reservedStock` is the sum of its held reservations, so
+ * `numberInStock - reservedStock` is what can still be sold.
+ *
+ * Lock order is payments → products → reservations, matching RefundService.
+ */
+export class StockReservation {
+
+  /** Sweeper interval handle */
+  static #sweeper = null
+
+  /**
+   * Hold stock of one product for a payment.
+   *
+   * @param {Object} options
+   * @param {number} options.productId
+   * @param {number} options.quantity
+   * @param {string} options.paymentReference
+   * @returns {Promise<{ reservation: Object, product: Object }>}
+   * @throws {AppError} 404 unknown product, 409 not enough stock available
+   */
+  static async hold({ productId, quantity, paymentReference }) {
+    const { reservations, products } = await this.holdMany({
+      items: [{ productId, quantity }],
+      paymentReference
+    })
+    return { reservation: reservations[0], product: products[0] }
+  }
+
+  /**
+   * Hold stock of several products for one payment, all or nothing:
+   * every line is checked before anything is reserved.
+   *
+   * @param {Object} options
+   * @param {Array<{ productId: number, quantity: number }>} options.items
+   * @param {string} options.paymentReference
+   * @returns {Promise<{ reservations: Object[], products: Object[] }>} In `items` order
+   * @throws {AppError} 404 unknown product, 409 not enough stock available
+   */
+  static async holdMany({ items, paymentReference }) {
+    return modelTools.transaction(PRODUCT_PATH, () =>
+      modelTools.transaction(RESERVATION_PATH, async () => {
+        // Same product on several lines counts once, with the summed quantity
+        const wanted = new Map()
+        for (const { productId, quantity } of items) {
+          wanted.set(productId, (wanted.get(productId) ?? 0) + quantity)
+        }
+
+        const found = new Map()
+        for (const [productId, quantity] of wanted) {
+          const product = await this._getProduct(productId)
+
+          if (!product) {
+            throw AppError.NotFound('Product not found', 'Not Found', { productId })
+          }
+
+          const { available } = this.stockLevels(product)
+          if (available < quantity) {
+            throw AppError.Conflict('Insufficient product stock', 'Conflict', {
+              productId,
+              available
+            })
+          }
+          found.set(productId, product)
+        }
+
+        const expiresAt = new Date(Date.now() + Config.stockReservation.ttlSeconds * 1000)
+
+        const created = await modelTools.create(RESERVATION_PATH, items.map(({ productId, quantity }) => ({
+          productId,
+          paymentReference,
+          quantity,
+          expiresAt: expiresAt.toISOString()
+        })))
+
+        for (const [productId, quantity] of wanted) {
+          const product = found.get(productId)
+          const updated = await modelTools.update(PRODUCT_PATH, [{
+            reservedStock: (product.reservedStock ?? 0) + quantity
+          }], product._id)
+          found.set(productId, updated[PRODUCT_ENTITY][0])
+        }
+
+        return {
+          reservations: created[RESERVATION_ENTITY],
+          products: items.map(({ productId }) => found.get(productId))
+        }
+      })
+    )
+  }
+
+  /**
+   * Turn a payment's held reservations into a sale: stock on hand goes down.
+   * No-op when the payment holds nothing.
+   *
+   * @param {string} paymentReference
+   * @returns {Promise<Object[]>} The committed reservations
+   */
+  static async commit(paymentReference) {
+    return this._settle(paymentReference, R.COMMITTED, null)
+  }
+
+  /**
+   * Give a payment's held stock back. No-op when nothing is held.
+   *
+   * @param {string} paymentReference
+   * @param {Object} [options]
+   * @param {string} [options.reason]
+   * @param {string} [options.status='released'] - 'released' | 'expired'
+   * @returns {Promise<Object[]>} The released reservations
+   */
+  static async release(paymentReference, { reason = null, status = R.RELEASED } = {}) {
+    return this._settle(paymentReference, status, reason)
+  }
+
+  /**
+   * Expire the payment's hold if its TTL has passed.
+   *
+   * @param {string} paymentReference
+   * @returns {Promise<boolean>} true if the hold lapsed and was released
+   */
+  static async expireIfLapsed(paymentReference) {
+    const [reservation] = await this._getHeld(paymentReference)
+    if (!reservation || !this._isLapsed(reservation)) return false
+
+    return this._expire(reservation)
+  }
+
+  /**
+   * Release every lapsed hold and abandon its payment.
+   * Holds whose payment is mid-verification ("processing") are left alone.
+   *
+   * @returns {Promise<number>} Number of payments whose holds expired
+   */
+  static async releaseExpired() {
+    const raw = await modelTools.find(RESERVATION_PATH, {
+      where: { status: R.HELD, expiresAt: { $lte: new Date().toISOString() } }
+    })
+
+    // One payment may hold several lines; expire each payment once
+    const byPayment = new Map()
+    for (const reservation of raw[RESERVATION_ENTITY]) {
+      byPayment.set(reservation.paymentReference, reservation)
+    }
+
+    let expired = 0
+    for (const reservation of byPayment.values()) {
+      if (await this._expire(reservation)) expired++
+    }
+    return expired
+  }
+
+  /**
+   * Start the background sweeper (idempotent).
+   *
+   * @param {number} [intervalMs] - Defaults to `Config.stockReservation.sweepIntervalSeconds`
+   */
+  static startSweeper(intervalMs = Config.stockReservation.sweepIntervalSeconds * 1000) {
+    if (this.#sweeper) return
+
+    this.#sweeper = setInterval(async () => {
+      try {
+        const expired = await this.releaseExpired()
+        if (expired) console.log(`Released ${expired} expired stock reservation(s)`)
+      } catch (error) {
+        console.error('Stock reservation sweep failed:', error)
+      }
+    }, intervalMs)
+
+    // never keep the process alive just for the sweeper
+    this.#sweeper.unref()
+  }
+
+  /** Stop the background sweeper */
+  static stopSweeper() {
+    clearInterval(this.#sweeper)
+    this.#sweeper = null
+  }
+
+  /**
+   * Stock figures for a product.
+   *
+   * @param {Object} product
+   * @returns {{ inStock: number, reserved: number, available: number }}
+   */
+  static stockLevels(product) {
+    const inStock = Number(product.numberInStock ?? 0)
+    const reserved = Number(product.reservedStock ?? 0)
+    return { inStock, reserved, available: Math.max(inStock - reserved, 0) }
+  }
+
+  //==================================================
+  //  PRIVATE METHODS
+  //==================================================
+
+  /**
+   * Move a payment's held reservations to `status`, adjusting product counters.
+   * @returns {Promise<Object[]>}
+   */
+  static async _settle(paymentReference, status, reason) {
+    return modelTools.transaction(PRODUCT_PATH, () =>
+      modelTools.transaction(RESERVATION_PATH, async () => {
+        const held = await this._getHeld(paymentReference)
+        const settled = []
+
+        for (const reservation of held) {
+          const product = await this._getProduct(reservation.productId)
+
+          // A deleted product has nothing left to adjust
+          if (product) {
+            const changes = {
+              reservedStock: Math.max((product.reservedStock ?? 0) - reservation.quantity, 0)
+            }
+            if (status === R.COMMITTED) {
+              changes.numberInStock = Math.max(product.numberInStock - reservation.quantity, 0)
+            }
+            await modelTools.update(PRODUCT_PATH, [changes], product._id)
+          }
+
+          const updated = await modelTools.update(RESERVATION_PATH, [{
+            status,
+            settledAt: new Date().toISOString(),
+            ...(reason && { reason })
+          }], reservation._id)
+
+          settled.push(updated[RESERVATION_ENTITY][0])
+        }
+
+        return settled
+      })
+    )
+  }
+
+  /**
+   * Expire one lapsed hold, settling it according to its payment's state.
+   * @returns {Promise<boolean>} true if the hold was released
+   */
+  static async _expire(reservation) {
+    return modelTools.transaction(PAYMENT_PATH, async () => {
+      const payment = (await modelTools.find(PAYMENT_PATH, {
+        where: { reference: reservation.paymentReference },
+        limit: 1
+      }))[PAYMENT_ENTITY][0]
+
+      // Verification in flight: it will commit or release the hold itself
+      if (payment?.status === PAYMENT_STATES.PROCESSING) return false
+
+      // Verified before the sweep got to it
+      if (payment?.status === PAYMENT_STATES.SUCCESS) {
+        await this.commit(reservation.paymentReference)
+        return false
+      }
+
+      if (payment && PaymentLifecycle.isAwaitingVerification(payment.status)) {
+        await PaymentLifecycle.transition(payment._id, PAYMENT_STATES.ABANDONED, {
+          actor: 'system',
+          reason: 'Stock reservation expired'
+        })
+      }
+
+      const released = await this.release(reservation.paymentReference, {
+        status: R.EXPIRED,
+        reason: 'Reservation expired'
+      })
+      return released.length > 0
+    })
+  }
+
+  /** Held reservations (one per line) for a payment */
+  static async _getHeld(paymentReference) {
+    const raw = await modelTools.find(RESERVATION_PATH, {
+      where: { paymentReference, status: R.HELD }
+    })
+    return raw[RESERVATION_ENTITY]
+  }
+
+  /** Fetch a product by id */
+  static async _getProduct(productId) {
+    return (await modelTools.findOne(PRODUCT_PATH, productId))[PRODUCT_ENTITY][0]
+  }
+
+  /** Whether a reservation's TTL has passed */
+  static _isLapsed(reservation) {
+    return new Date(reservation.expiresAt).getTime() <= Date.now()
+  }
+}
@@ -0,0 +1,193 @@
+import { Config } from '../../config/config.js'
+import { RATE_LIMIT_STORES } from './rate-limit.store.js'
+
+/**
+ * Rate limiting algorithms.
+ * @readonly
+ * @enum {string}
+ */
+export const RATE_LIMIT_ALGORITHMS = Object.freeze({
+  /** `limit` tokens, refilled evenly over `windowSeconds`: allows short bursts */
+  TOKEN_BUCKET: 'token_bucket',
+  /** At most `limit` requests in any `windowSeconds` span: strict */
+  SLIDING_WINDOW: 'sliding_window',
+})
+
+/**
+ * What requests are counted by.
+ * @readonly
+ * @enum {string}
+ */
+export const RATE_LIMIT_KEYS = Object.freeze({
+  IP: 'ip',
+  /** Logged-in user; anonymous requests fall back to the IP */
+  USER: 'user',
+  /** `X-API-Key` header; requests without one fall back to the IP */
+  API_KEY: 'apiKey',
+})
+
+const A = RATE_LIMIT_ALGORITHMS
+
+/**
+ * Algorithm steps: `(state, policy, now) => { state, result }`.
+ * `state` is `null` for a new (or expired) key. Times are in ms; `resetMs`
+ * is the time until the full `limit` is available again.
+ */
+const ALGORITHMS = {
+  [A.TOKEN_BUCKET](state, { limit, windowSeconds }, now) {
+    const refillPerMs = limit / (windowSeconds * 1000)
+
+    let tokens = state
+      ? Math.min(limit, state.tokens + (now - state.updatedAt) * refillPerMs)
+      : limit
+
+    const allowed = tokens >= 1
+    if (allowed) tokens -= 1
+
+    return {
+      state: { tokens, updatedAt: now },
+      result: {
+        allowed,
+        remaining: Math.floor(tokens),
+        resetMs: (limit - tokens) / refillPerMs,
+        retryAfterMs: allowed ? 0 : (1 - tokens) / refillPerMs
+      }
+    }
+  },
+
+  [A.SLIDING_WINDOW](state, { limit, windowSeconds }, now) {
+    const windowMs = windowSeconds * 1000
+    const hits = (state?.hits ?? []).filter((at) => at > now - windowMs)
+
+    const allowed = hits.length < limit
+    if (allowed) hits.push(now)
+
+    return {
+      state: { hits },
+      result: {
+        allowed,
+        remaining: limit - hits.length,
+        resetMs: hits.length ? hits[hits.length - 1] + windowMs - now : 0,
+        retryAfterMs: allowed ? 0 : hits[0] + windowMs - now
+      }
+    }
+  },
+}
+
+/**
+ * RateLimitService
+ *
+ * Counts requests per policy and client key:
+ * - Policies are named in `Config.rateLimit.policies`
+ *   (`{ algorithm, limit, windowSeconds, key }`) and can be tuned per route
+ * - States live in a store: in memory by default, or a JSON file
+ *   (`RATE_LIMIT_STORE=json`) so limits survive a restart
+ *
+ * HTTP wiring (client keys, headers, 429) lives in the `rateLimit()`
+ * middleware.
+ */
+export class RateLimitService {
+
+  /** Store in use (created on first use, or set by `useStore()`) */
+  static #store = null
+
+  /**
+   * Resolve a policy from the config, with per-route overrides.
+   *
+   * @param {string} name - Key of `Config.rateLimit.policies`
+   * @param {Object} [overrides] - `{ algorithm, limit, windowSeconds, key }`
+   * @returns {{ name: string, algorithm: string, limit: number, windowSeconds: number, key: string }}
+   * @throws {Error} Unknown policy or invalid settings (at route registration)
+   */
+  static policy(name, overrides = {}) {
+    const base = Config.rateLimit.policies[name]
+    if (!base) {
+      throw new Error(`Unknown rate limit policy "${name}"`)
+    }
+
+    const policy = { name, ...base, ...overrides }
+
+    if (!ALGORITHMS[policy.algorithm]) {
+      throw new Error(`Rate limit policy "${name}": unknown algorithm "${policy.algorithm}"`)
+    }
+    if (!Object.values(RATE_LIMIT_KEYS).includes(policy.key)) {
+      throw new Error(`Rate limit policy "${name}": unknown key "${policy.key}"`)
+    }
+    for (const field of ['limit', 'windowSeconds']) {
+      if (!Number.isFinite(policy[field]) || policy[field] <= 0) {
+        throw new Error(`Rate limit policy "${name}": ${field} must be a positive number`)
+      }
+    }
+
+    return policy
+  }
+
+  /**
+   * Count one request.
+   *
+   * @param {Object} policy - From `policy()`
+   * @param {string} clientKey - e.g. `ip:127.0.0.1`, `user:3`
+   * @returns {Promise<{ allowed: boolean, limit: number, remaining: number, resetSeconds: number, retryAfterSeconds: number }>}
+   */
+  static async consume(policy, clientKey) {
+    const result = await this.store().update(
+      this._storeKey(policy, clientKey),
+      (state) => ALGORITHMS[policy.algorithm](state, policy, Date.now()),
+      policy.windowSeconds * 1000
+    )
+
+    return {
+      allowed: result.allowed,
+      limit: policy.limit,
+      remaining: Math.max(0, result.remaining),
+      resetSeconds: Math.ceil(result.resetMs / 1000),
+      retryAfterSeconds: Math.ceil(result.retryAfterMs / 1000)
+    }
+  }
+
+  /**
+   * Forget a client's count for a policy.
+   *
+   * @param {Object} policy
+   * @param {string} clientKey
+   */
+  static async reset(policy, clientKey) {
+    await this.store().reset(this._storeKey(policy, clientKey))
+  }
+
+  /**
+   * Replace the store (any object with `update()` and `reset()`).
+   *
+   * @param {{ update: Function, reset: Function }} store
+   */
+  static useStore(store) {
+    if (typeof store?.update !== 'function' || typeof store?.reset !== 'function') {
+      throw new Error('A rate limit store must have update() and reset() methods')
+    }
+    this.#store = store
+  }
+
+  /**
+   * Store in use.
+   * @throws {Error} Unknown `Config.rateLimit.store`
+   */
+  static store() {
+    if (this.#store) return this.#store
+
+    const create = RATE_LIMIT_STORES[Config.rateLimit.store]
+    if (!create) {
+      throw new Error(`Unknown rate limit store "${Config.rateLimit.store}" (use: ${Object.keys(RATE_LIMIT_STORES).join(', ')})`)
+    }
+
+    this.#store = create()
+    return this.#store
+  }
+
+  //==================================================
+  //  PRIVATE METHODS
+  //==================================================
+
+  static _storeKey(policy, clientKey) {
+    return `${policy.name}:${clientKey}`
+  }
+}
@@ -0,0 +1,126 @@
+import { PATH } from '../../config/config.js'
+import { modelTools } from '../../model/model-tools.js'
+
+/** Expired entries are dropped at most this often */
+const SWEEP_INTERVAL_MS = 60 * 1000
+
+/**
+ * Rate limit stores.
+ *
+ * A store keeps one small state object per key (a token bucket or a
+ * sliding-window log) and implements:
+ * - `update(key, fn, ttlMs)`: atomically read the state (`null` when
+ *   missing or expired), call `fn(state)` → `{ state, result }`, save the
+ *   new state for `ttlMs` and resolve with `result`
+ * - `reset(key)`: forget a key
+ */
+
+/**
+ * MemoryStore
+ *
+ * Default store: a Map in this process. Fast; counters are lost on
+ * restart and not shared between processes.
+ */
+export class MemoryStore {
+  name = 'memory'
+
+  #entries = new Map()
+  #lastSweep = Date.now()
+
+  async update(key, fn, ttlMs) {
+    const now = Date.now()
+    this._sweep(now)
+
+    const entry = this.#entries.get(key)
+    const { state, result } = fn(entry && entry.expiresAt > now ? entry.state : null)
+
+    this.#entries.set(key, { state, expiresAt: now + ttlMs })
+    return result
+  }
+
+  async reset(key) {
+    this.#entries.delete(key)
+  }
+
+  _sweep(now) {
+    if (now - this.#lastSweep < SWEEP_INTERVAL_MS) return
+    this.#lastSweep = now
+
+    for (const [key, entry] of this.#entries) {
+      if (entry.expiresAt <= now) this.#entries.delete(key)
+    }
+  }
+}
+
+/**
+ * JsonFileStore
+ *
+ * Keeps states in a JSON file through ModelTools, so limits survive a
+ * restart. Every counted request reads and writes the file: use it for
+ * low-traffic deployments or strict policies only.
+ */
+export class JsonFileStore {
+  name = 'json'
+
+  #lastSweep = 0
+
+  /**
+   * @param {string} [filePath=PATH.RATE_LIMIT_PATH]
+   */
+  constructor(filePath = PATH.RATE_LIMIT_PATH) {
+    this.filePath = filePath
+    this.entity = modelTools._extractEntityFromPath(filePath)
+  }
+
+  async update(key, fn, ttlMs) {
+    return modelTools.transaction(this.filePath, async () => {
+      const now = Date.now()
+      await this._sweep(now)
+
+      const entry = await this._get(key)
+      const isLive = entry && new Date(entry.expiresAt).getTime() > now
+      const { state, result } = fn(isLive ? entry.state : null)
+
+      const changes = { state, expiresAt: new Date(now + ttlMs).toISOString() }
+      if (entry) {
+        await modelTools.update(this.filePath, [changes], entry._id)
+      } else {
+        await modelTools.create(this.filePath, [{ key, ...changes }])
+      }
+
+      return result
+    })
+  }
+
+  async reset(key) {
+    await modelTools.transaction(this.filePath, async () => {
+      const entry = await this._get(key)
+      if (entry) await modelTools.delete(this.filePath, entry._id)
+    })
+  }
+
+  async _get(key) {
+    const raw = await modelTools.find(this.filePath, { where: { key }, limit: 1 })
+    return raw[this.entity][0]
+  }
+
+  async _sweep(now) {
+    if (now - this.#lastSweep < SWEEP_INTERVAL_MS) return
+    this.#lastSweep = now
+
+    const raw = await modelTools.find(this.filePath, {
+      where: { expiresAt: { $lt: new Date(now).toISOString() } }
+    })
+    for (const entry of raw[this.entity]) {
+      await modelTools.delete(this.filePath, entry._id)
+    }
+  }
+}
+
+/**
+ * Stores selectable with `Config.rateLimit.store`.
+ */
+export const RATE_LIMIT_STORES = Object.freeze({
+  memory: () => new MemoryStore(),
+  json: () => new JsonFileStore(),
+})
@@ -0,0 +1,154 @@
+import crypto from 'node:crypto'
+import { Config, PATH } from '../../config/config.js'
+import { modelTools } from '../../model/model-tools.js'
+import { FeeService } from '../payments/fee.service.js'
+import { PAYMENT_STATES } from '../payments/payment-lifecycle.service.js'
+
+const PAYMENT_PATH = PATH.PAYMENT_PATH
+const SETTLEMENT_PATH = PATH.SETTLEMENT_PATH
+
+const PAYMENT_ENTITY = modelTools._extractEntityFromPath(PAYMENT_PATH)
+const SETTLEMENT_ENTITY = modelTools._extractEntityFromPath(SETTLEMENT_PATH)
+
+/**
+ * SettlementService
+ *
+ * Batches successful payments into settlements, the payout the merchant
+ * receives for a day:
+ * - One settlement per UTC day (of `verifiedAt`) per currency
+ * - Only payments still in the "success" state (never refunded) and not
+ *   settled yet; each one gets the `settlementId` it was paid out in
+ * - Totals are `grossAmount` (sum of amounts), `fees` and `netAmount`
+ * - Only finished days are settled (`before` defaults to today 00:00 UTC),
+ *   so a day's batch never changes once it exists
+ *
+ * Runs under the payments → settlements file locks, so a payment cannot
+ * be refunded or settled twice while a batch is being built.
+ */
+export class SettlementService {
+
+  /** Scheduler interval handle */
+  static #scheduler = null
+
+  /**
+   * Settle every unsettled successful payment verified before `before`.
+   *
+   * @param {Object} [options]
+   * @param {Date|string} [options.before] - Defaults to the start of today (UTC)
+   * @returns {Promise<Object[]>} Settlements created (may be empty)
+   */
+  static async settle({ before = this._startOfDay(new Date()) } = {}) {
+    const cutoff = new Date(before).toISOString()
+
+    return modelTools.transaction(PAYMENT_PATH, () =>
+      modelTools.transaction(SETTLEMENT_PATH, async () => {
+        const raw = await modelTools.find(PAYMENT_PATH, {
+          where: {
+            status: PAYMENT_STATES.SUCCESS,
+            settlementId: { $exists: false },
+            verifiedAt: { $lt: cutoff }
+          },
+          sort: { verifiedAt: 1, _id: 1 }
+        })
+
+        const settlements = []
+        for (const [key, payments] of this._groupByDayAndCurrency(raw[PAYMENT_ENTITY])) {
+          const [settlementDate, currency] = key.split('|')
+          settlements.push(await this._createSettlement(settlementDate, currency, payments))
+        }
+        return settlements
+      })
+    )
+  }
+
+  /**
+   * Start the background scheduler (idempotent).
+   *
+   * @param {number} [intervalMs] - Defaults to `Config.settlements.intervalMinutes`
+   */
+  static startScheduler(intervalMs = Config.settlements.intervalMinutes * 60 * 1000) {
+    if (this.#scheduler) return
+
+    this.#scheduler = setInterval(async () => {
+      try {
+        const settlements = await this.settle()
+        if (settlements.length) console.log(`Created ${settlements.length} settlement(s)`)
+      } catch (error) {
+        console.error('Settlement run failed:', error)
+      }
+    }, intervalMs)
+
+    // never keep the process alive just for the scheduler
+    this.#scheduler.unref()
+  }
+
+  /** Stop the background scheduler */
+  static stopScheduler() {
+    clearInterval(this.#scheduler)
+    this.#scheduler = null
+  }
+
+  //==================================================
+  //  PRIVATE METHODS
+  //==================================================
+
+  /**
+   * Payments grouped by "YYYY-MM-DD|CUR", in verification order.
+   * @returns {Map<string, Object[]>}
+   */
+  static _groupByDayAndCurrency(payments) {
+    const groups = new Map()
+    for (const payment of payments) {
+      const key = `${payment.verifiedAt.slice(0, 10)}|${payment.currency}`
+      if (!groups.has(key)) groups.set(key, [])
+      groups.get(key).push(payment)
+    }
+    return groups
+  }
+
+  /**
+   * Store one settlement and mark its payments as settled.
+   * Payments verified before fees existed get them worked out now.
+   * @returns {Promise<Object>}
+   */
+  static async _createSettlement(settlementDate, currency, payments) {
+    const lines = payments.map(payment => ({
+      payment,
+      ...(Number.isInteger(payment.fees)
+        ? { fees: payment.fees, netAmount: payment.netAmount }
+        : FeeService.calculate(payment))
+    }))
+
+    const sum = (field) => lines.reduce((total, line) => total + line[field], 0)
+
+    const created = await modelTools.create(SETTLEMENT_PATH, [{
+      reference: this._generateReference(),
+      settlementDate,
+      currency,
+      paymentReferences: payments.map(p => p.reference),
+      paymentCount: payments.length,
+      grossAmount: payments.reduce((total, p) => total + p.amount, 0),
+      fees: sum('fees'),
+      netAmount: sum('netAmount')
+    }])
+    const settlement = created[SETTLEMENT_ENTITY][0]
+
+    for (const { payment, fees, netAmount } of lines) {
+      await modelTools.update(PAYMENT_PATH, [{ fees, netAmount, settlementId: settlement._id }], payment._id)
+    }
+
+    return settlement
+  }
+
+  /** Midnight UTC of a date */
+  static _startOfDay(date) {
+    return new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate()))
+  }
+
+  /**
+   * Generate a unique settlement reference.
+   */
+  static _generateReference() {
+    return `STL_${Date.now()}_${crypto.randomInt(1_000_000)}`
+  }
+}
@@ -0,0 +1,386 @@
+import crypto from 'node:crypto'
+import { Config, PATH } from '../../config/config.js'
+import { modelTools } from '../../model/model-tools.js'
+import { AppError } from '../../utils/errors/error.utils.js'
+import { USER_ROLES } from '../auth/auth.service.js'
+
+const WEBHOOK_PATH = PATH.WEBHOOK_PATH
+const DELIVERY_PATH = PATH.WEBHOOK_DELIVERY_PATH
+
+const WEBHOOK_ENTITY = modelTools._extractEntityFromPath(WEBHOOK_PATH)
+const DELIVERY_ENTITY = modelTools._extractEntityFromPath(DELIVERY_PATH)
+const PRODUCT_ENTITY = modelTools._extractEntityFromPath(PATH.PRODUCT_PATH)
+const USER_ENTITY = modelTools._extractEntityFromPath(PATH.USER_PATH)
+
+/** Grace beyond the request timeout before a send claim counts as interrupted */
+const CLAIM_MARGIN_MS = 30 * 1000
+
+/** Buyer data never sent to receivers (`history` holds actor emails) */
+const PRIVATE_FIELDS = ['email', 'userId', 'history', 'callbackUrl', 'gatewayResponse', 'simulate']
+
+/**
+ * Events merchants can subscribe to.
+ * @readonly
+ * @enum {string}
+ */
+export const WEBHOOK_EVENTS = Object.freeze({
+  PAYMENT_INITIALIZED: 'payment.initialized',
+  PAYMENT_SUCCESS: 'payment.success',
+  PAYMENT_FAILED: 'payment.failed',
+  REFUND_PROCESSED: 'refund.processed',
+})
+
+/**
+ * Delivery states.
+ * @readonly
+ * @enum {string}
+ */
+export const DELIVERY_STATES = Object.freeze({
+  PENDING: 'pending',
+  SUCCEEDED: 'succeeded',
+  FAILED: 'failed',
+})
+
+const D = DELIVERY_STATES
+
+/** Request headers sent with every delivery */
+export const WEBHOOK_HEADERS = Object.freeze({
+  SIGNATURE: 'x-webhook-signature',
+  EVENT: 'x-webhook-event',
+  DELIVERY: 'x-webhook-delivery',
+})
+
+/**
+ * WebhookService
+ *
+ * Outbound webhooks, like Paystack / Stripe send:
+ * - `emit()` queues one delivery per subscribed endpoint (never throws);
+ *   an event reaches the endpoints of the merchants whose products were
+ *   paid for, and admin endpoints, never other users'
+ * - Payloads leave out buyer data (email, user id, history)
+ * - Each delivery POSTs the same JSON body every time, signed with
+ *   HMAC-SHA512 of the raw body using the endpoint secret
+ *   (`x-webhook-signature`, hex)
+ * - Non-2xx responses and network errors are retried with exponential
+ *   backoff (`Config.webhooks`) until `maxAttempts`
+ * - Every attempt is appended to the delivery's `attempts` log
+ *
+ * Receivers verify with `WebhookService.verifySignature(rawBody, header, secret)`.
+ */
+export class WebhookService {
+
+  /** Dispatcher interval handle */
+  static #dispatcher = null
+
+  /** True while a dispatch pass is running (passes never overlap) */
+  static #dispatching = false
+
+  /**
+   * Queue an event for the active endpoints subscribed to it that may
+   * see the payment: its merchants' and admins'.
+   * Fire-and-forget: failures are logged, never thrown into the caller.
+   *
+   * @param {string} event - One of WEBHOOK_EVENTS
+   * @param {Object} data - Event payload (a payment, or `{ refund, payment }`)
+   * @param {Object} [payment=data] - Payment the event is about
+   * @returns {Promise<Object[]>} Queued deliveries
+   */
+  static async emit(event, data, payment = data) {
+    try {
+      const raw = await modelTools.find(WEBHOOK_PATH, { where: { active: true } })
+      const subscribed = raw[WEBHOOK_ENTITY].filter(
+        hook => hook.events.includes('*') || hook.events.includes(event)
+      )
+      if (!subscribed.length) return []
+
+      const endpoints = await this._recipients(subscribed, payment)
+      if (!endpoints.length) return []
+
+      const now = new Date().toISOString()
+      const created = await modelTools.create(DELIVERY_PATH, endpoints.map(hook => ({
+        webhookId: hook._id,
+        event,
+        body: JSON.stringify({
+          id: `evt_${crypto.randomUUID()}`,
+          event,
+          createdAt: now,
+          data: this._publicData(data)
+        }),
+        nextAttemptAt: now
+      })))
+
+      // First attempt right away; retries are picked up by the dispatcher
+      setImmediate(() => this.dispatchDue().catch(error =>
+        console.error('Webhook dispatch failed:', error)
+      ))
+
+      return created[DELIVERY_ENTITY]
+    } catch (error) {
+      console.error(`Could not queue webhook "${event}":`, error)
+      return []
+    }
+  }
+
+  /**
+   * Attempt every pending delivery whose retry time has come.
+   *
+   * @returns {Promise<number>} Number of attempts made
+   */
+  static async dispatchDue() {
+    if (this.#dispatching) return 0
+    this.#dispatching = true
+
+    try {
+      const raw = await modelTools.find(DELIVERY_PATH, {
+        where: { status: D.PENDING, nextAttemptAt: { $lte: new Date().toISOString() } },
+        sort: { nextAttemptAt: 1, _id: 1 }
+      })
+
+      let attempts = 0
+      for (const due of raw[DELIVERY_ENTITY]) {
+        // Skip deliveries a manual redelivery is sending right now
+        const delivery = await this._claim(due._id, { due: true })
+        if (!delivery) continue
+
+        await this._attempt(delivery)
+        attempts++
+      }
+      return attempts
+    } finally {
+      this.#dispatching = false
+    }
+  }
+
+  /**
+   * Send a delivery again now, whatever its state (one attempt, no retries).
+   *
+   * @param {number} deliveryId
+   * @returns {Promise<Object>} The delivery with the new attempt logged
+   * @throws {AppError} 404 unknown delivery, 409 already being sent
+   */
+  static async redeliver(deliveryId) {
+    await this.getDelivery(deliveryId)
+
+    const delivery = await this._claim(deliveryId)
+    if (!delivery) {
+      throw AppError.Conflict('Webhook delivery is being sent, try again shortly')
+    }
+    return this._attempt(delivery, { manual: true })
+  }
+
+  /**
+   * Fetch a delivery.
+   *
+   * @param {number} deliveryId
+   * @returns {Promise<Object>}
+   * @throws {AppError} 404
+   */
+  static async getDelivery(deliveryId) {
+    const delivery = (await modelTools.findOne(DELIVERY_PATH, deliveryId))[DELIVERY_ENTITY][0]
+    if (!delivery) {
+      throw AppError.NotFound('Webhook delivery not found')
+    }
+    return delivery
+  }
+
+  /**
+   * HMAC-SHA512 signature of a raw body, hex encoded.
+   *
+   * @param {string} body
+   * @param {string} secret
+   * @returns {string}
+   */
+  static sign(body, secret) {
+    return crypto.createHmac('sha512', secret).update(body).digest('hex')
+  }
+
+  /**
+   * Constant-time check of a received signature.
+   *
+   * @param {string} body - Raw request body, exactly as received
+   * @param {string} signature - `x-webhook-signature` header value
+   * @param {string} secret
+   * @returns {boolean}
+   */
+  static verifySignature(body, signature, secret) {
+    const expected = Buffer.from(this.sign(body, secret), 'hex')
+    const received = Buffer.from(String(signature ?? ''), 'hex')
+    return expected.length === received.length && crypto.timingSafeEqual(expected, received)
+  }
+
+  /**
+   * Generate an endpoint signing secret.
+   * @returns {string}
+   */
+  static generateSecret() {
+    return `whsec_${crypto.randomBytes(24).toString('hex')}`
+  }
+
+  /**
+   * Start polling for due retries (idempotent).
+   *
+   * @param {number} [intervalMs] - Defaults to `Config.webhooks.pollIntervalSeconds`
+   */
+  static startDispatcher(intervalMs = Config.webhooks.pollIntervalSeconds * 1000) {
+    if (this.#dispatcher) return
+
+    this.#dispatcher = setInterval(() => {
+      this.dispatchDue().catch(error => console.error('Webhook dispatch failed:', error))
+    }, intervalMs)
+
+    // never keep the process alive just for retries
+    this.#dispatcher.unref()
+  }
+
+  /** Stop polling for retries */
+  static stopDispatcher() {
+    clearInterval(this.#dispatcher)
+    this.#dispatcher = null
+  }
+
+  //==================================================
+  //  PRIVATE METHODS
+  //==================================================
+
+  /**
+   * Endpoints allowed to receive an event about `payment`: those of the
+   * merchants who listed its products, and those of admins.
+   */
+  static async _recipients(endpoints, payment) {
+    const productIds = [
+      payment?.productId,
+      ...(payment?.items ?? []).map(item => item.productId)
+    ].filter(Boolean)
+
+    const products = productIds.length
+      ? (await modelTools.find(PATH.PRODUCT_PATH, { where: { _id: { $in: productIds } } }))[PRODUCT_ENTITY]
+      : []
+    const merchantIds = new Set(products.map(product => product.merchantId).filter(Boolean))
+
+    const owners = await modelTools.find(PATH.USER_PATH, {
+      where: { _id: { $in: [...new Set(endpoints.map(hook => hook.userId))] } },
+      fields: { password: 0 }
+    })
+    const roles = new Map(owners[USER_ENTITY].map(user => [user._id, user.role]))
+
+    return endpoints.filter(hook => {
+      const role = roles.get(hook.userId)
+      return role === USER_ROLES.ADMIN
+        || (role === USER_ROLES.MERCHANT && merchantIds.has(hook.userId))
+    })
+  }
+
+  /**
+   * Event payload without buyer data (a record, or an object of records).
+   */
+  static _publicData(data) {
+    const strip = (record) => Object.fromEntries(
+      Object.entries(record).filter(([key]) => !PRIVATE_FIELDS.includes(key))
+    )
+
+    if (data?.reference) return strip(data)
+
+    return Object.fromEntries(Object.entries(data ?? {}).map(
+      ([key, value]) => [key, value && typeof value === 'object' && !Array.isArray(value) ? strip(value) : value]
+    ))
+  }
+
+  /**
+   * Claim a delivery for one send (`sendingAt`), under the deliveries lock,
+   * so a dispatch pass and a manual redelivery never POST it together.
+   * A claim older than the request timeout (plus a margin) was interrupted.
+   *
+   * @param {number} deliveryId
+   * @param {Object} [options]
+   * @param {boolean} [options.due=false] - Only if still pending and due (dispatcher)
+   * @returns {Promise<Object|null>} The claimed delivery, or null
+   */
+  static async _claim(deliveryId, { due = false } = {}) {
+    return modelTools.transaction(DELIVERY_PATH, async () => {
+      const delivery = (await modelTools.findOne(DELIVERY_PATH, deliveryId))[DELIVERY_ENTITY][0]
+      if (!delivery) return null
+
+      const now = Date.now()
+      if (due && (delivery.status !== D.PENDING || new Date(delivery.nextAttemptAt).getTime() > now)) {
+        return null
+      }
+
+      const sendingSince = delivery.sendingAt ? new Date(delivery.sendingAt).getTime() : 0
+      if (now - sendingSince < Config.webhooks.timeoutMs + CLAIM_MARGIN_MS) return null
+
+      const updated = await modelTools.update(DELIVERY_PATH, [{
+        sendingAt: new Date(now).toISOString()
+      }], delivery._id)
+      return updated[DELIVERY_ENTITY][0]
+    })
+  }
+
+  /**
+   * POST one claimed delivery and log the attempt.
+   * Failures schedule the next retry, or mark the delivery failed once
+   * `maxAttempts` is reached (manual redeliveries never schedule retries).
+   * The log is appended to the stored delivery under the lock, and the
+   * claim released.
+   *
+   * @returns {Promise<Object>} Updated delivery
+   */
+  static async _attempt(delivery, { manual = false } = {}) {
+    const hook = (await modelTools.findOne(WEBHOOK_PATH, delivery.webhookId))[WEBHOOK_ENTITY][0]
+    const attempt = { at: new Date().toISOString(), manual }
+    const started = Date.now()
+
+    if (!hook) {
+      attempt.error = 'Webhook endpoint was deleted'
+    } else {
+      try {
+        const response = await fetch(hook.url, {
+          method: 'POST',
+          headers: {
+            'content-type': 'application/json',
+            'user-agent': 'payment-app-webhooks/1.0',
+            [WEBHOOK_HEADERS.SIGNATURE]: this.sign(delivery.body, hook.secret),
+            [WEBHOOK_HEADERS.EVENT]: delivery.event,
+            [WEBHOOK_HEADERS.DELIVERY]: String(delivery._id)
+          },
+          body: delivery.body,
+          signal: AbortSignal.timeout(Config.webhooks.timeoutMs)
+        })
+        attempt.statusCode = response.status
+        if (!response.ok) attempt.error = `HTTP ${response.status}`
+      } catch (error) {
+        attempt.error = error.name === 'TimeoutError' ? 'Timed out' : error.message
+      }
+    }
+    attempt.durationMs = Date.now() - started
+
+    return modelTools.transaction(DELIVERY_PATH, async () => {
+      const current = (await modelTools.findOne(DELIVERY_PATH, delivery._id))[DELIVERY_ENTITY][0] ?? delivery
+      const attempts = [...(current.attempts ?? []), attempt]
+      const changes = { attempts, sendingAt: null }
+
+      if (!attempt.error) {
+        changes.status = D.SUCCEEDED
+        changes.deliveredAt = attempt.at
+        changes.nextAttemptAt = null
+      } else if (manual || !hook || attempts.length >= Config.webhooks.maxAttempts) {
+        changes.status = D.FAILED
+        changes.nextAttemptAt = null
+      } else {
+        changes.status = D.PENDING
+        changes.nextAttemptAt = new Date(Date.now() + this._backoffMs(attempts.length)).toISOString()
+      }
+
+      const updated = await modelTools.update(DELIVERY_PATH, [changes], delivery._id)
+      return updated[DELIVERY_ENTITY][0]
+    })
+  }
+
+  /**
+   * Delay before retry number `attempt`: base × 2^(attempt - 1).
+   * @param {number} attempt - Attempts made so far (≥ 1)
+   * @returns {number}
+   */
+  static _backoffMs(attempt) {
+    return Config.webhooks.backoffBaseSeconds * 1000 * 2 ** (attempt - 1)
+  }
+}
@@ -112,6 +112,19 @@ export class AppError extends Error {
     return new AppError(this.statusMessage.UNPROCESSABLE_ENTITY, status, message, details);
   }
 
+  /**
+   * 429 Too Many Requests
+   * @param {string|null} message - Error message.
+   * @param {number|null} retryAfterSeconds - Sent as the `Retry-After` header.
+   */
+  static TooManyRequests(message = null, retryAfterSeconds = null, status = "Too Many Requests", details = null) {
+    const error = new AppError(this.statusMessage.TOO_MANY_REQUESTS, status, message, details);
+    if (retryAfterSeconds != null) {
+      error.headers = { 'Retry-After': String(Math.max(1, Math.ceil(retryAfterSeconds))) };
+    }
+    return error;
+  }
+
   // -------------------------
   // Status codes reference
   // -------------------------
@@ -146,3 +159,52 @@ export class AppError extends Error {
     GATEWAY_TIMEOUT: 504,
   };
 }
+
+/**
+ * Raised by ModelTools when a write would break a unique index
+ * (e.g. a second user with the same email).
+ * Maps to 409 Conflict; `field` and `value` identify the clash.
+ */
+export class UniqueConstraintError extends AppError {
+  /**
+   * @param {string} entity - Entity name (e.g. "users")
+   * @param {string} field - Indexed field (e.g. "email")
+   * @param {*} value - Conflicting value
+   */
+  constructor(entity, field, value) {
+    super(
+      AppError.statusMessage.CONFLICT,
+      "Conflict",
+      `${entity}.${field} "${value}" already exists`,
+      { entity, field, value }
+    );
+    this.name = "UniqueConstraintError";
+    this.entity = entity;
+    this.field = field;
+    this.value = value;
+  }
+}
+
+/**
+ * Raised when a payload breaks an entity schema.
+ * Maps to 422 Unprocessable Entity; `fields` holds one message per field.
+ *
+ * @example
+ * throw new ValidationError({ price: 'price must be a number' })
+ */
+export class ValidationError extends AppError {
+  /**
+   * @param {Object<string, string>} fields - Field name → error message
+   * @param {string} [message]
+   */
+  constructor(fields, message = "Validation failed") {
+    super(
+      AppError.statusMessage.UNPROCESSABLE_ENTITY,
+      "Unprocessable Entity",
+      message,
+      { fields }
+    );
+    this.name = "ValidationError";
+    this.fields = fields;
+  }
+}
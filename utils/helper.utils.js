@@ -16,7 +16,16 @@ static sanitizeAndEscape(input) {
   sanitized = sanitized.replace(/[\x00-\x1F\x7F]/g, '')
 
   // Step 4: Escape HTML special characters
-  sanitized = sanitized.replace(/[&<>"']/g, (char) => {
+  return Helpers.escapeHtml(sanitized)
+}
+
+/**
+ * Escape HTML special characters, for embedding any value in markup.
+ * @param {*} value
+ * @returns {string}
+ */
+static escapeHtml(value) {
+  return String(value ?? '').replace(/[&<>"']/g, (char) => {
     const escapeMap = {
       '&': '&amp;',
       '<': '&lt;',
@@ -26,8 +35,6 @@ static sanitizeAndEscape(input) {
     }
     return escapeMap[char]
   })
-
-  return sanitized
 }
 
 }
\ No newline at end of file
@@ -1,3 +1,4 @@
+import { Config } from "../config/config.js"
 import { modelTools } from "../model/model-tools.js"
 
 /**
@@ -19,6 +20,8 @@ class HttpUtils {
     /**
      * Parse the body of an incoming HTTP request.
      * Handles JSON content type validation, size limiting, and parsing errors.
+     * HTML form posts (`application/x-www-form-urlencoded`) are parsed into
+     * a flat object of strings.
      *
      * @param {import('http').IncomingMessage} req - Node.js HTTP request object
      * @param {Object} options - Optional configuration
@@ -32,9 +35,10 @@ class HttpUtils {
     parseRequestBody(req, options = {}) {
         return new Promise((resolve, reject) => {
             const contentType = req.headers['content-type']
+            const isForm = contentType?.includes('application/x-www-form-urlencoded')
 
-            // Validate that the request has JSON content type
-            if (!contentType || !contentType.includes('application/json')) {
+            // Validate that the request has JSON (or HTML form) content type
+            if (!contentType || !(contentType.includes('application/json') || isForm)) {
                 return reject(new Error('Invalid content type'))
             }
 
@@ -58,6 +62,7 @@ class HttpUtils {
             // Parse body when request ends
             req.on('end', () => {
                 try {
+                    if (isForm) return resolve(Object.fromEntries(new URLSearchParams(body)))
                     resolve(body ? JSON.parse(body) : {})
                 } catch (error) {
                     reject(new Error('Error parsing request payload'))
@@ -79,6 +84,7 @@ class HttpUtils {
      * @param {any} [options.data] - Response payload for successful requests
      * @param {string} [options.message] - Optional human-readable message
      * @param {Error} [options.error] - Optional error object for failed requests
+     * @param {Object} [options.meta] - Optional metadata (e.g. pagination) sent alongside data
      *
      * @example
      * httpUtils.sendResponse(res, {
@@ -93,7 +99,7 @@ class HttpUtils {
      *   error: new Error('Something went wrong')
      * })
      */
-    sendResponse(res, { status, data, message, error }) {
+    sendResponse(res, { status, data, message, error, meta }) {
         // Avoid writing headers/body if already sent
         if (res.headersSent) return
         
@@ -124,11 +130,59 @@ class HttpUtils {
                 data: _serialize(data),
                 message
             }
+
+            if (meta) payload.meta = meta
         }
 
         // Send serialized JSON payload
         res.end(_serialize(payload))
     }
+
+    /**
+     * Client IP address of a request.
+     * `X-Forwarded-For` is only trusted with `TRUST_PROXY=true`, otherwise
+     * any client could pick its own IP.
+     *
+     * @param {import('http').IncomingMessage} req
+     * @returns {string}
+     */
+    clientIp(req) {
+        if (Config.server.trustProxy) {
+            const forwarded = req.headers['x-forwarded-for']?.split(',')[0]?.trim()
+            if (forwarded) return forwarded
+        }
+        return req.socket?.remoteAddress ?? 'unknown'
+    }
+
+    /**
+     * Send an HTML page (used by the hosted checkout).
+     *
+     * @param {import('http').ServerResponse} res - Node.js HTTP response object
+     * @param {Object} options
+     * @param {number} [options.status=200] - HTTP status code
+     * @param {string} options.html - Complete document, already escaped
+     */
+    sendHtml(res, { status, html }) {
+        if (res.headersSent) return
+
+        res.statusCode = status ?? 200
+        res.setHeader('Content-Type', 'text/html; charset=utf-8')
+        res.end(html)
+    }
+
+    /**
+     * Redirect the client.
+     *
+     * @param {import('http').ServerResponse} res - Node.js HTTP response object
+     * @param {string} location - Absolute or relative URL
+     * @param {number} [status=303] - 303 makes browsers follow a form POST with a GET
+     */
+    redirect(res, location, status = 303) {
+        if (res.headersSent) return
+
+        res.writeHead(status, { Location: location })
+        res.end()
+    }
 }
 
 // Export a singleton instance for use across the application
@@ -0,0 +1,71 @@
+import { AppError } from "./errors/error.utils.js"
+
+/**
+ * Run a chain of Express-style middleware against a request.
+ *
+ * Each middleware has the signature `(req, res, next)` and may be sync or async:
+ * - `next()` passes control to the next middleware
+ * - `next(err)` (or throwing / rejecting) skips the rest of the chain and
+ *   rejects the returned promise with `err`, so a single error handler can
+ *   deal with it
+ * - Sending the response without calling `next()` ends the chain
+ *
+ * Guarantees:
+ * - No middleware or handler runs once the response has been sent
+ * - Calling `next()` twice from the same middleware is reported as an error
+ *
+ * @param {import('http').IncomingMessage} req - Node.js request object
+ * @param {import('http').ServerResponse} res - Node.js response object
+ * @param {Array<(req: object, res: object, next: Function) => any>} middlewares
+ * @returns {Promise<void>} Resolves when the chain completes, rejects with the first error
+ *
+ * @example
+ * await runMiddleware(req, res, [requestLogger, bodyParser(), router.handle])
+ */
+export const runMiddleware = (req, res, middlewares) => {
+  const stack = middlewares.filter(Boolean)
+
+  const dispatch = (i) => new Promise((resolve, reject) => {
+    const middleware = stack[i]
+
+    // End of chain, or a previous middleware already answered the request
+    if (!middleware || _isResponseSent(res)) return resolve()
+
+    let nextCalled = false
+
+    const next = (err) => {
+      if (nextCalled) {
+        return reject(AppError.InternalServerError(
+          `next() called multiple times in middleware "${middleware.name || 'anonymous'}"`
+        ))
+      }
+      nextCalled = true
+
+      if (err) return reject(err)
+      return dispatch(i + 1).then(resolve, reject)
+    }
+
+    Promise.resolve()
+      .then(() => middleware(req, res, next))
+      .then(() => {
+        if (nextCalled) return
+
+        // Middleware finished without calling next(): either it answered the
+        // request, or it will call next() later (callback style)
+        if (_isResponseSent(res)) return resolve()
+        res.once('close', () => {
+          if (!nextCalled) resolve()
+        })
+      }, reject)
+  })
+
+  return dispatch(0)
+}
+
+/**
+ * Check whether the response has already been (or is being) sent.
+ *
+ * @param {import('http').ServerResponse} res
+ * @returns {boolean}
+ */
+const _isResponseSent = (res) => res.headersSent || res.writableEnded
@@ -0,0 +1,214 @@
+import { readFileSync } from 'node:fs'
+import { Config } from '../config/config.js'
+import { ValidationError } from './errors/error.utils.js'
+
+/**
+ * Supported ISO-4217 currencies → decimal exponent (digits after the point).
+ * NGN 1.00 = 100 kobo, JPY has no minor unit, KWD 1.000 = 1000 fils.
+ * @readonly
+ */
+export const CURRENCY_EXPONENTS = Object.freeze({
+  NGN: 2,
+  USD: 2,
+  EUR: 2,
+  GBP: 2,
+  GHS: 2,
+  KES: 2,
+  ZAR: 2,
+  XOF: 0,
+  JPY: 0,
+  KWD: 3,
+})
+
+/**
+ * Money
+ *
+ * Amounts are stored as integer minor units (kobo, cents, ...) next to
+ * their currency, so sums and refunds never drift like floats do:
+ * - `toMinor()` turns a client amount (`"5000.50"`) into minor units,
+ *   rejecting more decimals than the currency has
+ * - `view()` is the one response shape for every amount:
+ *   `{ amount: "5000.50", minor: 500050, currency: "NGN", formatted: "NGN 5,000.50" }`
+ * - `convert()` uses the local FX table (`Config.fx.ratesPath`), whose
+ *   rates are units of each currency per 1 unit of the table's `base`
+ *
+ * @example
+ * Money.toMinor('12.5', 'USD')        // 1250
+ * Money.convert(500000, 'NGN', 'USD') // { minor: 323, rate: 0.000645161... }
+ */
+export class Money {
+
+  /** Parsed FX table, loaded on first use */
+  static #table = null
+
+  /**
+   * @param {string} currency
+   * @returns {boolean}
+   */
+  static isCurrency(currency) {
+    return Object.hasOwn(CURRENCY_EXPONENTS, currency)
+  }
+
+  /**
+   * Decimal exponent of a currency.
+   * @param {string} currency
+   * @returns {number}
+   * @throws {ValidationError} 422 unsupported currency
+   */
+  static exponent(currency) {
+    if (!this.isCurrency(currency)) {
+      throw new ValidationError({
+        currency: `currency must be one of: ${Object.keys(CURRENCY_EXPONENTS).join(', ')}`
+      })
+    }
+    return CURRENCY_EXPONENTS[currency]
+  }
+
+  /**
+   * Convert a major-unit amount (number or numeric string) to minor units.
+   *
+   * @param {number|string} amount - e.g. 5000.5 or "5000.50"
+   * @param {string} currency
+   * @param {string} [field='amount'] - Field named in validation errors
+   * @returns {number} Integer minor units
+   * @throws {ValidationError} 422 not a number, or too many decimals for the currency
+   */
+  static toMinor(amount, currency, field = 'amount') {
+    const value = typeof amount === 'string' && amount.trim() !== '' ? Number(amount) : amount
+    if (typeof value !== 'number' || !Number.isFinite(value)) {
+      throw new ValidationError({ [field]: `${field} must be a number` })
+    }
+
+    const exponent = this.exponent(currency)
+    const scaled = value * 10 ** exponent
+    const minor = Math.round(scaled)
+
+    // Anything left after rounding was a fraction of the smallest unit
+    if (Math.abs(scaled - minor) > 1e-6) {
+      throw new ValidationError({
+        [field]: exponent === 0
+          ? `${currency} amounts must be whole numbers`
+          : `${currency} amounts have at most ${exponent} decimal places`
+      })
+    }
+    return minor
+  }
+
+  /**
+   * Exact decimal string of a minor-unit amount, e.g. 500050 NGN → "5000.50".
+   *
+   * @param {number} minor
+   * @param {string} currency
+   * @returns {string}
+   */
+  static toDecimal(minor, currency) {
+    const exponent = this.exponent(currency)
+    const digits = String(Math.abs(minor)).padStart(exponent + 1, '0')
+    const sign = minor < 0 ? '-' : ''
+
+    if (exponent === 0) return `${sign}${digits}`
+    return `${sign}${digits.slice(0, -exponent)}.${digits.slice(-exponent)}`
+  }
+
+  /**
+   * Human-readable amount, e.g. "NGN 5,000.50", "$12.50".
+   *
+   * @param {number} minor
+   * @param {string} currency
+   * @returns {string}
+   */
+  static format(minor, currency) {
+    const exponent = this.exponent(currency)
+    return new Intl.NumberFormat('en', {
+      style: 'currency',
+      currency,
+      minimumFractionDigits: exponent,
+      maximumFractionDigits: exponent
+    }).format(minor / 10 ** exponent)
+  }
+
+  /**
+   * Response shape for an amount.
+   *
+   * @param {number} minor
+   * @param {string} currency
+   * @returns {{ amount: string, minor: number, currency: string, formatted: string }}
+   */
+  static view(minor, currency) {
+    return {
+      amount: this.toDecimal(minor, currency),
+      minor,
+      currency,
+      formatted: this.format(minor, currency)
+    }
+  }
+
+  /**
+   * Exchange rate from one currency to another (1 `from` = rate `to`),
+   * rounded to 10 significant digits so stored rates reproduce conversions.
+   *
+   * @param {string} from
+   * @param {string} to
+   * @returns {number}
+   * @throws {ValidationError} 422 when the FX table has no rate for either currency
+   */
+  static rate(from, to) {
+    if (from === to) return 1
+
+    const { rates } = this._table()
+    if (!rates[from] || !rates[to]) {
+      throw new ValidationError({ currency: `No exchange rate for ${from} to ${to}` })
+    }
+    return Number((rates[to] / rates[from]).toPrecision(10))
+  }
+
+  /**
+   * Convert minor units between currencies (half-up rounding).
+   *
+   * @param {number} minor
+   * @param {string} from
+   * @param {string} to
+   * @returns {{ minor: number, rate: number }}
+   * @throws {ValidationError} 422 unsupported currency or missing rate
+   */
+  static convert(minor, from, to) {
+    const rate = this.rate(from, to)
+    const scale = 10 ** (this.exponent(to) - this.exponent(from))
+    return { minor: Math.round(minor * rate * scale), rate }
+  }
+
+  /**
+   * Date the FX table was last updated (`updatedAt` in the rates file).
+   * @returns {string|null}
+   */
+  static ratesAsOf() {
+    return this._table().updatedAt ?? null
+  }
+
+  //==================================================
+  //  PRIVATE METHODS
+  //==================================================
+
+  /**
+   * Load and check the FX table once.
+   * @throws {Error} If the rates file is missing or malformed
+   */
+  static _table() {
+    if (this.#table) return this.#table
+
+    const table = JSON.parse(readFileSync(Config.fx.ratesPath, 'utf8'))
+    const entries = Object.entries(table?.rates ?? {})
+
+    if (!this.isCurrency(table?.base) || table.rates[table.base] !== 1) {
+      throw new Error(`FX table ${Config.fx.ratesPath}: "base" must be a supported currency with rate 1`)
+    }
+    for (const [currency, rate] of entries) {
+      if (!this.isCurrency(currency) || !(typeof rate === 'number' && rate > 0)) {
+        throw new Error(`FX table ${Config.fx.ratesPath}: invalid rate for "${currency}"`)
+      }
+    }
+
+    this.#table = table
+    return table
+  }
+}
@@ -64,6 +64,18 @@ export class Validator {
     return allowed.includes(gender.toLowerCase())
   }
 
+  static validateCardExpiry(expiry) {
+    // Accepts: MM/YY or MM/YYYY
+    const match = /^(0[1-9]|1[0-2])\/(\d{2}|\d{4})$/.exec(String(expiry ?? '').trim())
+    if (!match) return false
+
+    const month = Number(match[1])
+    const year = match[2].length === 2 ? 2000 + Number(match[2]) : Number(match[2])
+
+    // Cards are valid until the end of their expiry month
+    return new Date(year, month, 1) > new Date()
+  }
+
   //====================================================
   //  COMPOSITE VALIDATION
   //====================================================